@@ -0,0 +1,65 @@
+/**
+ * TranscriptDisplay_Timing.js
+ *
+ * Line timings for the TranscriptDisplay component: pairing the timed
+ * segments from the API with the rendered lines, and working out which line
+ * is being heard while the stored take plays.
+ *
+ * Plain functions with no DOM or store access, like the other helper modules.
+ */
+
+/**
+ * Pair transcript lines with segments. The API sends one segment per line,
+ * blank lines included, but only non-blank entries are matched (in order) so
+ * a stray blank on either side can't shift every timing after it.
+ *
+ * @param {string} transcript - The displayed transcript
+ * @param {Array<Object>|null} segments - [{ start, end, text }] in seconds
+ * @returns {Array<{start: number, end: number}|null>} One entry per line
+ */
+export function alignSegmentsToLines(transcript, segments) {
+  const lines = (transcript || "").split("\n");
+  if (!Array.isArray(segments) || segments.length === 0) {
+    return lines.map(() => null);
+  }
+
+  const timed = segments.filter((segment) => segment.text?.trim());
+  let next = 0;
+
+  return lines.map((line) => {
+    if (!line.trim() || next >= timed.length) return null;
+
+    const { start, end } = timed[next++];
+    return { start, end };
+  });
+}
+
+/**
+ * Index of the line playing at `currentTime`: the last line that has started.
+ * Gaps between lines keep the previous line lit rather than flickering off.
+ *
+ * @param {Array<{start: number, end: number}|null>} lineTimings
+ * @param {number} currentTime - Playback position in seconds
+ * @returns {number} Line index, or -1 before the first line
+ */
+export function findActiveLine(lineTimings, currentTime) {
+  let active = -1;
+
+  lineTimings.forEach((timing, index) => {
+    if (timing && timing.start <= currentTime) {
+      active = index;
+    }
+  });
+
+  return active;
+}
+
+/**
+ * @param {number} seconds
+ * @returns {string} m:ss
+ */
+export function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const minutes = Math.floor(total / 60);
+  return `${minutes}:${String(total % 60).padStart(2, "0")}`;
+}
@@ -4,6 +4,7 @@ import ContentContainer from "./ContentContainer.svelte";
 import FooterComponent from "./FooterComponent.svelte";
 import SettingsModal from "./settings/SettingsModal.svelte";
 import PwaInstallPrompt from "./pwa/PwaInstallPrompt.svelte";
+import PwaUpdatePrompt from "./pwa/PwaUpdatePrompt.svelte";
 import AnimatedTitle from "./AnimatedTitle.svelte";
 import AudioToText from "./audio-transcript/AudioToText.svelte";
 import AudioVisualizer from "./audio-transcript/AudioVisualizer.svelte";
@@ -19,6 +20,7 @@ export {
   FooterComponent,
   SettingsModal,
   PwaInstallPrompt,
+  PwaUpdatePrompt,
   AnimatedTitle,
   AudioToText,
   AudioVisualizer,
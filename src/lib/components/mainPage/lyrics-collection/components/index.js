@@ -10,3 +10,9 @@ export { default as HeaderActions } from "./HeaderActions.svelte";
 export { default as EmptyState } from "./EmptyState.svelte";
 export { default as NotificationDisplay } from "./NotificationDisplay.svelte";
 export { default as MemoizedSnippetList } from "./MemoizedSnippetList.svelte";
+export { default as ProjectSwitcher } from "./ProjectSwitcher.svelte";
+export { default as LineSuggestions } from "./LineSuggestions.svelte";
+export { default as CollectionFilterBar } from "./CollectionFilterBar.svelte";
+export { default as OtherProjectMatches } from "./OtherProjectMatches.svelte";
+export { default as ArrangerPanel } from "./ArrangerPanel.svelte";
+export { default as SyncPanel } from "./SyncPanel.svelte";
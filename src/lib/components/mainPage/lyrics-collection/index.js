@@ -18,7 +18,19 @@ export {
 } from "./modules/textUtils";
 export { initDragDrop, sortableConfig } from "./modules/dragDropManager";
 export { createNotificationSystem } from "./modules/notificationSystem";
-export { copyToClipboard, downloadLyricsAsText } from "./modules/exportManager";
+export {
+  copyToClipboard,
+  downloadLyricsAsText,
+  exportCollection,
+  getExportFormats,
+  registerExporter,
+} from "./modules/exportManager";
+export {
+  parseImportFile,
+  parseImportFiles,
+  readClipboardStanzas,
+  splitIntoStanzas,
+} from "./modules/importManager";
 export { createCompilationManager } from "./modules/compilationManager";
 export { createTranscriptMonitor } from "./modules/transcriptMonitor";
 
@@ -29,8 +41,8 @@ export { lyricsStore } from "./stores/lyricsStore";
 if (typeof window !== "undefined") {
   import("./stores/lyricsStore").then(({ lyricsStore }) => {
     // Maintain backward compatibility with existing code
-    window.addToMainCollectionBox = (text) => {
-      return lyricsStore.addSnippet(text);
+    window.addToMainCollectionBox = (text, options) => {
+      return lyricsStore.addSnippet(text, options);
     };
 
     // Legacy compatibility
@@ -0,0 +1,321 @@
+/**
+ * Song arrangement for the lyrics collection
+ *
+ * An arrangement lays a project's snippets out as a song: an ordered list of
+ * sections (Intro, Verse 1, Hook, ...), each holding snippets by id. The same
+ * snippet can sit in as many sections as it's sung in, and a section can
+ * repeat another one outright (the hook coming back after verse 2), so no
+ * words are ever copied: edit the hook once and every repeat sings the new
+ * words.
+ *
+ * ```
+ * { sections: [
+ *   { id, name: "Hook", snippetIds: ["a", "b"] },
+ *   { id, name: "Verse 1", snippetIds: ["c"] },
+ *   { id, name: "Hook", repeatOf: "<the first section's id>" },
+ * ] }
+ * ```
+ *
+ * The arrangement is saved with the project's collection and recorded in
+ * its undo history. Snippets deleted since they were placed are skipped
+ * when the song is put together. Plain data; nothing here mutates.
+ */
+
+import { createId } from "$lib/services/infrastructure/createId";
+
+/** A project nobody has arranged yet */
+export const EMPTY_ARRANGEMENT = Object.freeze({ sections: [] });
+
+/** Sections offered when adding one, in the order songs usually run */
+export const SECTION_PRESETS = [
+  "Intro",
+  "Verse",
+  "Pre-chorus",
+  "Hook",
+  "Bridge",
+  "Outro",
+];
+
+// Sections that are usually different every time, so get numbered
+const NUMBERED_SECTIONS = new Set(["Verse"]);
+
+function mapSection(arrangement, sectionId, change) {
+  return {
+    ...arrangement,
+    sections: arrangement.sections.map((section) =>
+      section.id === sectionId ? change(section) : section,
+    ),
+  };
+}
+
+/**
+ * The section whose snippets a section sings: itself, or the one it repeats
+ *
+ * @param {Object} arrangement - { sections }
+ * @param {Object} section - One of its sections
+ * @returns {Object|null} The section holding the snippets, or null if a
+ *   repeated section has gone
+ */
+export function sourceOf(arrangement, section) {
+  if (!section.repeatOf) return section;
+  return (
+    arrangement.sections.find((item) => item.id === section.repeatOf) || null
+  );
+}
+
+// One past the highest "Verse N" so far, so removing "Verse 1" or renaming
+// a verse never makes the next one a duplicate
+function nextNumber(arrangement, name) {
+  const pattern = new RegExp(
+    `^${name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")} (\\d+)$`,
+  );
+  const numbers = arrangement.sections
+    .map((section) => section.name.match(pattern))
+    .filter(Boolean)
+    .map((match) => Number(match[1]));
+  return Math.max(0, ...numbers) + 1;
+}
+
+/**
+ * Add an empty section at the end. Verses are numbered as they're added.
+ *
+ * @param {Object} arrangement - { sections }
+ * @param {string} name - A preset ("Verse") or any name
+ * @returns {Object} The new arrangement
+ */
+export function addSection(arrangement, name) {
+  const trimmed = (name || "").trim() || SECTION_PRESETS[1];
+
+  return {
+    ...arrangement,
+    sections: [
+      ...arrangement.sections,
+      {
+        id: createId(),
+        name: NUMBERED_SECTIONS.has(trimmed)
+          ? `${trimmed} ${nextNumber(arrangement, trimmed)}`
+          : trimmed,
+        snippetIds: [],
+      },
+    ],
+  };
+}
+
+/**
+ * Sing a section again at the end of the song, without copying its words
+ *
+ * @param {Object} arrangement - { sections }
+ * @param {string} sectionId - The section to repeat (a repeat repeats the
+ *   section it repeats)
+ * @returns {Object} The new arrangement
+ */
+export function repeatSection(arrangement, sectionId) {
+  const section = arrangement.sections.find((item) => item.id === sectionId);
+  const source = section && sourceOf(arrangement, section);
+  if (!source) return arrangement;
+
+  return {
+    ...arrangement,
+    sections: [
+      ...arrangement.sections,
+      { id: createId(), name: source.name, repeatOf: source.id },
+    ],
+  };
+}
+
+/**
+ * @param {Object} arrangement - { sections }
+ * @param {string} sectionId - The section to rename; its repeats follow
+ * @param {string} name - The new name (blank names are ignored)
+ * @returns {Object} The new arrangement
+ */
+export function renameSection(arrangement, sectionId, name) {
+  const trimmed = (name || "").trim();
+  if (!trimmed) return arrangement;
+
+  return {
+    ...arrangement,
+    sections: arrangement.sections.map((section) =>
+      section.id === sectionId || section.repeatOf === sectionId
+        ? { ...section, name: trimmed }
+        : section,
+    ),
+  };
+}
+
+/**
+ * Take a section out of the song, and any repeats of it with it
+ *
+ * @param {Object} arrangement - { sections }
+ * @param {string} sectionId - The section to remove
+ * @returns {Object} The new arrangement
+ */
+export function removeSection(arrangement, sectionId) {
+  return {
+    ...arrangement,
+    sections: arrangement.sections.filter(
+      (section) => section.id !== sectionId && section.repeatOf !== sectionId,
+    ),
+  };
+}
+
+/**
+ * Move a section one place earlier or later in the song
+ *
+ * @param {Object} arrangement - { sections }
+ * @param {string} sectionId - The section to move
+ * @param {number} offset - -1 for earlier, 1 for later
+ * @returns {Object} The new arrangement
+ */
+export function moveSection(arrangement, sectionId, offset) {
+  const sections = [...arrangement.sections];
+  const from = sections.findIndex((section) => section.id === sectionId);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= sections.length) return arrangement;
+
+  const [moved] = sections.splice(from, 1);
+  sections.splice(to, 0, moved);
+  return { ...arrangement, sections };
+}
+
+/**
+ * Place a snippet in a section. Placing it in a repeat places it in the
+ * section being repeated.
+ *
+ * @param {Object} arrangement - { sections }
+ * @param {string} sectionId - The section
+ * @param {string} snippetId - The snippet
+ * @param {number} [index] - Where among the section's snippets; the end by
+ *   default
+ * @returns {Object} The new arrangement
+ */
+export function placeSnippet(arrangement, sectionId, snippetId, index) {
+  const section = arrangement.sections.find((item) => item.id === sectionId);
+  const source = section && sourceOf(arrangement, section);
+  if (!source) return arrangement;
+
+  return mapSection(arrangement, source.id, (target) => {
+    const snippetIds = [...target.snippetIds];
+    const at = index === undefined ? snippetIds.length : index;
+    snippetIds.splice(
+      Math.max(0, Math.min(at, snippetIds.length)),
+      0,
+      snippetId,
+    );
+    return { ...target, snippetIds };
+  });
+}
+
+/**
+ * Take one placed snippet out of a section (the snippet itself stays in
+ * the collection)
+ *
+ * @param {Object} arrangement - { sections }
+ * @param {string} sectionId - The section
+ * @param {number} index - Which of its snippets
+ * @returns {Object} The new arrangement
+ */
+export function removeEntry(arrangement, sectionId, index) {
+  return mapSection(arrangement, sectionId, (section) => ({
+    ...section,
+    snippetIds: section.snippetIds.filter((_, position) => position !== index),
+  }));
+}
+
+/**
+ * Move a placed snippet, within its section or into another one
+ *
+ * @param {Object} arrangement - { sections }
+ * @param {{ sectionId: string, index: number }} from - Where it is
+ * @param {{ sectionId: string, index?: number }} to - Where it goes; the
+ *   end of the section without an index
+ * @returns {Object} The new arrangement
+ */
+export function moveEntry(arrangement, from, to) {
+  const section = arrangement.sections.find(
+    (item) => item.id === from.sectionId,
+  );
+  const snippetId = section?.snippetIds?.[from.index];
+  if (snippetId === undefined) return arrangement;
+
+  let index = to.index;
+  // Later entries in the same section shift up once this one is out
+  if (
+    to.sectionId === from.sectionId &&
+    index !== undefined &&
+    index > from.index
+  ) {
+    index--;
+  }
+
+  return placeSnippet(
+    removeEntry(arrangement, from.sectionId, from.index),
+    to.sectionId,
+    snippetId,
+    index,
+  );
+}
+
+/**
+ * The song as it's arranged, with every section's snippets looked up
+ *
+ * @param {Object} arrangement - { sections }
+ * @param {Array} snippets - The collection's snippets
+ * @returns {Array<{ id: string, name: string, isRepeat: boolean,
+ *   sourceId: string, snippets: Array, entries: Array }>} Sections in song
+ *   order; repeats of a removed section are left out. `entries` pairs each
+ *   snippet with its index in the section's snippetIds, which is what
+ *   removeEntry and moveEntry take.
+ */
+export function resolveArrangement(arrangement, snippets) {
+  const byId = new Map(snippets.map((snippet) => [snippet.id, snippet]));
+
+  return arrangement.sections
+    .map((section) => {
+      const source = sourceOf(arrangement, section);
+      if (!source) return null;
+
+      const entries = source.snippetIds
+        .map((snippetId, index) => ({ snippet: byId.get(snippetId), index }))
+        .filter((entry) => entry.snippet);
+
+      return {
+        id: section.id,
+        name: section.name,
+        isRepeat: !!section.repeatOf,
+        sourceId: source.id,
+        snippets: entries.map((entry) => entry.snippet),
+        entries,
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * The arranged song as snippets for the exporters and the clipboard: one
+ * stanza per section, headed with its name ("[Verse 1]") the way the
+ * exporters already read section labels. Empty sections are left out.
+ *
+ * @param {Object} arrangement - { sections }
+ * @param {Array} snippets - The collection's snippets
+ * @returns {Array<Object>} Snippet-shaped stanzas in song order
+ */
+export function arrangeSong(arrangement, snippets) {
+  return resolveArrangement(arrangement, snippets)
+    .filter((section) => section.snippets.length > 0)
+    .map((section) => {
+      const takeIds = new Set(
+        section.snippets.map((snippet) => snippet.takeId),
+      );
+      return {
+        id: section.id,
+        text: [
+          `[${section.name}]`,
+          ...section.snippets.map((snippet) => snippet.text),
+        ].join("\n"),
+        isParagraph: true,
+        // A section sung from one take keeps it, for timed exports
+        takeId: takeIds.size === 1 ? [...takeIds][0] || null : null,
+      };
+    });
+}
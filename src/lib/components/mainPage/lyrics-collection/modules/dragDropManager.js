@@ -2,7 +2,9 @@
  * Drag and drop management system for the lyrics collection component
  *
  * This module provides drag and drop functionality for reordering lyrics
- * cards within the collection.
+ * cards within the collection, and for laying them out in the song arranger:
+ * a card dropped on a section is placed in it, and a card already placed can
+ * be dragged on to another spot or section.
  */
 
 import {
@@ -29,12 +31,22 @@ export const sortableConfig = {
  * @param {Function} findItemById - Function to find item by ID
  * @param {Function} reorderItems - Function to reorder items after drop
  * @param {Function} showNotification - Function to display notifications
+ * @param {Function} [arrangeItem] - Function to place or move a card in the
+ *   arranger: ({ snippetId, to }) for a card from the list, ({ from, to })
+ *   for one already placed, where from/to are { sectionId, index? }
  * @returns {Object} Object containing all drag and drop handler functions
  */
-export function initDragDrop(findItemById, reorderItems, showNotification) {
+export function initDragDrop(
+  findItemById,
+  reorderItems,
+  showNotification,
+  arrangeItem,
+) {
   // State for drag operations
   let dragSource = null;
   let isDragging = false;
+  // A card already placed in the arranger: { sectionId, index }
+  let dragEntry = null;
 
   /**
    * Handle drag start event
@@ -45,7 +57,8 @@ export function initDragDrop(findItemById, reorderItems, showNotification) {
   function handleDragStart(event, id) {
     dragSource = id;
     isDragging = true;
-    event.dataTransfer.effectAllowed = "move";
+    // Moved within the list, copied into an arranger section
+    event.dataTransfer.effectAllowed = "copyMove";
     event.dataTransfer.setData("text/plain", id);
 
     // Add styling to the dragged element
@@ -67,6 +80,7 @@ export function initDragDrop(findItemById, reorderItems, showNotification) {
    */
   function handleDragOver(event, id) {
     event.preventDefault();
+    event.dataTransfer.dropEffect = "move";
 
     // Only proceed if we have a valid drag operation
     if (!dragSource || dragSource === id) return;
@@ -157,6 +171,78 @@ export function initDragDrop(findItemById, reorderItems, showNotification) {
 
     // Reset drag source
     dragSource = null;
+    dragEntry = null;
+    isDragging = false;
+  }
+
+  /**
+   * Handle drag start on a card already placed in an arranger section
+   *
+   * @param {DragEvent} event - The drag start event
+   * @param {string} sectionId - The section it's in
+   * @param {number} index - Its place in the section
+   */
+  function handleEntryDragStart(event, sectionId, index) {
+    event.stopPropagation();
+    dragEntry = { sectionId, index };
+    isDragging = true;
+    event.dataTransfer.effectAllowed = "move";
+    event.dataTransfer.setData("text/plain", sectionId);
+
+    playDragStartSound();
+  }
+
+  /**
+   * Handle drag over an arranger section (or a card placed in one)
+   *
+   * @param {DragEvent} event - The drag over event
+   */
+  function handleSectionDragOver(event) {
+    // Files and text from elsewhere aren't cards
+    if (!dragSource && !dragEntry) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    event.dataTransfer.dropEffect = dragEntry ? "move" : "copy";
+    event.currentTarget.classList.add("section-drag-over");
+  }
+
+  /**
+   * Handle drag leaving an arranger section
+   *
+   * @param {DragEvent} event - The drag leave event
+   */
+  function handleSectionDragLeave(event) {
+    // Crossing into a child isn't leaving
+    if (event.currentTarget.contains(event.relatedTarget)) return;
+    event.currentTarget.classList.remove("section-drag-over");
+  }
+
+  /**
+   * Handle a drop on an arranger section
+   *
+   * @param {DragEvent} event - The drop event
+   * @param {string} sectionId - The section dropped on
+   * @param {number} [index] - The placed card dropped on, if any; the card
+   *   goes in before it, or at the end of the section without one
+   */
+  function handleSectionDrop(event, sectionId, index) {
+    if (!dragSource && !dragEntry) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    event.currentTarget.classList.remove("section-drag-over");
+
+    if (arrangeItem) {
+      const to = { sectionId, index };
+      arrangeItem(
+        dragEntry ? { from: dragEntry, to } : { snippetId: dragSource, to },
+      );
+      playDropSound();
+    }
+
+    dragSource = null;
+    dragEntry = null;
     isDragging = false;
   }
 
@@ -179,6 +265,10 @@ export function initDragDrop(findItemById, reorderItems, showNotification) {
     handleDragLeave,
     handleDrop,
     handleDragEnd,
+    handleEntryDragStart,
+    handleSectionDragOver,
+    handleSectionDragLeave,
+    handleSectionDrop,
     getDragState,
   };
 }
@@ -1,12 +1,30 @@
 /**
  * Export management system for lyrics collection
  *
- * This module handles copying lyrics to clipboard and
- * exporting/downloading lyrics as text files.
+ * This module handles copying lyrics to clipboard and exporting/downloading
+ * lyrics as files. Each file format is an exporter in a registry, so the
+ * download menu lists whatever is registered:
+ *
+ * ```
+ * registerExporter({
+ *   id: "csv",
+ *   label: "Spreadsheet (.csv)",
+ *   extension: "csv",
+ *   mimeType: "text/csv",
+ *   isAvailable: (context) => true, // optional
+ *   build: (context) => "...", // string, Blob or bytes; may be async
+ * });
+ * ```
+ *
+ * The context an exporter gets is { snippets, originalSnippets, project,
+ * title, exportedAt }. The built-in formats live in ./exporters.
  */
 
 import { playCopySound } from "./soundIntegration.js";
-import { createFilename } from "./textUtils";
+import { createFilename, getLyricsTitle } from "./textUtils";
+import { BUILT_IN_EXPORTERS } from "./exporters";
+
+const exporters = new Map();
 
 /**
  * Copy lyrics to clipboard
@@ -52,119 +70,120 @@ export async function copyToClipboard(snippets, onSuccess, onError) {
 }
 
 /**
- * Format lyrics for download
+ * Add a file format to the download menu. Registering an id again replaces
+ * the earlier exporter.
  *
- * @param {Array} snippets - Array of lyric snippets to format
- * @param {string} customTitle - Optional custom title for the lyrics
- * @returns {Object} Formatted text and generated title
+ * @param {Object} exporter - { id, label, extension, mimeType, build,
+ *   isAvailable? }
  */
-export function formatLyricsForDownload(snippets, customTitle = "") {
-  if (!snippets || snippets.length === 0) {
-    return {
-      formattedText: "",
-      title: "",
-    };
+export function registerExporter(exporter) {
+  if (!exporter?.id || typeof exporter.build !== "function") {
+    throw new Error("An exporter needs an id and a build function");
   }
+  exporters.set(exporter.id, exporter);
+}
 
-  // Create date strings for the file
-  const date = new Date();
-  const formattedDate = `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, "0")}-${date.getDate().toString().padStart(2, "0")}`;
-  const formattedTime = `${date.getHours().toString().padStart(2, "0")}:${date.getMinutes().toString().padStart(2, "0")}`;
-
-  // Create a title for the lyrics
-  let title = customTitle || "Untitled Lyrics";
-
-  // If no custom title and we have snippets, use text from first snippet
-  if (!customTitle && snippets.length > 0) {
-    const firstLine = snippets[0].text.split("\n")[0];
-    const words = firstLine.split(" ");
-    if (words.length > 5) {
-      // Use first 5 words + "..."
-      title = words.slice(0, 5).join(" ") + "...";
-    } else {
-      // Use the whole first line if it's short
-      title = firstLine;
-    }
-  }
-
-  // Format the header
-  let formattedText = `${title}\n`;
-  formattedText += `${"-".repeat(title.length)}\n\n`;
-  formattedText += `Created: ${formattedDate} at ${formattedTime}\n\n`;
-
-  // Divider between header and content
-  formattedText += `${"* ".repeat(30)}\n\n`;
-
-  // Format the lyrics with spacing between stanzas
-  const lyricsText = snippets.map((snippet) => snippet.text).join("\n\n");
-
-  formattedText += lyricsText;
-
-  // Add a footer
-  formattedText += `\n\n${"* ".repeat(30)}\n\n`;
-  formattedText += `Generated with RiffRap\n`;
+BUILT_IN_EXPORTERS.forEach(registerExporter);
 
+/**
+ * Build the context exporters receive
+ *
+ * @param {Object} collection - { snippets, originalSnippets?, project?, title? }
+ * @returns {Object} Export context
+ */
+function createExportContext({
+  snippets,
+  originalSnippets = [],
+  project = null,
+  title = "",
+}) {
   return {
-    formattedText,
-    title,
-    formattedDate,
+    snippets,
+    originalSnippets,
+    project,
+    title: getLyricsTitle(snippets, title || project?.name),
+    exportedAt: new Date(),
   };
 }
 
 /**
- * Download lyrics as a text file
+ * The registered formats, with whether each can export this collection
  *
- * @param {Array} snippets - Array of lyric snippets to download
- * @param {string} customTitle - Optional custom title for the file
+ * @param {Object} collection - { snippets, originalSnippets?, project?, title? }
+ * @returns {Array<{ id: string, label: string, available: boolean }>}
+ */
+export function getExportFormats(collection) {
+  const context = createExportContext(collection);
+  return [...exporters.values()].map((exporter) => ({
+    id: exporter.id,
+    label: exporter.label,
+    available:
+      context.snippets.length > 0 &&
+      (!exporter.isAvailable || exporter.isAvailable(context)),
+  }));
+}
+
+/**
+ * Hand a file to the browser as a download
+ *
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested filename
+ */
+function saveFile(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+
+  // Append to the document temporarily and trigger the download
+  document.body.appendChild(link);
+  link.click();
+
+  // Clean up
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Export the collection in one of the registered formats and download it
+ *
+ * @param {string} formatId - Registered exporter id
+ * @param {Object} collection - { snippets, originalSnippets?, project?, title? }
  * @param {Function} onSuccess - Callback function called on successful download
  * @param {Function} onError - Callback function called on error
- * @returns {boolean} Success status
+ * @returns {Promise<boolean>} Success status
  */
-export function downloadLyricsAsText(
-  snippets,
-  customTitle = "",
+export async function exportCollection(
+  formatId,
+  collection,
   onSuccess,
   onError,
 ) {
+  const exporter = exporters.get(formatId);
+
   // Check if we have any snippets to download
-  if (!snippets || snippets.length === 0) {
+  if (!collection.snippets || collection.snippets.length === 0 || !exporter) {
     if (onError && typeof onError === "function") {
-      onError("No lyrics to download");
+      onError(exporter ? "No lyrics to download" : "Unknown export format");
     }
     return false;
   }
 
   try {
-    // Format the lyrics
-    const { formattedText, title, formattedDate } = formatLyricsForDownload(
-      snippets,
-      customTitle,
-    );
-
-    // Create a Blob with the text content
-    const blob = new Blob([formattedText], { type: "text/plain" });
-
-    // Create a URL for the Blob
-    const url = URL.createObjectURL(blob);
-
-    // Create a temporary link element
-    const link = document.createElement("a");
-    link.href = url;
+    const context = createExportContext(collection);
+    const content = await exporter.build(context);
+    const blob =
+      content instanceof Blob
+        ? content
+        : new Blob([content], { type: exporter.mimeType });
 
     // Set the download filename - use date for uniqueness
-    // Clean the title to use as filename - remove special characters
-    const cleanTitle = createFilename(title);
-    link.download = `lyrics-${cleanTitle}-${formattedDate}.txt`;
-
-    // Append to the document temporarily
-    document.body.appendChild(link);
-
-    // Trigger the download
-    link.click();
-
-    // Clean up
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    const date = context.exportedAt;
+    const formattedDate = `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, "0")}-${date.getDate().toString().padStart(2, "0")}`;
+    saveFile(
+      blob,
+      `lyrics-${createFilename(context.title)}-${formattedDate}.${exporter.extension}`,
+    );
 
     // Call success callback if provided
     if (onSuccess && typeof onSuccess === "function") {
@@ -177,9 +196,32 @@ export function downloadLyricsAsText(
 
     // Call error callback if provided
     if (onError && typeof onError === "function") {
-      onError("Error downloading lyrics");
+      onError(error.message || "Error downloading lyrics");
     }
 
     return false;
   }
 }
+
+/**
+ * Download lyrics as a text file
+ *
+ * @param {Array} snippets - Array of lyric snippets to download
+ * @param {string} customTitle - Optional custom title for the file
+ * @param {Function} onSuccess - Callback function called on successful download
+ * @param {Function} onError - Callback function called on error
+ * @returns {Promise<boolean>} Success status
+ */
+export function downloadLyricsAsText(
+  snippets,
+  customTitle = "",
+  onSuccess,
+  onError,
+) {
+  return exportCollection(
+    "text",
+    { snippets, title: customTitle },
+    onSuccess,
+    onError,
+  );
+}
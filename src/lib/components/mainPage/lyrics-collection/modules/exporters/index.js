@@ -0,0 +1,20 @@
+/**
+ * Built-in lyrics exporters, in menu order. exportManager registers these;
+ * anything else can add its own with registerExporter.
+ */
+
+import { textExporter } from "./textExporter";
+import { markdownExporter } from "./markdownExporter";
+import { jsonExporter } from "./jsonExporter";
+import { pdfExporter } from "./pdfExporter";
+import { lrcExporter } from "./lrcExporter";
+
+export const BUILT_IN_EXPORTERS = [
+  textExporter,
+  markdownExporter,
+  jsonExporter,
+  pdfExporter,
+  lrcExporter,
+];
+
+export { ARCHIVE_FORMAT, ARCHIVE_VERSION } from "./jsonExporter";
@@ -0,0 +1,31 @@
+/**
+ * JSON archive: everything in the collection, exactly as stored, so nothing
+ * is lost on the way out. Take audio stays in this browser; snippets keep
+ * their takeId so a later import on the same device can still find it.
+ */
+
+/** Identifies the file as a RiffRap archive when it comes back in */
+export const ARCHIVE_FORMAT = "riffrap-lyrics";
+export const ARCHIVE_VERSION = 1;
+
+export const jsonExporter = {
+  id: "json",
+  label: "JSON archive (.json)",
+  extension: "json",
+  mimeType: "application/json",
+
+  build({ snippets, originalSnippets = [], project = null, exportedAt }) {
+    return JSON.stringify(
+      {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: exportedAt.toISOString(),
+        project,
+        snippets,
+        originalSnippets,
+      },
+      null,
+      2,
+    );
+  },
+};
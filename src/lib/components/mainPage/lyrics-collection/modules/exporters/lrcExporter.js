@@ -0,0 +1,110 @@
+/**
+ * LRC export, for players and DAWs that show lyrics in time with the audio.
+ *
+ * Timings come from the takes the lines were collected from: each take keeps
+ * the transcript's timed segments, and a line is matched to the segment with
+ * the same words. Cards from different takes follow one another, each take
+ * starting where the previous one's last line ended. Lines with no match
+ * share the timestamp before them; section labels are left out.
+ */
+
+import { takeService } from "$lib/services/takes";
+import { parseSectionLabel } from "../textUtils";
+
+function normalize(text) {
+  // Letters in any script, accents composed so they aren't stripped as marks
+  return (text || "")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * @param {number} seconds
+ * @returns {string} LRC time tag, [mm:ss.xx]
+ */
+export function formatLrcTime(seconds) {
+  const hundredths = Math.max(0, Math.round(seconds * 100));
+  const minutes = Math.floor(hundredths / 6000);
+  const rest = (hundredths % 6000) / 100;
+  return `[${String(minutes).padStart(2, "0")}:${rest.toFixed(2).padStart(5, "0")}]`;
+}
+
+/**
+ * Find when a line was sung in its take, searching forward from `from` so
+ * repeated lines (a chorus) take successive segments
+ */
+function findSegment(segments, line, from) {
+  const wanted = normalize(line);
+  if (!wanted) return -1;
+
+  for (let i = from; i < segments.length; i++) {
+    if (normalize(segments[i].text) === wanted) return i;
+  }
+  // The line may have been tidied up after collecting; settle for overlap
+  for (let i = from; i < segments.length; i++) {
+    const text = normalize(segments[i].text);
+    if (text && (text.includes(wanted) || wanted.includes(text))) return i;
+  }
+  return -1;
+}
+
+export const lrcExporter = {
+  id: "lrc",
+  label: "Synced lyrics (.lrc)",
+  extension: "lrc",
+  mimeType: "text/plain",
+
+  // Only snippets that kept their take can have timings
+  isAvailable: ({ snippets }) => snippets.some((snippet) => snippet.takeId),
+
+  async build({ snippets, title }) {
+    const takes = new Map();
+    const cursors = new Map();
+    const output = [`[ti:${title}]`, "[re:RiffRap]", ""];
+
+    let offset = 0;
+    let lastTakeId = null;
+    let lastTime = 0;
+    let takeEnd = 0;
+    let timedLines = 0;
+
+    for (const snippet of snippets) {
+      if (snippet.takeId && !takes.has(snippet.takeId)) {
+        const take = await takeService.getTake(snippet.takeId);
+        takes.set(snippet.takeId, take?.segments || []);
+      }
+      const segments = takes.get(snippet.takeId) || [];
+
+      if (snippet.takeId && snippet.takeId !== lastTakeId && lastTakeId) {
+        offset = takeEnd;
+      }
+      if (snippet.takeId) lastTakeId = snippet.takeId;
+
+      for (const line of snippet.text.split("\n")) {
+        // Blank lines and "[Chorus]"-style labels aren't sung
+        if (!line.trim() || parseSectionLabel(line)) continue;
+
+        const from = cursors.get(snippet.takeId) || 0;
+        const index = segments.length ? findSegment(segments, line, from) : -1;
+        if (index !== -1) {
+          const segment = segments[index];
+          cursors.set(snippet.takeId, index + 1);
+          lastTime = Math.max(lastTime, offset + segment.start);
+          takeEnd = Math.max(takeEnd, offset + segment.end);
+          timedLines++;
+        }
+
+        output.push(`${formatLrcTime(lastTime)}${line.trim()}`);
+      }
+    }
+
+    if (timedLines === 0) {
+      throw new Error("No line timings for these lyrics yet");
+    }
+
+    return `${output.join("\n")}\n`;
+  },
+};
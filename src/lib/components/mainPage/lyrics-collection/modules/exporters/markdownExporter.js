@@ -0,0 +1,49 @@
+/**
+ * Markdown export for notes apps: the title as a heading and each card as a
+ * section under its own heading. A card whose first line is a label
+ * ("[Chorus]", "Verse 2:") is headed with that label, one labelled with a
+ * section in the collection with that section's name; the others are
+ * numbered.
+ */
+
+import { parseSectionLabel } from "../textUtils";
+import { sectionLabel } from "../snippetLabels";
+
+// Characters Markdown would otherwise read as formatting at the start of a line
+const LEADING_MARKUP = /^(\s*)([#>*+-]|\d+\.)(\s)/;
+
+function escapeLine(line) {
+  return line.replace(LEADING_MARKUP, "$1\\$2$3");
+}
+
+export const markdownExporter = {
+  id: "markdown",
+  label: "Markdown (.md)",
+  extension: "md",
+  mimeType: "text/markdown",
+
+  build({ snippets, title }) {
+    let unnamed = 0;
+
+    const sections = snippets.map((snippet) => {
+      const lines = snippet.text.split("\n");
+      let heading = parseSectionLabel(lines[0]);
+
+      if (heading) {
+        lines.shift();
+      } else {
+        heading = sectionLabel(snippet.section) || `Section ${++unnamed}`;
+      }
+
+      // Two trailing spaces keep each lyric on its own line when rendered
+      const body = lines
+        .map((line) => (line.trim() ? `${escapeLine(line)}  ` : ""))
+        .join("\n")
+        .trim();
+
+      return `## ${heading}\n\n${body}`;
+    });
+
+    return `# ${title}\n\n${sections.join("\n\n")}\n`;
+  },
+};
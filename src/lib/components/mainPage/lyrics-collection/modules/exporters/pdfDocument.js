@@ -0,0 +1,229 @@
+/**
+ * A minimal PDF writer for printable lyric sheets.
+ *
+ * Text only, in the two fonts every PDF reader ships with (Helvetica and
+ * Helvetica-Bold), so there is nothing to embed and nothing to download. The
+ * cost is the character set: the standard fonts cover Windows-1252, and any
+ * other character is printed as "?".
+ *
+ * Usage:
+ * ```
+ * const bytes = createPdfDocument({ title, blocks: [{ text, style: "body" }] });
+ * ```
+ */
+
+// A4, in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 56;
+
+const STYLES = {
+  title: { font: "F2", size: 20, leading: 28, color: "0.1 0.1 0.1" },
+  meta: { font: "F1", size: 9, leading: 22, color: "0.45 0.45 0.45" },
+  heading: { font: "F2", size: 12, leading: 20, color: "0.42 0.16 0.85" },
+  body: { font: "F1", size: 12, leading: 17, color: "0.1 0.1 0.1" },
+};
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126, from the AFM
+// prettier-ignore
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+  584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+  278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+  500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+  500, 334, 260, 334, 584,
+];
+
+// Bold runs about this much wider; close enough for line breaking
+const BOLD_SCALE = 1.08;
+
+// Windows-1252 code points for the characters outside Latin-1 it covers
+const WIN_ANSI = {
+  "€": 0x80,
+  "‚": 0x82,
+  ƒ: 0x83,
+  "„": 0x84,
+  "…": 0x85,
+  "†": 0x86,
+  "‡": 0x87,
+  ˆ: 0x88,
+  "‰": 0x89,
+  Š: 0x8a,
+  "‹": 0x8b,
+  Œ: 0x8c,
+  Ž: 0x8e,
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "•": 0x95,
+  "–": 0x96,
+  "—": 0x97,
+  "˜": 0x98,
+  "™": 0x99,
+  š: 0x9a,
+  "›": 0x9b,
+  œ: 0x9c,
+  ž: 0x9e,
+  Ÿ: 0x9f,
+};
+
+function toWinAnsi(text) {
+  return Array.from(text, (char) => {
+    if (WIN_ANSI[char]) return String.fromCharCode(WIN_ANSI[char]);
+    const code = char.codePointAt(0);
+    return code < 0x80 || (code >= 0xa0 && code <= 0xff) ? char : "?";
+  }).join("");
+}
+
+function textWidth(text, style) {
+  const units = Array.from(text).reduce((total, char) => {
+    const code = char.charCodeAt(0);
+    return total + (HELVETICA_WIDTHS[code - 32] ?? 556);
+  }, 0);
+  const scale = style.font === "F2" ? BOLD_SCALE : 1;
+  return (units * style.size * scale) / 1000;
+}
+
+/**
+ * Break a line into pieces that fit the page width, at spaces where possible
+ */
+function wrapLine(text, style, maxWidth) {
+  if (textWidth(text, style) <= maxWidth) return [text];
+
+  const pieces = [];
+  let current = "";
+
+  text.split(" ").forEach((word) => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (textWidth(candidate, style) <= maxWidth) {
+      current = candidate;
+      return;
+    }
+
+    if (current) pieces.push(current);
+    current = word;
+
+    // A single word wider than the page is split wherever it has to be
+    while (textWidth(current, style) > maxWidth && current.length > 1) {
+      let cut = current.length - 1;
+      while (cut > 1 && textWidth(current.slice(0, cut), style) > maxWidth) {
+        cut--;
+      }
+      pieces.push(current.slice(0, cut));
+      current = current.slice(cut);
+    }
+  });
+
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+function escapePdfString(text) {
+  return text.replace(/[\\()]/g, (char) => `\\${char}`);
+}
+
+/**
+ * Lay out blocks of text into pages of drawing operators
+ */
+function layoutPages(blocks) {
+  const pages = [];
+  const maxWidth = PAGE_WIDTH - MARGIN * 2;
+  let operators = [];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  const newPage = () => {
+    if (operators.length) pages.push(operators.join("\n"));
+    operators = [];
+    y = PAGE_HEIGHT - MARGIN;
+  };
+
+  blocks.forEach(({ text, style: styleName = "body", keepWithNext }) => {
+    const style = STYLES[styleName] || STYLES.body;
+
+    // Blank lines are just space, and never start a page
+    if (!text.trim()) {
+      if (y < PAGE_HEIGHT - MARGIN) y -= style.leading * 0.6;
+      return;
+    }
+
+    const pieces = wrapLine(toWinAnsi(text), style, maxWidth);
+
+    // Headings don't sit alone at the bottom of a page
+    const needed = style.leading * (pieces.length + (keepWithNext ? 2 : 0));
+    if (y - needed < MARGIN) newPage();
+
+    pieces.forEach((piece, index) => {
+      if (y - style.leading < MARGIN) newPage();
+      y -= style.leading;
+      const x = MARGIN + (index > 0 ? style.size : 0);
+      operators.push(
+        `BT /${style.font} ${style.size} Tf ${style.color} rg ` +
+          `${x.toFixed(2)} ${y.toFixed(2)} Td (${escapePdfString(piece)}) Tj ET`,
+      );
+    });
+  });
+
+  newPage();
+  return pages.length ? pages : [""];
+}
+
+/**
+ * Build a PDF from blocks of text.
+ *
+ * @param {Object} options
+ * @param {string} options.title - Document title (metadata)
+ * @param {Array<{ text: string, style?: "title"|"meta"|"heading"|"body",
+ *   keepWithNext?: boolean }>} options.blocks - Lines in reading order
+ * @returns {Uint8Array} The PDF file
+ */
+export function createPdfDocument({ title = "", blocks = [] }) {
+  const pages = layoutPages(blocks);
+  const objects = [];
+
+  // 1: catalog, 2: page tree, 3-4: fonts, 5: info, then page + content pairs
+  const pageIds = pages.map((_, index) => 6 + index * 2);
+
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] =
+    `<< /Type /Pages /Count ${pages.length} ` +
+    `/Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] >>`;
+  objects[3] =
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>";
+  objects[4] =
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>";
+  objects[5] =
+    `<< /Title (${escapePdfString(toWinAnsi(title))}) ` +
+    "/Producer (RiffRap) >>";
+
+  pages.forEach((content, index) => {
+    const pageId = pageIds[index];
+    objects[pageId] =
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] =
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+  });
+
+  // Every character is one byte from here on, so string offsets are byte offsets
+  let output = "%PDF-1.4\n%\xE2\xE3\xCF\xD3\n";
+  const offsets = [];
+
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = output.length;
+    output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = output.length;
+  output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    output += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  }
+  output +=
+    `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\n` +
+    `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Uint8Array.from(output, (char) => char.charCodeAt(0));
+}
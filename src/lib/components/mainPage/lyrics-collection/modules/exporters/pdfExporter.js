@@ -0,0 +1,36 @@
+/**
+ * Printable PDF: a lyric sheet with the title, the date, and each card as a
+ * stanza (under its label, when it starts with one). Generated in the browser
+ * by pdfDocument.js; nothing is uploaded.
+ */
+
+import { parseSectionLabel } from "../textUtils";
+import { createPdfDocument } from "./pdfDocument";
+
+export const pdfExporter = {
+  id: "pdf",
+  label: "Printable PDF (.pdf)",
+  extension: "pdf",
+  mimeType: "application/pdf",
+
+  build({ snippets, title, exportedAt }) {
+    const blocks = [
+      { text: title, style: "title" },
+      { text: exportedAt.toLocaleDateString(), style: "meta" },
+    ];
+
+    snippets.forEach((snippet, index) => {
+      const lines = snippet.text.split("\n");
+      const label = parseSectionLabel(lines[0]);
+
+      if (index > 0) blocks.push({ text: "" });
+      if (label) {
+        lines.shift();
+        blocks.push({ text: label, style: "heading", keepWithNext: true });
+      }
+      lines.forEach((line) => blocks.push({ text: line }));
+    });
+
+    return createPdfDocument({ title, blocks });
+  },
+};
@@ -0,0 +1,17 @@
+/**
+ * Plain text export: the original download layout, with a title header and
+ * stanzas separated by blank lines.
+ */
+
+import { formatLyricsForDownload } from "../textUtils";
+
+export const textExporter = {
+  id: "text",
+  label: "Plain text (.txt)",
+  extension: "txt",
+  mimeType: "text/plain",
+
+  build({ snippets, title }) {
+    return formatLyricsForDownload(snippets, title);
+  },
+};
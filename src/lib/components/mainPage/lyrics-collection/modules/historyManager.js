@@ -0,0 +1,206 @@
+/**
+ * Undo/redo history for the lyrics collection
+ *
+ * Every change to a project's collection is recorded as a command: what kind
+ * of change it was, and the collection before and after it. Undo puts the
+ * "before" back, redo the "after". Whole snapshots rather than inverse
+ * operations keep undo exact for every kind of change (a compile touches
+ * every card at once).
+ *
+ * Snapshots share the snippet objects rather than copying them, but the
+ * history is saved with every edit, so what it holds still counts. A
+ * snippet's earlier versions (see versionHistory.js) are the bulk of it, and
+ * they're only kept for snippets a command adds or removes: any snippet on
+ * both sides of a command is on screen whenever that command is undone or
+ * redone, and withVersionsFrom takes its versions from there.
+ *
+ * The history is plain data so it can be saved with the project and still be
+ * there after a reload. These functions never mutate it; they return a new one.
+ */
+
+/** Commands kept per project; the oldest drop off first */
+export const HISTORY_LIMIT = 50;
+
+/** A project with nothing to undo or redo */
+export const EMPTY_HISTORY = Object.freeze({ past: [], future: [] });
+
+/** What each command is called in the UI ("Undo delete") */
+const COMMAND_LABELS = {
+  add: "add",
+  import: "import",
+  correct: "spelling fixes",
+  edit: "edit",
+  restore: "restore",
+  label: "label",
+  arrange: "arrange",
+  sync: "sync",
+  delete: "delete",
+  reorder: "reorder",
+  compile: "compile",
+  split: "uncombine",
+  clear: "clear",
+  change: "change",
+};
+
+/**
+ * The parts of the store a command can change
+ *
+ * @param {Object} state - Store state (or anything with the same fields)
+ * @returns {{ snippets: Array, originalSnippets: Array,
+ *   isUndoAvailable: boolean, arrangement: Object }}
+ */
+export function snapshotOf(state) {
+  return {
+    snippets: state.snippets,
+    // Originals only matter while a compile can be undone
+    originalSnippets: state.isUndoAvailable ? state.originalSnippets : [],
+    isUndoAvailable: state.isUndoAvailable,
+    arrangement: state.arrangement,
+  };
+}
+
+function withoutVersions(snippet) {
+  if (!snippet.versions) return snippet;
+  const trimmed = { ...snippet };
+  delete trimmed.versions;
+  return trimmed;
+}
+
+// Drops the versions of snippets the other side of the command also has
+function trimSnapshot(snapshot, other) {
+  const otherIds = new Set(other.snippets.map((snippet) => snippet.id));
+  return {
+    ...snapshot,
+    snippets: snapshot.snippets.map((snippet) =>
+      otherIds.has(snippet.id) ? withoutVersions(snippet) : snippet,
+    ),
+  };
+}
+
+/**
+ * A snapshot from the history, ready to put back: snippets recorded
+ * without their versions get them from the collection as it is now
+ *
+ * @param {Object} snapshot - command.before or command.after
+ * @param {Array} currentSnippets - The snippets on screen
+ * @returns {Object} The snapshot with versions filled in
+ */
+export function withVersionsFrom(snapshot, currentSnippets) {
+  const versionsById = new Map(
+    currentSnippets
+      .filter((snippet) => snippet.versions)
+      .map((snippet) => [snippet.id, snippet.versions]),
+  );
+
+  return {
+    ...snapshot,
+    snippets: snapshot.snippets.map((snippet) =>
+      snippet.versions || !versionsById.has(snippet.id)
+        ? snippet
+        : { ...snippet, versions: versionsById.get(snippet.id) },
+    ),
+  };
+}
+
+function sameLabels(a, b) {
+  const aTags = a.tags || [];
+  const bTags = b.tags || [];
+  return (
+    (a.section || null) === (b.section || null) &&
+    aTags.length === bTags.length &&
+    aTags.every((tag, index) => tag === bTags[index])
+  );
+}
+
+function sameSnippets(a, b) {
+  return (
+    a.length === b.length &&
+    a.every(
+      (snippet, index) =>
+        snippet.id === b[index].id &&
+        snippet.text === b[index].text &&
+        sameLabels(snippet, b[index]),
+    )
+  );
+}
+
+/**
+ * Record a change. A change that leaves the cards as they were (saving an
+ * edit without editing, say) isn't recorded. Redo is lost, as usual, once
+ * something new happens.
+ *
+ * @param {Object} history - { past, future }
+ * @param {string} type - add, import, edit, restore, label, arrange, sync,
+ *   delete, reorder, compile, split or clear
+ * @param {Object} before - Snapshot before the change (see snapshotOf)
+ * @param {Object} after - Snapshot after the change
+ * @returns {Object} The new history
+ */
+export function recordCommand(history, type, before, after) {
+  if (
+    sameSnippets(before.snippets, after.snippets) &&
+    before.isUndoAvailable === after.isUndoAvailable &&
+    before.arrangement === after.arrangement
+  ) {
+    return history;
+  }
+
+  const command = {
+    type,
+    before: trimSnapshot(before, after),
+    after: trimSnapshot(after, before),
+    at: new Date().toISOString(),
+  };
+  return {
+    past: [...history.past, command].slice(-HISTORY_LIMIT),
+    future: [],
+  };
+}
+
+/**
+ * Step back one command
+ *
+ * @param {Object} history - { past, future }
+ * @returns {{ history: Object, command: Object }|null} The new history and
+ *   the command undone (restore command.before), or null if there is none
+ */
+export function undoCommand(history) {
+  const command = history.past[history.past.length - 1];
+  if (!command) return null;
+
+  return {
+    command,
+    history: {
+      past: history.past.slice(0, -1),
+      future: [command, ...history.future],
+    },
+  };
+}
+
+/**
+ * Step forward one undone command
+ *
+ * @param {Object} history - { past, future }
+ * @returns {{ history: Object, command: Object }|null} The new history and
+ *   the command redone (restore command.after), or null if there is none
+ */
+export function redoCommand(history) {
+  const command = history.future[0];
+  if (!command) return null;
+
+  return {
+    command,
+    history: {
+      past: [...history.past, command],
+      future: history.future.slice(1),
+    },
+  };
+}
+
+/**
+ * @param {Object|undefined} command
+ * @returns {string} Short name for the command, for buttons and messages
+ */
+export function describeCommand(command) {
+  return (command && COMMAND_LABELS[command.type]) || COMMAND_LABELS.change;
+}
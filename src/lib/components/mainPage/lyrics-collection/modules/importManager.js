@@ -0,0 +1,215 @@
+/**
+ * Import management system for lyrics collection
+ *
+ * This module turns lyrics from elsewhere — text and Markdown files, RiffRap
+ * JSON archives, LRC files, the clipboard — into snippets for the collection.
+ * Plain text is split into one snippet per stanza, the reverse of
+ * combineSnippets: blank lines separate snippets, and lines are trimmed.
+ *
+ * Files our own exporters wrote come back cleanly: the text layout's header
+ * and footer are dropped, Markdown section headings become "[Label]" lines,
+ * and a JSON archive restores its snippets with everything they carried.
+ */
+
+import { parseSectionLabel } from "./textUtils";
+import { ARCHIVE_FORMAT, ARCHIVE_VERSION } from "./exporters";
+
+/** Larger files are almost certainly not lyrics */
+export const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+
+/** For the file picker's accept attribute */
+export const IMPORT_ACCEPT = ".txt,.md,.markdown,.json,.lrc,text/plain";
+
+// LRC lines further apart than this start a new stanza
+const LRC_STANZA_GAP = 4;
+
+// The divider our plain text export puts around the lyrics
+const TEXT_EXPORT_DIVIDER = "* ".repeat(30).trim();
+
+/**
+ * Split text into stanzas: blank lines separate them, lines are trimmed and
+ * empty ones dropped
+ *
+ * @param {string} text - Text with stanzas separated by blank lines
+ * @returns {Array<string>} One entry per stanza
+ */
+export function splitIntoStanzas(text) {
+  return (text || "")
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/)
+    .map((stanza) =>
+      stanza
+        .split("\n")
+        .map((line) => line.trim())
+        .filter((line) => line.length > 0)
+        .join("\n"),
+    )
+    .filter((stanza) => stanza.length > 0);
+}
+
+/**
+ * Plain text, minus the title header and footer of our own text export
+ */
+function parseText(text) {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  const dividers = lines
+    .map((line, index) => (line.trim() === TEXT_EXPORT_DIVIDER ? index : -1))
+    .filter((index) => index !== -1);
+
+  if (dividers.length >= 2) {
+    const body = lines.slice(dividers[0] + 1, dividers[dividers.length - 1]);
+    return splitIntoStanzas(body.join("\n"));
+  }
+
+  return splitIntoStanzas(text);
+}
+
+/**
+ * Markdown: headings start stanzas, real section names are kept as labels,
+ * and the markup our exporter adds is taken off again
+ */
+function parseMarkdown(text) {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  const output = [];
+
+  lines.forEach((line) => {
+    const heading = line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+    if (!heading) {
+      output.push(line.replace(/^(\s*)\\([#>*+-]|\d+\.)/, "$1$2"));
+      return;
+    }
+
+    // A heading always ends the stanza before it
+    output.push("");
+
+    // Only section names survive; titles and our "Section 3" numbering don't
+    const label = parseSectionLabel(heading[1]);
+    if (label && !/^#\s/.test(line.trim())) output.push(`[${label}]`);
+  });
+
+  return splitIntoStanzas(output.join("\n"));
+}
+
+/**
+ * LRC: time tags and header tags are dropped, and a long pause between two
+ * lines (or a blank line) starts a new stanza
+ */
+function parseLrc(text) {
+  const output = [];
+  let previousTime = null;
+
+  text
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .forEach((line) => {
+      const times = [...line.matchAll(/\[(\d+):(\d+(?:\.\d+)?)\]/g)];
+      const words = line.replace(/\[[^\]]*\]/g, "").trim();
+
+      if (!words) {
+        // Header tags ([ti:...]) are skipped; real blank lines split stanzas
+        if (!/^\s*\[[a-z]+:/i.test(line)) output.push("");
+        return;
+      }
+
+      if (times.length > 0) {
+        const time = Number(times[0][1]) * 60 + Number(times[0][2]);
+        if (previousTime !== null && time - previousTime >= LRC_STANZA_GAP) {
+          output.push("");
+        }
+        previousTime = time;
+      }
+
+      output.push(words);
+    });
+
+  return splitIntoStanzas(output.join("\n"));
+}
+
+/**
+ * A RiffRap JSON archive (see exporters/jsonExporter.js)
+ */
+function parseArchive(text) {
+  let archive;
+  try {
+    archive = JSON.parse(text);
+  } catch {
+    throw new Error("That JSON file couldn't be read");
+  }
+
+  if (archive?.format !== ARCHIVE_FORMAT || !Array.isArray(archive.snippets)) {
+    throw new Error("That JSON file isn't a RiffRap lyrics archive");
+  }
+  if (archive.version > ARCHIVE_VERSION) {
+    throw new Error("That archive is from a newer version of RiffRap");
+  }
+
+  return archive.snippets
+    .filter((snippet) => typeof snippet?.text === "string")
+    .filter((snippet) => snippet.text.trim());
+}
+
+const PARSERS = {
+  txt: parseText,
+  md: parseMarkdown,
+  markdown: parseMarkdown,
+  lrc: parseLrc,
+  json: parseArchive,
+};
+
+/**
+ * Read a file into snippets to import
+ *
+ * @param {File} file - A file from the picker or a drop
+ * @returns {Promise<Array<string|Object>>} Stanza texts, or whole snippets
+ *   for an archive
+ * @throws {Error} With a message fit to show the user
+ */
+export async function parseImportFile(file) {
+  const extension = (file.name.split(".").pop() || "").toLowerCase();
+  const parse =
+    PARSERS[extension] || (file.type === "text/plain" ? parseText : null);
+
+  if (!parse) {
+    throw new Error(`Can't import ${file.name}: use .txt, .md, .json or .lrc`);
+  }
+  if (file.size > MAX_IMPORT_BYTES) {
+    throw new Error(`${file.name} is too large to be lyrics`);
+  }
+
+  return parse(await file.text());
+}
+
+/**
+ * Read several files, collecting what could be imported and what couldn't
+ *
+ * @param {Iterable<File>} files - Files from the picker or a drop
+ * @returns {Promise<{ items: Array<string|Object>, errors: Array<string> }>}
+ */
+export async function parseImportFiles(files) {
+  const items = [];
+  const errors = [];
+
+  for (const file of files) {
+    try {
+      items.push(...(await parseImportFile(file)));
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  return { items, errors };
+}
+
+/**
+ * Read the clipboard as stanzas
+ *
+ * @returns {Promise<Array<string>>} One entry per stanza (empty if nothing)
+ * @throws {Error} When the browser won't share the clipboard
+ */
+export async function readClipboardStanzas() {
+  if (!navigator.clipboard?.readText) {
+    throw new Error("This browser won't share the clipboard with RiffRap");
+  }
+
+  return splitIntoStanzas(await navigator.clipboard.readText());
+}
@@ -0,0 +1,189 @@
+/**
+ * Sections, tags and search for the lyrics collection
+ *
+ * A snippet can be labelled with the part of the song it's for (`section`:
+ * verse, hook, bridge or ad-lib) and any number of free-form `tags`. Both are
+ * optional and saved on the snippet itself. The filter bar narrows the list
+ * down by section, tag and search words; the same matching runs over other
+ * projects when the search goes wider.
+ *
+ * Plain functions over plain snippet objects; nothing here mutates.
+ */
+
+/** Song parts a snippet can be labelled with, in song order */
+export const SECTIONS = [
+  { id: "verse", label: "Verse" },
+  { id: "hook", label: "Hook" },
+  { id: "bridge", label: "Bridge" },
+  { id: "ad-lib", label: "Ad-lib" },
+];
+
+/** An empty filter: every snippet shows */
+export const EMPTY_FILTER = Object.freeze({
+  query: "",
+  section: null,
+  tag: null,
+});
+
+const MAX_TAG_LENGTH = 32;
+
+/**
+ * @param {string|null} id - A section id
+ * @returns {string|null} Its name for display, or null if it isn't one
+ */
+export function sectionLabel(id) {
+  return SECTIONS.find((section) => section.id === id)?.label || null;
+}
+
+/**
+ * A tag as it's stored: lower case, no leading "#", spaces as hyphens
+ *
+ * @param {string} raw - What was typed
+ * @returns {string} The tag, or "" if nothing usable was typed
+ */
+export function normalizeTag(raw) {
+  return (raw || "")
+    .trim()
+    .replace(/^#+/, "")
+    .toLowerCase()
+    .replace(/\s+/g, "-")
+    .slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * The snippet with new labels. Unknown sections are dropped and tags are
+ * normalized and deduplicated; no section and no tags leave the fields off.
+ *
+ * @param {Object} snippet - A collection snippet
+ * @param {{ section?: string|null, tags?: string[] }} labels - The new labels
+ * @returns {Object} The updated snippet
+ */
+export function withLabels(snippet, { section = null, tags = [] }) {
+  const updated = { ...snippet };
+  delete updated.section;
+  delete updated.tags;
+
+  const cleanTags = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+  if (sectionLabel(section)) updated.section = section;
+  if (cleanTags.length > 0) updated.tags = cleanTags;
+  updated.updatedAt = new Date().toISOString();
+
+  return updated;
+}
+
+/**
+ * Every tag used in the collection, most used first
+ *
+ * @param {Array} snippets - Collection snippets
+ * @returns {Array<{ tag: string, count: number }>}
+ */
+export function collectTags(snippets) {
+  const counts = new Map();
+  snippets.forEach((snippet) =>
+    (snippet.tags || []).forEach((tag) =>
+      counts.set(tag, (counts.get(tag) || 0) + 1),
+    ),
+  );
+
+  return [...counts]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Search words, lower case. Quotes are dropped so pasted phrases still work.
+ *
+ * @param {string} query - What was typed in the search box
+ * @returns {string[]}
+ */
+export function searchTerms(query) {
+  return (query || "")
+    .toLowerCase()
+    .replace(/["“”]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Where the search words appear in a piece of text, for highlighting
+ *
+ * @param {string} text - A lyric line
+ * @param {string} query - What was typed in the search box
+ * @returns {Array<{ start: number, end: number }>} Ranges in text order,
+ *   overlaps merged
+ */
+export function findMatches(text, query) {
+  const terms = searchTerms(query);
+  if (!text || terms.length === 0) return [];
+
+  const lower = text.toLowerCase();
+  const ranges = [];
+  terms.forEach((term) => {
+    for (
+      let start = lower.indexOf(term);
+      start !== -1;
+      start = lower.indexOf(term, start + term.length)
+    ) {
+      ranges.push({ start, end: start + term.length });
+    }
+  });
+
+  return ranges
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push({ ...range });
+      }
+      return merged;
+    }, []);
+}
+
+/**
+ * @param {Object} filter - { query, section, tag }
+ * @returns {boolean} Whether the filter hides anything at all
+ */
+export function isFiltering(filter) {
+  return (
+    !!filter.section || !!filter.tag || searchTerms(filter.query).length > 0
+  );
+}
+
+/**
+ * Whether a snippet passes the filter. Every search word has to appear
+ * somewhere in its words, section name or tags, in any order.
+ *
+ * @param {Object} snippet - A collection snippet
+ * @param {Object} filter - { query, section, tag }
+ * @returns {boolean}
+ */
+export function matchesFilter(snippet, filter) {
+  if (filter.section && snippet.section !== filter.section) return false;
+  if (filter.tag && !(snippet.tags || []).includes(filter.tag)) return false;
+
+  const terms = searchTerms(filter.query);
+  if (terms.length === 0) return true;
+
+  const haystack = [
+    snippet.text,
+    sectionLabel(snippet.section),
+    ...(snippet.tags || []),
+  ]
+    .filter(Boolean)
+    .join("\n")
+    .toLowerCase();
+  return terms.every((term) => haystack.includes(term));
+}
+
+/**
+ * @param {Array} snippets - Collection snippets
+ * @param {Object} filter - { query, section, tag }
+ * @returns {Array} The snippets that pass, in collection order
+ */
+export function filterSnippets(snippets, filter) {
+  return isFiltering(filter)
+    ? snippets.filter((snippet) => matchesFilter(snippet, filter))
+    : snippets;
+}
@@ -1,135 +1,320 @@
 /**
  * Storage management system for the lyrics collection component
  *
- * This module handles saving and loading lyrics collections to/from localStorage,
- * ensuring persistence across page reloads.
+ * This module handles saving and loading lyrics collections to/from IndexedDB,
+ * ensuring persistence across page reloads. Lyrics are kept per project: an
+ * index lists the projects and which one is open, and each project's snippets,
+ * originals, undo/redo history, song arrangement and sync tombstones (see
+ * syncMerge.js) are stored in a record of their own.
+ *
+ * Everything here is asynchronous. Writes never throw: failures are reported
+ * through the error handler as StorageErrors (a full disk tells the user) and
+ * the call resolves to false. Lyrics that used to live in localStorage are
+ * imported by the database's v3 migration, see database.js.
  *
  * Note: "persistence across page reloads" is not the same as persistence across
  * time — browsers evict ordinary script storage, so saveCollectionToStorage
  * also asks for durable storage. See durableStorage.js.
  */
 
+import {
+  STORES,
+  dbDelete,
+  dbGet,
+  dbGetAll,
+  dbPut,
+  runTransaction,
+  toStorageError,
+} from "$lib/services/infrastructure/database";
+import { createId } from "$lib/services/infrastructure/createId";
 import { ensureDurableStorage } from "$lib/services/infrastructure/durableStorage.js";
+import { errorHandler } from "$lib/services/infrastructure/errorHandler";
+import { EMPTY_HISTORY } from "./historyManager";
+import { EMPTY_ARRANGEMENT } from "./arrangementManager";
+
+/** Key of the project index record in the meta store */
+const PROJECT_INDEX_KEY = "lyricsProjects";
+
+/** Name given to the first project */
+export const DEFAULT_PROJECT_NAME = "My Lyrics";
+
+const EMPTY_COLLECTION = Object.freeze({
+  collectedSnippets: [],
+  originalSnippets: [],
+  isUndoAvailable: false,
+  history: EMPTY_HISTORY,
+  arrangement: EMPTY_ARRANGEMENT,
+  deletedSnippets: [],
+});
+
+// Every edit saves, so a full disk would otherwise pop up on every keystroke.
+// Tell the user once, then again only after a save has worked in between.
+let saveFailureReported = false;
+
+/**
+ * Report a failed save and turn it into a false result
+ *
+ * @param {Error} error - What went wrong
+ * @param {string} operation - What we were saving, for the error context
+ * @returns {boolean} Always false
+ */
+function reportSaveError(error, operation) {
+  const storageError = toStorageError(error, operation);
+  errorHandler.handleError(storageError, {
+    notify: !saveFailureReported,
+    rethrow: false,
+  });
+  saveFailureReported = true;
+  return false;
+}
+
+function reportSaveSuccess() {
+  saveFailureReported = false;
+  return true;
+}
+
+/**
+ * Create a project record (not yet saved)
+ *
+ * @param {string} name - Display name
+ * @returns {Object} Project with id, name, createdAt and updatedAt
+ */
+export function createProjectRecord(name = DEFAULT_PROJECT_NAME) {
+  const now = new Date().toISOString();
+
+  return {
+    id: createId(),
+    name: name.trim() || DEFAULT_PROJECT_NAME,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Undoing a compile is only meaningful while the collection is a single
+ * compiled card
+ */
+function toCollection(
+  collectedSnippets = [],
+  originalSnippets = [],
+  history = EMPTY_HISTORY,
+  arrangement = EMPTY_ARRANGEMENT,
+  deletedSnippets = [],
+) {
+  return {
+    collectedSnippets,
+    originalSnippets,
+    isUndoAvailable:
+      collectedSnippets.length === 1 &&
+      !!collectedSnippets[0].isCompiled &&
+      originalSnippets.length > 0,
+    history,
+    arrangement,
+    deletedSnippets,
+  };
+}
+
+/**
+ * Start a fresh index with one empty default project
+ *
+ * @returns {Promise<{ projects: Array<Object>, activeProjectId: string }>}
+ */
+async function createDefaultIndex() {
+  const project = createProjectRecord(DEFAULT_PROJECT_NAME);
+  const index = {
+    projects: [project],
+    activeProjectId: project.id,
+    deletedProjects: [],
+  };
+  await saveProjectsToStorage(index.projects, index.activeProjectId);
+  return index;
+}
+
+/**
+ * Load the project index, starting a default project the first time
+ *
+ * @returns {Promise<{ projects: Array<Object>, activeProjectId: string|null,
+ *   deletedProjects: Array<Object> }>} deletedProjects are sync tombstones
+ */
+export async function loadProjectsFromStorage() {
+  if (typeof window === "undefined") {
+    return { projects: [], activeProjectId: null, deletedProjects: [] };
+  }
+
+  try {
+    const saved = await dbGet(STORES.META, PROJECT_INDEX_KEY);
+    const projects = saved?.projects || [];
+    if (projects.length === 0) return await createDefaultIndex();
+
+    return {
+      projects,
+      activeProjectId: projects.some((p) => p.id === saved.activeProjectId)
+        ? saved.activeProjectId
+        : projects[0].id,
+      deletedProjects: saved.deletedProjects || [],
+    };
+  } catch (error) {
+    // Without a readable database there is nowhere to save; carry on with an
+    // unsaved project rather than no collection at all
+    console.error("Error loading lyrics projects from IndexedDB:", error);
+    const project = createProjectRecord(DEFAULT_PROJECT_NAME);
+    return {
+      projects: [project],
+      activeProjectId: project.id,
+      deletedProjects: [],
+    };
+  }
+}
 
 /**
- * Storage keys used for lyrics collection data
+ * Save the project index
+ *
+ * @param {Array<Object>} projects - Project records, in display order
+ * @param {string} activeProjectId - The open project
+ * @param {Array<Object>} [deletedProjects] - Sync tombstones, see syncMerge.js
+ * @returns {Promise<boolean>} Success status of the save operation
  */
-const STORAGE_KEYS = {
-  LYRICS_COLLECTION: "lineSnap-lyrics-collection",
-  LYRICS_ORIGINALS: "lineSnap-lyrics-originals",
-};
+export async function saveProjectsToStorage(
+  projects,
+  activeProjectId,
+  deletedProjects = [],
+) {
+  if (typeof window === "undefined") return false;
+
+  try {
+    await dbPut(STORES.META, {
+      key: PROJECT_INDEX_KEY,
+      projects,
+      activeProjectId,
+      deletedProjects,
+    });
+    return reportSaveSuccess();
+  } catch (error) {
+    return reportSaveError(error, "save lyrics projects");
+  }
+}
 
 /**
- * Save the current collection to localStorage
+ * Save a project's collection to IndexedDB
  *
+ * @param {string} projectId - The project the collection belongs to
  * @param {Array} collectedSnippets - The array of snippets to save
  * @param {Array} originalSnippets - The array of original snippets (for undo)
  * @param {boolean} isUndoAvailable - Whether undo functionality is available
- * @returns {boolean} Success status of the save operation
+ * @param {Object} [history] - Undo/redo history, see historyManager.js
+ * @param {Object} [arrangement] - Song arrangement, see arrangementManager.js
+ * @param {Array} [deletedSnippets] - Sync tombstones, see syncMerge.js
+ * @returns {Promise<boolean>} Success status of the save operation
  */
-export function saveCollectionToStorage(
+export async function saveCollectionToStorage(
+  projectId,
   collectedSnippets,
   originalSnippets = [],
   isUndoAvailable = false,
+  history = EMPTY_HISTORY,
+  arrangement = EMPTY_ARRANGEMENT,
+  deletedSnippets = [],
 ) {
-  if (typeof window === "undefined") return false;
+  if (typeof window === "undefined" || !projectId) return false;
 
   try {
-    // Save the current snippets
-    const collectionString = JSON.stringify(collectedSnippets);
-    localStorage.setItem(STORAGE_KEYS.LYRICS_COLLECTION, collectionString);
-
-    // If we have original snippets, save those too
-    if (isUndoAvailable && originalSnippets.length > 0) {
-      const originalsString = JSON.stringify(originalSnippets);
-      localStorage.setItem(STORAGE_KEYS.LYRICS_ORIGINALS, originalsString);
-    } else if (!isUndoAvailable) {
-      // Clear original snippets if undo is not available
-      localStorage.removeItem(STORAGE_KEYS.LYRICS_ORIGINALS);
-    }
+    await dbPut(STORES.LYRICS_COLLECTIONS, {
+      projectId,
+      snippets: collectedSnippets,
+      // Originals are only worth keeping while undo is possible
+      originals: isUndoAvailable ? originalSnippets : [],
+      history,
+      arrangement,
+      deleted: deletedSnippets,
+    });
 
     // There are lyrics worth keeping now, so ask the browser not to bin them.
     // Fire-and-forget, at most once per browser.
     void ensureDurableStorage();
 
-    return true;
+    return reportSaveSuccess();
   } catch (error) {
-    console.error("Error saving lyrics collection to localStorage:", error);
-    return false;
+    return reportSaveError(error, "save lyrics collection");
   }
 }
 
 /**
- * Load collection from localStorage
+ * Load a project's collection from IndexedDB
  *
- * @returns {Object} Object containing loaded snippets, originals, and undo status
+ * @param {string} projectId - The project to load
+ * @returns {Promise<Object>} Loaded snippets, originals, undo status,
+ *   history, arrangement and sync tombstones
  */
-export function loadCollectionFromStorage() {
-  if (typeof window === "undefined") {
-    return {
-      collectedSnippets: [],
-      originalSnippets: [],
-      isUndoAvailable: false,
-    };
+export async function loadCollectionFromStorage(projectId) {
+  if (typeof window === "undefined" || !projectId) {
+    return { ...EMPTY_COLLECTION };
   }
 
   try {
-    // Initialize return values
-    let collectedSnippets = [];
-    let originalSnippets = [];
-    let isUndoAvailable = false;
-
-    // Try to load the saved collection
-    const savedCollection = localStorage.getItem(
-      STORAGE_KEYS.LYRICS_COLLECTION,
+    const saved = await dbGet(STORES.LYRICS_COLLECTIONS, projectId);
+    if (!saved) return { ...EMPTY_COLLECTION };
+
+    return toCollection(
+      saved.snippets,
+      saved.originals,
+      saved.history,
+      saved.arrangement,
+      saved.deleted,
     );
-    if (savedCollection) {
-      collectedSnippets = JSON.parse(savedCollection);
-
-      // Try to load original snippets for undo functionality
-      const savedOriginalSnippets = localStorage.getItem(
-        STORAGE_KEYS.LYRICS_ORIGINALS,
-      );
-      if (savedOriginalSnippets) {
-        originalSnippets = JSON.parse(savedOriginalSnippets);
-
-        // Check if we have a compiled card and original snippets, enable undo if so
-        if (
-          collectedSnippets.length === 1 &&
-          collectedSnippets[0].isCompiled &&
-          originalSnippets.length > 0
-        ) {
-          isUndoAvailable = true;
-        }
-      }
-    }
+  } catch (error) {
+    console.error("Error loading lyrics collection from IndexedDB:", error);
+    return { ...EMPTY_COLLECTION };
+  }
+}
 
-    return {
-      collectedSnippets,
-      originalSnippets,
-      isUndoAvailable,
-    };
+/**
+ * Load every stored collection. Unlike loadCollectionFromStorage this
+ * rejects when the database can't be read, so callers deciding what to
+ * delete never mistake "unreadable" for "empty".
+ *
+ * @returns {Promise<Array<{ projectId: string, snippets: Array,
+ *   originals: Array, deleted?: Array }>>}
+ */
+export function loadAllCollectionsFromStorage() {
+  if (typeof window === "undefined") return Promise.resolve([]);
+  return dbGetAll(STORES.LYRICS_COLLECTIONS);
+}
+
+/**
+ * Remove a project's collection from IndexedDB
+ *
+ * @param {string} projectId - The project to remove
+ * @returns {Promise<boolean>} Success status of the removal
+ */
+export async function deleteCollectionFromStorage(projectId) {
+  if (typeof window === "undefined" || !projectId) return false;
+
+  try {
+    await dbDelete(STORES.LYRICS_COLLECTIONS, projectId);
+    return true;
   } catch (error) {
-    console.error("Error loading lyrics collection from localStorage:", error);
-    return {
-      collectedSnippets: [],
-      originalSnippets: [],
-      isUndoAvailable: false,
-    };
+    console.error("Error removing lyrics project from IndexedDB:", error);
+    return false;
   }
 }
 
 /**
- * Clear all lyrics storage data
+ * Clear all lyrics storage data, every project included
  *
- * @returns {boolean} Success status of the clear operation
+ * @returns {Promise<boolean>} Success status of the clear operation
  */
-export function clearAllStorage() {
+export async function clearAllStorage() {
   if (typeof window === "undefined") return false;
 
   try {
-    localStorage.removeItem(STORAGE_KEYS.LYRICS_COLLECTION);
-    localStorage.removeItem(STORAGE_KEYS.LYRICS_ORIGINALS);
+    await runTransaction(
+      [STORES.META, STORES.LYRICS_COLLECTIONS],
+      "readwrite",
+      (tx) => {
+        tx.objectStore(STORES.LYRICS_COLLECTIONS).clear();
+        tx.objectStore(STORES.META).delete(PROJECT_INDEX_KEY);
+      },
+    );
     return true;
   } catch (error) {
     console.error("Error clearing lyrics storage:", error);
@@ -0,0 +1,388 @@
+/**
+ * Merging lyrics synced from another device
+ *
+ * Two devices paired over the local network (see services/sync/peerSync.js)
+ * each send the other their projects, and each merges what it gets, snippet
+ * by snippet. Snippets are matched on their id (every snippet gets a random
+ * id when it's made, so the same id means the same snippet); when both
+ * devices have one, the one changed last wins, going by `updatedAt` (set
+ * when its words or labels change) or else when it was made. Snippets only
+ * one side has are added on the other.
+ *
+ * Deletions travel as tombstones: `{ id, deletedAt }` for every snippet a
+ * change took out of a project (a delete, clearing the list, the cards a
+ * compile replaced), and likewise for deleted projects. A tombstone beats
+ * any copy of its snippet changed before it; a copy changed after it (edited
+ * on the other device since, or brought back by undo) wins and clears it.
+ * Only the newest MAX_DELETIONS are kept, so a device that hasn't synced for
+ * longer than that can bring very old deletions back.
+ *
+ * Everything that arrives is rebuilt field by field before it's merged (see
+ * readSyncMessage), so the other device can't put anything in storage that
+ * the app wouldn't have made itself.
+ *
+ * ```
+ * { kind: "riffrap-lyrics", version: 1,
+ *   projects: [{ project: { id, name, createdAt, updatedAt },
+ *                snippets, deleted: [{ id, deletedAt }] }],
+ *   deletedProjects: [{ id, deletedAt }] }
+ * ```
+ *
+ * Plain functions over plain snippet objects; nothing here mutates.
+ */
+
+import { MAX_SNIPPET_VERSIONS } from "./versionHistory";
+import { normalizeTag, sectionLabel } from "./snippetLabels";
+
+const SYNC_KIND = "riffrap-lyrics";
+const SYNC_VERSION = 1;
+
+/** Tombstones kept per project (and for projects); the oldest drop off first */
+export const MAX_DELETIONS = 1000;
+
+const MAX_ID_LENGTH = 100;
+const MAX_NAME_LENGTH = 200;
+const MAX_TEXT_LENGTH = 50_000;
+const MAX_TAGS = 20;
+
+/**
+ * When a snippet last changed, for deciding which copy wins
+ *
+ * @param {Object} snippet - A collection snippet
+ * @returns {number} Milliseconds since the epoch, 0 if unknown
+ */
+export function lastChanged(snippet) {
+  return Date.parse(snippet.updatedAt || snippet.timestamp || "") || 0;
+}
+
+function isId(value) {
+  return (
+    typeof value === "string" &&
+    value.length > 0 &&
+    value.length <= MAX_ID_LENGTH
+  );
+}
+
+/**
+ * A date from the other device as an ISO string. Dates past this device's
+ * clock are pulled back to now, so a copy can't win every merge to come.
+ *
+ * @param {unknown} value
+ * @returns {string|null} null if it isn't a date
+ */
+function toDate(value) {
+  if (typeof value !== "string") return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) return null;
+  return new Date(Math.min(time, Date.now())).toISOString();
+}
+
+function toText(value, maxLength) {
+  return typeof value === "string" ? value.slice(0, maxLength) : null;
+}
+
+/**
+ * Rebuild a snippet from the other device out of the fields a snippet has
+ *
+ * @param {unknown} raw - As received
+ * @returns {Object|null} The snippet, or null if it has no id or words
+ */
+function toSnippet(raw) {
+  const text = toText(raw?.text, MAX_TEXT_LENGTH);
+  if (!isId(raw?.id) || text === null) return null;
+
+  const snippet = {
+    id: raw.id,
+    text,
+    timestamp: toDate(raw.timestamp) || new Date(0).toISOString(),
+    order: Number.isInteger(raw.order) && raw.order >= 0 ? raw.order : 0,
+    isParagraph: text.includes("\n"),
+    // Audio isn't synced; a take this device doesn't have plays as missing
+    takeId: isId(raw.takeId) ? raw.takeId : null,
+  };
+
+  const updatedAt = toDate(raw.updatedAt);
+  if (updatedAt) snippet.updatedAt = updatedAt;
+
+  if (raw.isCompiled === true) {
+    snippet.isCompiled = true;
+    if (Number.isInteger(raw.originalCount) && raw.originalCount > 0) {
+      snippet.originalCount = raw.originalCount;
+    }
+  }
+
+  if (Array.isArray(raw.versions)) {
+    const versions = raw.versions
+      .map((version) => ({
+        text: toText(version?.text, MAX_TEXT_LENGTH),
+        at: toDate(version?.at),
+      }))
+      .filter((version) => version.text !== null && version.at)
+      .slice(0, MAX_SNIPPET_VERSIONS);
+    if (versions.length > 0) snippet.versions = versions;
+  }
+
+  if (sectionLabel(raw.section)) snippet.section = raw.section;
+
+  if (Array.isArray(raw.tags)) {
+    const tags = [
+      ...new Set(
+        raw.tags
+          .filter((tag) => typeof tag === "string")
+          .map(normalizeTag)
+          .filter(Boolean),
+      ),
+    ].slice(0, MAX_TAGS);
+    if (tags.length > 0) snippet.tags = tags;
+  }
+
+  return snippet;
+}
+
+/**
+ * @param {unknown} raw - A tombstone list as received
+ * @returns {Array<{ id: string, deletedAt: string }>}
+ */
+function toDeletions(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .map((entry) => ({ id: entry?.id, deletedAt: toDate(entry?.deletedAt) }))
+    .filter((entry) => isId(entry.id) && entry.deletedAt)
+    .slice(-MAX_DELETIONS);
+}
+
+/**
+ * @param {unknown} raw - A project record as received
+ * @returns {Object|null}
+ */
+function toProject(raw) {
+  const name = toText(raw?.name, MAX_NAME_LENGTH)?.trim();
+  if (!isId(raw?.id) || !name) return null;
+
+  const createdAt = toDate(raw.createdAt) || new Date().toISOString();
+  return {
+    id: raw.id,
+    name,
+    createdAt,
+    updatedAt: toDate(raw.updatedAt) || createdAt,
+  };
+}
+
+/**
+ * What this device sends: its projects with their snippets and deletions
+ *
+ * @param {Object} lyrics - From lyricsStore.collectForSync
+ * @param {Array<{ project: Object, snippets: Array, deleted: Array }>} lyrics.projects
+ * @param {Array<{ id: string, deletedAt: string }>} lyrics.deletedProjects
+ * @returns {Object} The sync message
+ */
+export function toSyncMessage({ projects, deletedProjects = [] }) {
+  return {
+    kind: SYNC_KIND,
+    version: SYNC_VERSION,
+    projects: projects.map(({ project, snippets, deleted = [] }) => ({
+      project: {
+        id: project.id,
+        name: project.name,
+        createdAt: project.createdAt,
+        updatedAt: project.updatedAt,
+      },
+      snippets,
+      deleted,
+    })),
+    deletedProjects,
+  };
+}
+
+/**
+ * Check a message from the other device and rebuild what's in it. Snippets
+ * and tombstones that don't hold up are left out; a message that isn't a
+ * sync message at all is turned down whole.
+ *
+ * @param {Object} message - As received
+ * @returns {{ projects: Array<{ project: Object, snippets: Array,
+ *   deleted: Array }>, deletedProjects: Array }|null} What to merge, or null
+ *   if it isn't a sync message this version understands
+ */
+export function readSyncMessage(message) {
+  if (message?.kind !== SYNC_KIND || message.version !== SYNC_VERSION) {
+    return null;
+  }
+  if (!Array.isArray(message.projects)) return null;
+
+  const projects = [];
+  for (const entry of message.projects) {
+    const project = toProject(entry?.project);
+    if (!project || !Array.isArray(entry.snippets)) return null;
+    projects.push({
+      project,
+      snippets: entry.snippets.map(toSnippet).filter(Boolean),
+      deleted: toDeletions(entry.deleted),
+    });
+  }
+
+  return { projects, deletedProjects: toDeletions(message.deletedProjects) };
+}
+
+/**
+ * Both devices' tombstones as one list, the later deletion of each id kept
+ *
+ * @param {Array} local - This device's tombstones
+ * @param {Array} remote - The other device's
+ * @returns {Map<string, number>} deletedAt in milliseconds, by id
+ */
+function mergeDeletions(local, remote) {
+  const deletedAt = new Map();
+  [...local, ...remote].forEach(({ id, deletedAt: at }) => {
+    const time = Date.parse(at) || 0;
+    if (!(deletedAt.get(id) >= time)) deletedAt.set(id, time);
+  });
+  return deletedAt;
+}
+
+/**
+ * Tombstones to keep: those nothing newer outlived, newest MAX_DELETIONS
+ *
+ * @param {Map<string, number>} deletedAt - From mergeDeletions
+ * @param {Set<string>} survivors - Ids still there after the merge
+ * @returns {Array<{ id: string, deletedAt: string }>} Oldest first
+ */
+function keptDeletions(deletedAt, survivors) {
+  return [...deletedAt]
+    .filter(([id]) => !survivors.has(id))
+    .sort((a, b) => a[1] - b[1])
+    .slice(-MAX_DELETIONS)
+    .map(([id, time]) => ({ id, deletedAt: new Date(time).toISOString() }));
+}
+
+function sameDeletions(a, b) {
+  if (a.length !== b.length) return false;
+  const times = new Map(a.map((entry) => [entry.id, entry.deletedAt]));
+  return b.every(
+    (entry) =>
+      Date.parse(times.get(entry.id) || "") === Date.parse(entry.deletedAt),
+  );
+}
+
+/**
+ * Record what a change deleted, for sync. Snippets the change took out get
+ * a tombstone; snippets it put back (undo, say) lose theirs and count as
+ * changed now, so they also win over the deletion on other devices.
+ *
+ * @param {Array} before - Snippets before the change
+ * @param {Array} after - Snippets after it
+ * @param {Array} [deleted] - Tombstones so far
+ * @returns {{ snippets: Array, deleted: Array }} `after` (with any snippets
+ *   that came back stamped) and the new tombstones; the same arrays if
+ *   nothing was deleted or came back
+ */
+export function trackDeletions(before, after, deleted = []) {
+  const afterIds = new Set(after.map((snippet) => snippet.id));
+  const deletedIds = new Set(deleted.map((entry) => entry.id));
+  const now = new Date().toISOString();
+
+  // Already tombstoned ones (a merge removing what the other device
+  // deleted) keep when they were deleted
+  const removed = before
+    .filter(
+      (snippet) => !afterIds.has(snippet.id) && !deletedIds.has(snippet.id),
+    )
+    .map((snippet) => ({ id: snippet.id, deletedAt: now }));
+  const cameBack = after.some((snippet) => deletedIds.has(snippet.id));
+  if (removed.length === 0 && !cameBack) return { snippets: after, deleted };
+
+  return {
+    snippets: cameBack
+      ? after.map((snippet) =>
+          deletedIds.has(snippet.id) ? { ...snippet, updatedAt: now } : snippet,
+        )
+      : after,
+    deleted: [
+      ...deleted.filter((entry) => !afterIds.has(entry.id)),
+      ...removed,
+    ].slice(-MAX_DELETIONS),
+  };
+}
+
+/**
+ * Merge one project's snippets from the other device into this one's.
+ * Local order is kept, updated snippets stay where they are, and new ones
+ * are added at the end in the other device's order. Snippets either side
+ * deleted after they last changed are dropped.
+ *
+ * @param {Object} local - This device's `{ snippets, deleted }`
+ * @param {Object} remote - The other device's
+ * @returns {{ snippets: Array, deleted: Array, added: number, updated: number,
+ *   removed: number, changed: boolean }} The merged snippets and tombstones
+ *   (the local arrays themselves if nothing changed)
+ */
+export function mergeSnippets(local, remote) {
+  const localDeleted = local.deleted || [];
+  const remoteById = new Map(
+    remote.snippets.map((snippet) => [snippet.id, snippet]),
+  );
+  const localById = new Map(
+    local.snippets.map((snippet) => [snippet.id, snippet]),
+  );
+  const deletedAt = mergeDeletions(localDeleted, remote.deleted || []);
+  const outlives = (snippet) =>
+    !(deletedAt.get(snippet.id) >= lastChanged(snippet));
+
+  const kept = local.snippets
+    .map((snippet) => {
+      const other = remoteById.get(snippet.id);
+      return other && lastChanged(other) > lastChanged(snippet)
+        ? other
+        : snippet;
+    })
+    .filter(outlives);
+  const updated = kept.filter(
+    (snippet) => snippet !== localById.get(snippet.id),
+  ).length;
+
+  const added = remote.snippets.filter(
+    (snippet) => !localById.has(snippet.id) && outlives(snippet),
+  );
+  const snippets = [...kept, ...added];
+  const removed = local.snippets.length - kept.length;
+  const deleted = keptDeletions(
+    deletedAt,
+    new Set(snippets.map((snippet) => snippet.id)),
+  );
+
+  const snippetsChanged = updated > 0 || added.length > 0 || removed > 0;
+  const deletionsChanged = !sameDeletions(localDeleted, deleted);
+  return {
+    snippets: snippetsChanged ? snippets : local.snippets,
+    deleted: deletionsChanged ? deleted : localDeleted,
+    added: added.length,
+    updated,
+    removed,
+    changed: snippetsChanged || deletionsChanged,
+  };
+}
+
+/**
+ * Merge the other device's project tombstones with this one's
+ *
+ * @param {Object} local - This device's `{ projects, deleted }`
+ * @param {Object} remote - The other device's
+ * @param {string} [keepId] - A project to keep whatever the tombstones say
+ *   (the one open on this device)
+ * @returns {{ deleted: Array, isDeleted: (project: Object) => boolean }}
+ *   The tombstones to keep, and whether a project was deleted since it
+ *   last changed
+ */
+export function mergeProjectDeletions(local, remote, keepId) {
+  const deletedAt = mergeDeletions(local.deleted, remote.deleted);
+  const isDeleted = (project) =>
+    project.id !== keepId &&
+    deletedAt.get(project.id) >= (Date.parse(project.updatedAt) || 0);
+
+  const survivors = new Set(
+    [...local.projects, ...remote.projects]
+      .filter((project) => !isDeleted(project))
+      .map((project) => project.id),
+  );
+  return { deleted: keptDeletions(deletedAt, survivors), isDeleted };
+}
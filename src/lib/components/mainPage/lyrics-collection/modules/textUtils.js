@@ -54,6 +54,42 @@ export function createFilename(text, maxLength = 30) {
     .slice(0, maxLength);
 }
 
+/**
+ * Title for a set of lyrics: the given one, or the start of the first line
+ *
+ * @param {Array} snippets - Array of snippet objects
+ * @param {string} title - Preferred title, if any
+ * @returns {string} The title to use
+ */
+export function getLyricsTitle(snippets, title = "") {
+  if (title) return title;
+  if (!snippets || snippets.length === 0) return "Untitled Lyrics";
+
+  const firstLine = snippets[0].text.split("\n")[0];
+  const words = firstLine.split(" ");
+
+  // Use first 5 words + "..." for long lines, the whole line otherwise
+  return words.length > 5 ? words.slice(0, 5).join(" ") + "..." : firstLine;
+}
+
+// "[Chorus]", "Verse 2:", "(Hook)" — a line that names the part it starts
+const SECTION_LABEL =
+  /^[[(]?\s*((?:intro|verse|pre-?chorus|pre-?hook|chorus|hook|bridge|outro|refrain|interlude|breakdown|ad-?libs?)(?:\s+\d+)?)\s*[\])]?\s*:?$/i;
+
+/**
+ * Section name from a label line, if the line is one
+ *
+ * @param {string} line - A lyric line
+ * @returns {string|null} The section name ("Verse 2"), or null
+ */
+export function parseSectionLabel(line) {
+  const match = (line || "").trim().match(SECTION_LABEL);
+  if (!match) return null;
+
+  const name = match[1].replace(/\s+/g, " ");
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
 /**
  * Format multiple snippets into a single text block
  *
@@ -92,21 +128,7 @@ export function formatLyricsForDownload(snippets, title = "") {
   const formattedTime = `${date.getHours().toString().padStart(2, "0")}:${date.getMinutes().toString().padStart(2, "0")}`;
 
   // Create a title for the lyrics if not provided
-  let lyricsTitle = title || "Untitled Lyrics";
-
-  // If no title provided and we have snippets, use the first snippet
-  if (!title && snippets.length > 0) {
-    const firstLine = snippets[0].text.split("\n")[0];
-    const words = firstLine.split(" ");
-
-    if (words.length > 5) {
-      // Use first 5 words + "..."
-      lyricsTitle = words.slice(0, 5).join(" ") + "...";
-    } else {
-      // Use the whole first line if it's short
-      lyricsTitle = firstLine;
-    }
-  }
+  const lyricsTitle = getLyricsTitle(snippets, title);
 
   // Format the header
   let formattedText = `${lyricsTitle}\n`;
@@ -0,0 +1,108 @@
+/**
+ * Earlier versions of a snippet
+ *
+ * Each time a snippet's words change, the words it had before are kept on
+ * the snippet itself as `versions`: [{ text, at }], newest first. That's
+ * separate from undo (historyManager.js), which steps through the whole
+ * collection in order; versions let one bar go back to how it read three
+ * rewrites ago without losing anything done since.
+ *
+ * Plain functions over plain snippet objects; nothing here mutates.
+ */
+
+/** Earlier versions kept per snippet; the oldest drop off first */
+export const MAX_SNIPPET_VERSIONS = 20;
+
+/**
+ * The snippet with new words, its current words kept as a version.
+ * Unchanged words leave it as it was.
+ *
+ * @param {Object} snippet - A collection snippet
+ * @param {string} text - The new words
+ * @returns {Object} The updated snippet (the same object if nothing changed)
+ */
+export function withNewText(snippet, text) {
+  if (text === snippet.text) return snippet;
+
+  const versions = [
+    { text: snippet.text, at: new Date().toISOString() },
+    ...(snippet.versions || []),
+  ]
+    // Going back and forth between two phrasings shouldn't fill the list
+    .filter(
+      (version, index, all) =>
+        version.text !== text &&
+        all.findIndex((other) => other.text === version.text) === index,
+    )
+    .slice(0, MAX_SNIPPET_VERSIONS);
+
+  return {
+    ...snippet,
+    text,
+    isParagraph: text.includes("\n"),
+    versions,
+    // Which copy wins when devices sync, see syncMerge.js
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+function tokenize(text) {
+  return (text || "").match(/\s+|[^\s]+/g) || [];
+}
+
+/**
+ * Word-by-word differences between two versions, for showing what a restore
+ * would change. Whitespace runs count as tokens so line breaks survive.
+ *
+ * @param {string} from - The older text
+ * @param {string} to - The newer text
+ * @returns {Array<{ type: "same"|"added"|"removed", text: string }>} Runs of
+ *   tokens in reading order; removed runs come before the added runs that
+ *   replace them
+ */
+export function diffWords(from, to) {
+  const a = tokenize(from);
+  const b = tokenize(to);
+
+  // Longest common subsequence, filled from the end so the walk below can
+  // go forwards
+  const lengths = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0),
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last?.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      push("same", a[i]);
+      i++;
+      j++;
+    } else if (
+      i < a.length &&
+      (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])
+    ) {
+      push("removed", a[i]);
+      i++;
+    } else {
+      push("added", b[j]);
+      j++;
+    }
+  }
+
+  return parts;
+}
@@ -0,0 +1,69 @@
+/**
+ * Line-by-line analysis of the whole collection
+ *
+ * Every snippet's lines are analysed together, in collection order, so rhymes
+ * between neighbouring cards are found, scheme letters run on from one card
+ * to the next, and single-line cards are measured against the cards around
+ * them. Recomputed whenever the snippets or the related settings change, and
+ * once more when the bundled dictionary loads and knows words better.
+ */
+
+import { derived } from "svelte/store";
+import {
+  analyzeRhymes,
+  analyzeMeter,
+  dictionaryLoaded,
+  rhymeHighlighting,
+  syllableTarget,
+} from "$lib/services/lyrics";
+import { lyricsStore } from "./lyricsStore";
+
+/**
+ * Run an analysis over every line in the collection and hand the results
+ * back per snippet.
+ *
+ * @param {Array} snippets - Collection snippets in display order
+ * @param {Function} analyze - (lines) => one result per line
+ * @returns {Map<string, Array<Object>>} Snippet id → results for its lines
+ */
+function analyzeByLine(snippets, analyze) {
+  const lines = [];
+  const owners = [];
+
+  snippets.forEach((snippet) => {
+    (snippet.text || "").split("\n").forEach((line) => {
+      lines.push(line);
+      owners.push(snippet.id);
+    });
+  });
+
+  const results = analyze(lines);
+  const bySnippet = new Map(snippets.map((snippet) => [snippet.id, []]));
+
+  results.forEach((result, index) => {
+    bySnippet.get(owners[index]).push(result);
+  });
+
+  return bySnippet;
+}
+
+/** Rhyme highlights and scheme letters; empty while highlighting is off */
+export const collectionRhymes = derived(
+  [lyricsStore, rhymeHighlighting, dictionaryLoaded],
+  ([$lyricsStore, $rhymeHighlighting]) =>
+    $rhymeHighlighting
+      ? analyzeByLine(
+          $lyricsStore.snippets,
+          (lines) => analyzeRhymes(lines).lines,
+        )
+      : new Map(),
+);
+
+/** Syllable counts, with lines that run long or short for the bar flagged */
+export const collectionMeter = derived(
+  [lyricsStore, syllableTarget, dictionaryLoaded],
+  ([$lyricsStore, $syllableTarget]) =>
+    analyzeByLine($lyricsStore.snippets, (lines) =>
+      analyzeMeter(lines, { target: $syllableTarget }),
+    ),
+);
@@ -3,13 +3,38 @@
  *
  * This store centralizes all lyrics collection operations and state,
  * replacing the local component state approach.
+ *
+ * Lyrics live in named projects. The store holds the project list and the
+ * open project's snippets; every snippet operation works on the open project.
+ *
+ * Storage is IndexedDB, so the store starts empty and fills in once
+ * loadFromStorage resolves. Saves are fire-and-forget; anything that has to
+ * read another project first (switching, duplicating, deleting) is async.
+ *
+ * Each project keeps its own undo/redo history (see historyManager.js), saved
+ * with its snippets so it outlives a reload. Each snippet also keeps its own
+ * earlier wordings (see versionHistory.js), and can carry a section and tags
+ * (see snippetLabels.js). A project's song arrangement (see
+ * arrangementManager.js) is saved and undone along with its snippets.
+ * Lyrics from a paired device are merged in per snippet (see syncMerge.js),
+ * so every change also records the snippets it deleted, and deleting a
+ * project records that too.
  */
 
-import { writable } from "svelte/store";
+import { writable, get } from "svelte/store";
+import { createId } from "$lib/services/infrastructure/createId";
+import { recordingState } from "$lib/services/infrastructure/stores";
+import { takeService } from "$lib/services/takes";
 import { formatText } from "../modules/textUtils";
 import {
   saveCollectionToStorage,
   loadCollectionFromStorage,
+  loadAllCollectionsFromStorage,
+  loadProjectsFromStorage,
+  saveProjectsToStorage,
+  deleteCollectionFromStorage,
+  createProjectRecord,
+  DEFAULT_PROJECT_NAME,
 } from "../modules/storageManager";
 import {
   playEditSound,
@@ -17,37 +42,189 @@ import {
   playDropSound,
   playGrabSound,
 } from "../modules/soundIntegration.js";
+import {
+  EMPTY_HISTORY,
+  recordCommand,
+  redoCommand,
+  snapshotOf,
+  undoCommand,
+  withVersionsFrom,
+} from "../modules/historyManager";
+import { withNewText } from "../modules/versionHistory";
+import { EMPTY_ARRANGEMENT } from "../modules/arrangementManager";
+import { matchesFilter, withLabels } from "../modules/snippetLabels";
+import {
+  mergeProjectDeletions,
+  mergeSnippets,
+  trackDeletions,
+  MAX_DELETIONS,
+} from "../modules/syncMerge";
+
+/**
+ * Store fields for a project's collection, read from storage
+ *
+ * @param {string} projectId - The project to open
+ * @returns {Promise<Object>} activeProjectId, snippets, originals, undo
+ *   state, history, arrangement and sync tombstones
+ */
+async function readProjectState(projectId) {
+  const collection = await loadCollectionFromStorage(projectId);
+  return {
+    activeProjectId: projectId,
+    snippets: collection.collectedSnippets,
+    originalSnippets: collection.originalSnippets,
+    isUndoAvailable: collection.isUndoAvailable,
+    history: collection.history,
+    arrangement: collection.arrangement,
+    deletedSnippets: collection.deletedSnippets,
+  };
+}
+
+/**
+ * Read the project index and the open project's collection from storage
+ *
+ * @returns {Promise<Object>} Store fields for the projects and the open collection
+ */
+async function readStoredState() {
+  const { projects, activeProjectId, deletedProjects } =
+    await loadProjectsFromStorage();
+  return {
+    projects,
+    deletedProjects,
+    ...(await readProjectState(activeProjectId)),
+  };
+}
 
-// Load the initial state from storage
-const initialState = loadCollectionFromStorage();
+// Nothing is open until loadFromStorage has read the project index
+const initialState = {
+  projects: [],
+  activeProjectId: null,
+  snippets: [],
+  originalSnippets: [],
+  isUndoAvailable: false,
+  history: EMPTY_HISTORY,
+  arrangement: EMPTY_ARRANGEMENT,
+  // Sync tombstones for the open project's snippets and for projects
+  deletedSnippets: [],
+  deletedProjects: [],
+};
 
-function createSnippetId() {
-  if (
-    typeof crypto !== "undefined" &&
-    typeof crypto.randomUUID === "function"
-  ) {
-    return crypto.randomUUID();
-  }
+/**
+ * Collect every take id still referenced by snippets, undo originals or the
+ * undo history in any project, not just the open one. Rejects if storage
+ * can't be read, so pruning never runs on a partial picture.
+ *
+ * @param {Object} state - Store state
+ * @returns {Promise<Set<string>>} Referenced take ids
+ */
+async function getReferencedTakeIds(state) {
+  const ids = new Set();
+  const addFrom = (snippets = []) =>
+    snippets.forEach((snippet) => {
+      if (snippet.takeId) ids.add(snippet.takeId);
+    });
 
-  return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  const addFromHistory = (history = EMPTY_HISTORY) =>
+    [...history.past, ...history.future].forEach((command) => {
+      addFrom(command.before.snippets);
+      addFrom(command.after.snippets);
+    });
+
+  addFrom([...state.snippets, ...state.originalSnippets]);
+  addFromHistory(state.history);
+  (await loadAllCollectionsFromStorage()).forEach((collection) => {
+    addFrom(collection.snippets);
+    addFrom(collection.originals);
+    addFromHistory(collection.history);
+  });
+
+  return ids;
 }
 
 // Create the store
 function createLyricsStore() {
-  // Initialize with data from localStorage
   const { subscribe, update } = writable({
-    snippets: initialState.collectedSnippets || [],
-    originalSnippets: initialState.originalSnippets || [],
-    isUndoAvailable: initialState.isUndoAvailable || false,
+    ...initialState,
     editingSnippetId: null,
   });
 
-  // Helper function to save state to localStorage
+  // { id, text } of the snippet being edited, as it read when editing began
+  let textBeforeEdit = null;
+
+  // Helper function to note the snippets a change deleted or brought back,
+  // so sync can pass that on (see syncMerge.js)
+  const withDeletionsTracked = (state, next) => {
+    const { snippets, deleted } = trackDeletions(
+      state.snippets,
+      next.snippets,
+      state.deletedSnippets,
+    );
+    return { ...next, snippets, deletedSnippets: deleted };
+  };
+
+  // Helper function to save the open project
   const persistState = (state) => {
-    saveCollectionToStorage(
+    // Not loaded yet: loadFromStorage folds these snippets into the project
+    if (!state.activeProjectId) return state;
+
+    void saveCollectionToStorage(
+      state.activeProjectId,
       state.snippets,
       state.originalSnippets,
       state.isUndoAvailable,
+      state.history,
+      state.arrangement,
+      state.deletedSnippets,
+    );
+
+    // Keep "last edited" current so the switcher can show it
+    const now = new Date().toISOString();
+    const projects = state.projects.map((project) =>
+      project.id === state.activeProjectId
+        ? { ...project, updatedAt: now }
+        : project,
+    );
+    void saveProjectsToStorage(
+      projects,
+      state.activeProjectId,
+      state.deletedProjects,
+    );
+
+    return { ...state, projects };
+  };
+
+  // Helper function to apply a change to the open collection, record it in
+  // the undo history, and save
+  const commitChange = (state, type, changes) => {
+    const next = withDeletionsTracked(state, { ...state, ...changes });
+    return persistState({
+      ...next,
+      history: recordCommand(
+        state.history,
+        type,
+        snapshotOf(state),
+        snapshotOf(next),
+      ),
+    });
+  };
+
+  // Helper function to put back a snapshot from the history
+  const restoreSnapshot = (state, snapshot, history) =>
+    persistState(
+      withDeletionsTracked(state, {
+        ...state,
+        ...withVersionsFrom(snapshot, state.snippets),
+        history,
+        editingSnippetId: null,
+      }),
+    );
+
+  // Helper function to save the project list after a project operation
+  const persistProjects = (state) => {
+    void saveProjectsToStorage(
+      state.projects,
+      state.activeProjectId,
+      state.deletedProjects,
     );
     return state;
   };
@@ -57,15 +234,30 @@ function createLyricsStore() {
 
     /**
      * Load data from storage
+     *
+     * @returns {Promise<void>} Resolves once the open project is in the store
      */
-    loadFromStorage: () => {
-      const loadedState = loadCollectionFromStorage();
-      update((state) => ({
-        ...state,
-        snippets: loadedState.collectedSnippets || [],
-        originalSnippets: loadedState.originalSnippets || [],
-        isUndoAvailable: loadedState.isUndoAvailable || false,
-      }));
+    loadFromStorage: async () => {
+      const loadedState = await readStoredState();
+      let loaded;
+      update((state) => {
+        // Anything collected before the first load finished joins the
+        // open project instead of being dropped
+        const early = state.activeProjectId ? [] : state.snippets;
+        loaded = {
+          ...state,
+          ...loadedState,
+          snippets: [...loadedState.snippets, ...early],
+        };
+        return early.length > 0 ? persistState(loaded) : loaded;
+      });
+
+      // Housekeeping: drop audio for takes no snippet points at any more
+      try {
+        await takeService.pruneTakes(await getReferencedTakeIds(loaded));
+      } catch (error) {
+        console.warn("Could not prune stored takes:", error);
+      }
     },
 
     /**
@@ -77,8 +269,7 @@ function createLyricsStore() {
      */
     saveWithOriginals: (snippets, originalSnippets, isUndoAvailable) => {
       update((state) =>
-        persistState({
-          ...state,
+        commitChange(state, isUndoAvailable ? "compile" : "split", {
           snippets,
           originalSnippets,
           isUndoAvailable,
@@ -93,8 +284,7 @@ function createLyricsStore() {
      */
     replaceAllSnippets: (snippets) => {
       update((state) =>
-        persistState({
-          ...state,
+        commitChange(state, "change", {
           snippets,
         }),
       );
@@ -104,37 +294,124 @@ function createLyricsStore() {
      * Add a new snippet to the collection
      *
      * @param {string} text - The text to add
+     * @param {Object} [options] - Optional snippet metadata
+     * @param {string|null} [options.takeId] - Take the text came from; defaults
+     *   to the take currently shown in the transcript
+     * @param {string} [options.afterId] - Snippet to place it after, rather
+     *   than at the end
      * @returns {boolean} Success status
      */
-    addSnippet: (text) => {
+    addSnippet: (text, options = {}) => {
       if (!text || !text.trim()) {
         console.error("No text provided to collect");
         return false;
       }
 
       const formattedText = formatText(text);
+      const takeId =
+        options.takeId !== undefined
+          ? options.takeId
+          : get(recordingState).takeId;
 
       update((state) => {
         const newSnippet = {
-          id: createSnippetId(),
+          id: createId(),
           text: formattedText,
           timestamp: new Date().toISOString(),
           order: state.snippets.length, // Add to the end by default
           isParagraph: formattedText.includes("\n"), // Track if multi-line
+          takeId: takeId || null, // Original audio, if it was kept
         };
 
+        const snippets = [...state.snippets];
+        const afterIndex = options.afterId
+          ? snippets.findIndex((snippet) => snippet.id === options.afterId)
+          : -1;
+        if (afterIndex === -1) {
+          snippets.push(newSnippet);
+        } else {
+          snippets.splice(afterIndex + 1, 0, newSnippet);
+        }
+
         // Play grab sound for feedback
         playGrabSound();
 
-        return persistState({
-          ...state,
-          snippets: [...state.snippets, newSnippet],
-        });
+        return commitChange(state, "add", { snippets });
       });
 
       return true;
     },
 
+    /**
+     * Add imported snippets to the end of the collection, as one change
+     *
+     * @param {Array<string|Object>} items - Stanza texts, or snippets from a
+     *   JSON archive (their text, take and labels are kept; they get new ids)
+     * @returns {number} How many snippets were added
+     */
+    importSnippets: (items = []) => {
+      const imported = items
+        .map((item) => (typeof item === "string" ? { text: item } : item))
+        .filter((item) => item.text && item.text.trim());
+      if (imported.length === 0) return 0;
+
+      update((state) => {
+        const now = new Date().toISOString();
+        const newSnippets = imported.map((item, index) => {
+          const text = formatText(item.text);
+          return withLabels(
+            {
+              id: createId(),
+              text,
+              timestamp: item.timestamp || now,
+              order: state.snippets.length + index,
+              isParagraph: text.includes("\n"),
+              takeId: item.takeId || null,
+            },
+            { section: item.section, tags: item.tags || [] },
+          );
+        });
+
+        playDropSound();
+
+        return commitChange(state, "import", {
+          snippets: [...state.snippets, ...newSnippets],
+        });
+      });
+
+      return imported.length;
+    },
+
+    /**
+     * Rewrite every snippet through a correction (the glossary's, say) as
+     * one undoable change
+     *
+     * @param {Function} correct - Takes a snippet's text, returns it fixed
+     * @returns {number} How many snippets changed
+     */
+    correctSnippets: (correct) => {
+      let changed = 0;
+
+      update((state) => {
+        const updatedSnippets = state.snippets.map((snippet) => {
+          const text = correct(snippet.text);
+          if (text === snippet.text) return snippet;
+
+          changed++;
+          return { ...withNewText(snippet, text), edited: true };
+        });
+        if (changed === 0) return state;
+
+        playEditSound();
+
+        return commitChange(state, "correct", {
+          snippets: updatedSnippets,
+        });
+      });
+
+      return changed;
+    },
+
     /**
      * Remove a snippet from the collection
      *
@@ -148,8 +425,7 @@ function createLyricsStore() {
         // Play delete sound for feedback
         playDeleteSound();
 
-        return persistState({
-          ...state,
+        return commitChange(state, "delete", {
           snippets: updatedSnippets,
         });
       });
@@ -174,8 +450,7 @@ function createLyricsStore() {
           updatedSnippets[index - 1],
         ];
 
-        return persistState({
-          ...state,
+        return commitChange(state, "reorder", {
           snippets: updatedSnippets,
         });
       });
@@ -202,8 +477,7 @@ function createLyricsStore() {
           updatedSnippets[index],
         ];
 
-        return persistState({
-          ...state,
+        return commitChange(state, "reorder", {
           snippets: updatedSnippets,
         });
       });
@@ -215,10 +489,17 @@ function createLyricsStore() {
      * @param {string} id - The ID of the snippet to edit
      */
     startEditingSnippet: (id) => {
-      update((state) => ({
-        ...state,
-        editingSnippetId: id,
-      }));
+      update((state) => {
+        // The editor writes into the snippet as it goes, so its words from
+        // before the edit are kept here for its version history
+        const snippet = state.snippets.find((item) => item.id === id);
+        textBeforeEdit = snippet ? { id, text: snippet.text } : null;
+
+        return {
+          ...state,
+          editingSnippetId: id,
+        };
+      });
     },
 
     /**
@@ -237,21 +518,25 @@ function createLyricsStore() {
         // Find and update the snippet
         const updatedSnippets = state.snippets.map((snippet) => {
           if (snippet.id === id) {
+            const before =
+              textBeforeEdit?.id === id
+                ? { ...snippet, text: textBeforeEdit.text }
+                : snippet;
             return {
-              ...snippet,
-              text: newText.trim(),
+              // Keeps the old words as a version and updates the paragraph flag
+              ...withNewText(before, newText.trim()),
               edited: true, // Add a flag to indicate it was edited
-              isParagraph: newText.trim().includes("\n"), // Update paragraph flag
             };
           }
           return snippet;
         });
 
+        textBeforeEdit = null;
+
         // Play edit sound for feedback
         playEditSound();
 
-        return persistState({
-          ...state,
+        return commitChange(state, "edit", {
           snippets: updatedSnippets,
           editingSnippetId: null, // Exit edit mode
         });
@@ -260,10 +545,75 @@ function createLyricsStore() {
       return true;
     },
 
+    /**
+     * Put an earlier version of a snippet back. The words it replaces become
+     * a version in turn, so a restore can itself be walked back.
+     *
+     * @param {string} id - The snippet
+     * @param {number} index - Which of its versions (0 is the latest)
+     * @returns {boolean} Whether there was such a version
+     */
+    restoreSnippetVersion: (id, index) => {
+      let restored = false;
+
+      update((state) => {
+        const updatedSnippets = state.snippets.map((snippet) => {
+          const version = snippet.id === id && snippet.versions?.[index];
+          if (!version) return snippet;
+
+          restored = true;
+          return { ...withNewText(snippet, version.text), edited: true };
+        });
+        if (!restored) return state;
+
+        playEditSound();
+
+        return commitChange(state, "restore", {
+          snippets: updatedSnippets,
+          editingSnippetId: null,
+        });
+      });
+
+      return restored;
+    },
+
+    /**
+     * Set a snippet's section and tags
+     *
+     * @param {string} id - The snippet
+     * @param {{ section: string|null, tags: string[] }} labels - Its labels
+     *   from now on (see snippetLabels.withLabels)
+     */
+    setSnippetLabels: (id, labels) => {
+      update((state) =>
+        commitChange(state, "label", {
+          snippets: state.snippets.map((snippet) =>
+            snippet.id === id ? withLabels(snippet, labels) : snippet,
+          ),
+        }),
+      );
+    },
+
+    /**
+     * Change the open project's song arrangement, as one undoable step
+     *
+     * @param {Function} change - Takes the arrangement, returns the new one
+     *   (see arrangementManager.js)
+     */
+    arrange: (change) => {
+      update((state) => {
+        const arrangement = change(state.arrangement);
+        if (arrangement === state.arrangement) return state;
+
+        return commitChange(state, "arrange", { arrangement });
+      });
+    },
+
     /**
      * Cancel the current edit operation
      */
     cancelEditing: () => {
+      textBeforeEdit = null;
       update((state) => ({
         ...state,
         editingSnippetId: null,
@@ -278,11 +628,11 @@ function createLyricsStore() {
         // Play delete sound for feedback
         playDeleteSound();
 
-        return persistState({
-          ...state,
+        return commitChange(state, "clear", {
           snippets: [],
           originalSnippets: [],
           isUndoAvailable: false,
+          arrangement: EMPTY_ARRANGEMENT,
         });
       });
     },
@@ -316,13 +666,411 @@ function createLyricsStore() {
         // Play drop sound for feedback
         playDropSound();
 
-        return persistState({
-          ...state,
+        return commitChange(state, "reorder", {
           snippets: updatedSnippets,
         });
       });
     },
 
+    /**
+     * Create a new, empty project and open it
+     *
+     * @param {string} [name] - Project name
+     * @returns {string} The new project's id
+     */
+    createProject: (name = DEFAULT_PROJECT_NAME) => {
+      const project = createProjectRecord(name);
+      void saveCollectionToStorage(project.id, [], [], false);
+
+      update((state) =>
+        persistProjects({
+          ...state,
+          projects: [...state.projects, project],
+          activeProjectId: project.id,
+          snippets: [],
+          originalSnippets: [],
+          isUndoAvailable: false,
+          history: EMPTY_HISTORY,
+          arrangement: EMPTY_ARRANGEMENT,
+          deletedSnippets: [],
+          editingSnippetId: null,
+        }),
+      );
+
+      return project.id;
+    },
+
+    /**
+     * Rename a project
+     *
+     * @param {string} id - The project to rename
+     * @param {string} name - The new name (blank names are ignored)
+     * @returns {boolean} Success status
+     */
+    renameProject: (id, name) => {
+      if (!name || !name.trim()) return false;
+
+      update((state) =>
+        persistProjects({
+          ...state,
+          projects: state.projects.map((project) =>
+            project.id === id ? { ...project, name: name.trim() } : project,
+          ),
+        }),
+      );
+
+      return true;
+    },
+
+    /**
+     * Open another project
+     *
+     * @param {string} id - The project to open
+     * @returns {Promise<void>} Resolves once its snippets are in the store
+     */
+    switchProject: async (id) => {
+      const current = get({ subscribe });
+      if (
+        id === current.activeProjectId ||
+        !current.projects.some((project) => project.id === id)
+      ) {
+        return;
+      }
+
+      const opened = await readProjectState(id);
+      update((state) =>
+        persistProjects({ ...state, ...opened, editingSnippetId: null }),
+      );
+    },
+
+    /**
+     * Copy a project, snippets and undo state included, and open the copy
+     *
+     * @param {string} id - The project to copy
+     * @returns {Promise<string|null>} The copy's id, or null if the project
+     *   is unknown
+     */
+    duplicateProject: async (id) => {
+      const current = get({ subscribe });
+      const source = current.projects.find((project) => project.id === id);
+      if (!source) return null;
+
+      const collection =
+        id === current.activeProjectId
+          ? {
+              collectedSnippets: current.snippets,
+              originalSnippets: current.originalSnippets,
+              isUndoAvailable: current.isUndoAvailable,
+              history: current.history,
+              arrangement: current.arrangement,
+            }
+          : await loadCollectionFromStorage(id);
+
+      const copy = createProjectRecord(`${source.name} (copy)`);
+      void saveCollectionToStorage(
+        copy.id,
+        collection.collectedSnippets,
+        collection.originalSnippets,
+        collection.isUndoAvailable,
+        collection.history,
+        collection.arrangement,
+      );
+
+      update((state) => {
+        const projects = [...state.projects];
+        const sourceIndex = projects.findIndex((project) => project.id === id);
+        projects.splice(sourceIndex + 1, 0, copy);
+
+        return persistProjects({
+          ...state,
+          projects,
+          activeProjectId: copy.id,
+          snippets: collection.collectedSnippets,
+          originalSnippets: collection.originalSnippets,
+          isUndoAvailable: collection.isUndoAvailable,
+          history: collection.history,
+          arrangement: collection.arrangement,
+          deletedSnippets: [],
+          editingSnippetId: null,
+        });
+      });
+
+      return copy.id;
+    },
+
+    /**
+     * Delete a project and its lyrics. Deleting the open project opens its
+     * neighbour; deleting the last one leaves a fresh, empty project.
+     *
+     * @param {string} id - The project to delete
+     * @returns {Promise<void>}
+     */
+    deleteProject: async (id) => {
+      const current = get({ subscribe });
+      const index = current.projects.findIndex((project) => project.id === id);
+      if (index === -1) return;
+
+      void deleteCollectionFromStorage(id);
+      playDeleteSound();
+
+      let projects = current.projects.filter((project) => project.id !== id);
+      if (projects.length === 0) {
+        const replacement = createProjectRecord(DEFAULT_PROJECT_NAME);
+        void saveCollectionToStorage(replacement.id, [], [], false);
+        projects = [replacement];
+      }
+
+      // So a paired device deletes it too rather than syncing it back
+      const deletedProjects = [
+        ...current.deletedProjects.filter((entry) => entry.id !== id),
+        { id, deletedAt: new Date().toISOString() },
+      ].slice(-MAX_DELETIONS);
+
+      if (id !== current.activeProjectId) {
+        update((state) =>
+          persistProjects({ ...state, projects, deletedProjects }),
+        );
+        return;
+      }
+
+      const next = projects[Math.min(index, projects.length - 1)];
+      const opened = await readProjectState(next.id);
+      update((state) =>
+        persistProjects({
+          ...state,
+          projects,
+          deletedProjects,
+          ...opened,
+          editingSnippetId: null,
+        }),
+      );
+    },
+
+    /**
+     * Find the snippets in every other project that pass a filter
+     *
+     * @param {Object} filter - { query, section, tag } (see snippetLabels.js)
+     * @returns {Promise<Array<{ project: Object, snippets: Array }>>} Projects
+     *   with at least one match, in switcher order
+     */
+    searchOtherProjects: async (filter) => {
+      const current = get({ subscribe });
+      const others = current.projects.filter(
+        (project) => project.id !== current.activeProjectId,
+      );
+      if (others.length === 0) return [];
+
+      const collections = new Map(
+        (await loadAllCollectionsFromStorage()).map((collection) => [
+          collection.projectId,
+          collection.snippets || [],
+        ]),
+      );
+
+      return others
+        .map((project) => ({
+          project,
+          snippets: (collections.get(project.id) || []).filter((snippet) =>
+            matchesFilter(snippet, filter),
+          ),
+        }))
+        .filter((result) => result.snippets.length > 0);
+    },
+
+    /**
+     * Every project with lyrics or deletions in it, and the deleted
+     * projects, for sending to a paired device
+     *
+     * @returns {Promise<{ projects: Array<{ project: Object, snippets: Array,
+     *   deleted: Array }>, deletedProjects: Array }>}
+     */
+    collectForSync: async () => {
+      const current = get({ subscribe });
+      const collections = new Map(
+        (await loadAllCollectionsFromStorage()).map((collection) => [
+          collection.projectId,
+          collection,
+        ]),
+      );
+
+      const projects = current.projects
+        .map((project) => {
+          if (project.id === current.activeProjectId) {
+            return {
+              project,
+              snippets: current.snippets,
+              deleted: current.deletedSnippets,
+            };
+          }
+          const collection = collections.get(project.id);
+          return {
+            project,
+            snippets: collection?.snippets || [],
+            deleted: collection?.deleted || [],
+          };
+        })
+        // A cleared project still has deletions to pass on
+        .filter(
+          (entry) => entry.snippets.length > 0 || entry.deleted.length > 0,
+        );
+
+      return { projects, deletedProjects: current.deletedProjects };
+    },
+
+    /**
+     * Merge lyrics from a paired device, snippet by snippet (see
+     * syncMerge.js). The open project's merge is one undoable change, and
+     * it's never deleted from under the artist; other projects the paired
+     * device deleted go, and projects this device didn't have are added.
+     *
+     * @param {{ projects: Array<{ project: Object, snippets: Array,
+     *   deleted: Array }>, deletedProjects: Array }} remote - From
+     *   readSyncMessage
+     * @returns {Promise<{ added: number, updated: number, removed: number,
+     *   projects: number }>} Snippets added, updated and removed, and
+     *   projects new to this device
+     */
+    mergeSynced: async ({ projects: remoteProjects, deletedProjects }) => {
+      const current = get({ subscribe });
+      const known = new Set(current.projects.map((project) => project.id));
+      const projectDeletions = mergeProjectDeletions(
+        { projects: current.projects, deleted: current.deletedProjects },
+        {
+          projects: remoteProjects.map(({ project }) => project),
+          deleted: deletedProjects,
+        },
+        current.activeProjectId,
+      );
+      const totals = { added: 0, updated: 0, removed: 0, projects: 0 };
+      const newProjects = [];
+      let openMerge = null;
+
+      for (const { project, snippets, deleted } of remoteProjects) {
+        if (project.id === current.activeProjectId) {
+          openMerge = { snippets, deleted };
+          continue;
+        }
+        if (projectDeletions.isDeleted(project)) continue;
+
+        if (!known.has(project.id)) {
+          newProjects.push(project);
+          void saveCollectionToStorage(
+            project.id,
+            snippets,
+            [],
+            false,
+            EMPTY_HISTORY,
+            EMPTY_ARRANGEMENT,
+            deleted,
+          );
+          totals.added += snippets.length;
+          totals.projects++;
+          continue;
+        }
+
+        const collection = await loadCollectionFromStorage(project.id);
+        const merged = mergeSnippets(
+          {
+            snippets: collection.collectedSnippets,
+            deleted: collection.deletedSnippets,
+          },
+          { snippets, deleted },
+        );
+        if (!merged.changed) continue;
+
+        totals.added += merged.added;
+        totals.updated += merged.updated;
+        totals.removed += merged.removed;
+        void saveCollectionToStorage(
+          project.id,
+          merged.snippets,
+          collection.originalSnippets,
+          collection.isUndoAvailable,
+          collection.history,
+          collection.arrangement,
+          merged.deleted,
+        );
+      }
+
+      const gone = current.projects.filter(projectDeletions.isDeleted);
+      gone.forEach((project) => void deleteCollectionFromStorage(project.id));
+
+      update((state) => {
+        let next = { ...state, deletedProjects: projectDeletions.deleted };
+
+        if (openMerge) {
+          const merged = mergeSnippets(
+            { snippets: state.snippets, deleted: state.deletedSnippets },
+            openMerge,
+          );
+          totals.added += merged.added;
+          totals.updated += merged.updated;
+          totals.removed += merged.removed;
+
+          const withTombstones = { ...next, deletedSnippets: merged.deleted };
+          if (merged.snippets !== state.snippets) {
+            next = commitChange(withTombstones, "sync", {
+              snippets: merged.snippets,
+            });
+          } else if (merged.changed) {
+            next = persistState(withTombstones);
+          }
+        }
+
+        return persistProjects({
+          ...next,
+          projects: [
+            ...next.projects.filter(
+              (project) => !projectDeletions.isDeleted(project),
+            ),
+            ...newProjects,
+          ],
+        });
+      });
+
+      return totals;
+    },
+
+    /**
+     * Undo the last change to the open project
+     *
+     * @returns {Object|null} The command undone, or null if there was none
+     */
+    undo: () => {
+      let undone = null;
+
+      update((state) => {
+        const step = undoCommand(state.history);
+        if (!step) return state;
+
+        undone = step.command;
+        playEditSound();
+        return restoreSnapshot(state, step.command.before, step.history);
+      });
+
+      return undone;
+    },
+
+    /**
+     * Redo the last undone change to the open project
+     *
+     * @returns {Object|null} The command redone, or null if there was none
+     */
+    redo: () => {
+      let redone = null;
+
+      update((state) => {
+        const step = redoCommand(state.history);
+        if (!step) return state;
+
+        redone = step.command;
+        playEditSound();
+        return restoreSnapshot(state, step.command.after, step.history);
+      });
+
+      return redone;
+    },
+
     /**
      * Get all snippets
      *
@@ -373,7 +1121,7 @@ if (typeof window !== "undefined") {
   window.lyricsStore = lyricsStore;
 
   // This maintains compatibility with existing code
-  window.addToMainCollectionBox = (text) => {
-    return lyricsStore.addSnippet(text);
+  window.addToMainCollectionBox = (text, options) => {
+    return lyricsStore.addSnippet(text, options);
   };
 }
@@ -12,10 +12,12 @@
  * TRAIL MARKER (Unit Cleanup): See sanitation_manifest.md for the Route's overall plan.
  */
 
+import { get } from "svelte/store";
 import { eventBridge } from "$lib/services/infrastructure/eventBridge";
 import { promptStyle, autoRecord } from "$lib/index.js";
 import { soundService } from "$lib/services/sound";
 import { geminiService } from "$lib/services/geminiService";
+import { syllableTarget } from "$lib/services/lyrics";
 
 // === PROCESSING ZONE: THEME MANAGEMENT ===
 /**
@@ -204,6 +206,20 @@ export function toggleSounds(currentValue) {
   return newValue;
 }
 
+/**
+ * Handle syllables-per-bar change
+ * @param {string|number} value - New target; empty or 0 switches to auto
+ * @returns {number} - The target actually stored
+ */
+export function changeSyllableTarget(value) {
+  syllableTarget.set(value);
+  const stored = get(syllableTarget);
+
+  eventBridge.dispatchSettingChanged("syllableTarget", stored);
+
+  return stored;
+}
+
 // === END PROCESSING ZONE: SETTINGS HANDLERS ===
 
 // TRAIL MARKER (Unit Cleanup): This module contains all feature-specific handlers from SettingsModal.svelte
@@ -3,6 +3,7 @@ export { default as AppBadge } from "./AppBadge.svelte";
 export { default as AppSuffix } from "./AppSuffix.svelte";
 export { default as Confetti } from "./effects/Confetti.svelte";
 export { default as IconButton } from "./IconButton.svelte";
+export { default as RhymeText } from "./RhymeText.svelte";
 export { default as ErrorBoundary } from "./ErrorBoundary.svelte";
 export { default as ErrorNotification } from "./ErrorNotification.svelte";
 export { default as TooltipPortal } from "./TooltipPortal.svelte";
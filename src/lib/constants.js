@@ -29,6 +29,12 @@ export const STORAGE_KEYS = {
   LYRICS_COLLECTION: "riffRap-collection", // Key for stored lyrics collection
   LYRICS_ORIGINALS: "riffRap-originals", // Key for storing original snippets before combining
   LYRICS_THEME: "riffRap-gradient-theme", // Key for storing the gradient theme for lyrics box
+  RHYME_HIGHLIGHTING: "riffrap-rhyme-highlighting", // Colour rhyming syllables in lyrics
+  SYLLABLE_TARGET: "riffrap-syllable-target", // Syllables per bar for the line meter (0 = auto)
+  GLOSSARY: "riffrap-glossary", // Names and slang transcripts should spell the artist's way
+  WORD_LOOKUP: "riffrap-word-lookup", // Rhyme and synonym panel open while editing snippets
+  LAST_BACKUP: "riffrap-last-backup", // When a backup file was last saved
+  BACKUP_REMINDER_SNOOZED: "riffrap-backup-reminder-snoozed", // Backup reminder put off until
 
   // PWA Related
   TRANSCRIPTION_COUNT: "riffrap-transcription-count",
@@ -50,6 +56,14 @@ export const PROMPT_STYLES = {
 
 export const DEFAULT_PROMPT_STYLE = PROMPT_STYLES.LYRICS;
 
+// Names of the built-in styles the app offers, in the order it offers them
+export const PROMPT_STYLE_NAMES = {
+  [PROMPT_STYLES.STANDARD]: "Standard",
+  [PROMPT_STYLES.LYRICS]: "Lyrics",
+  [PROMPT_STYLES.CODE_WHISPERER]: "Code",
+  [PROMPT_STYLES.QUILL_AND_INK]: "Victorian",
+};
+
 // App Configuration
 export const APP_CONFIG = {
   NAME: "Riff Rap",
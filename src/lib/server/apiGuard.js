@@ -1,6 +1,7 @@
 import { json } from "@sveltejs/kit";
 import { env } from "$env/dynamic/private";
 import { dev } from "$app/environment";
+import { DEFAULT_MAX_UPLOAD_BYTES } from "$lib/services/transcription/audioUpload";
 
 const rateLimitBuckets = new Map();
 
@@ -24,7 +25,13 @@ function toPositiveInt(value, fallback) {
   return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
 }
 
-function getClientKey(event) {
+/**
+ * The client's IP, as far as the proxy headers tell it
+ *
+ * @param {Object} event - The request event
+ * @returns {string}
+ */
+export function getClientKey(event) {
   const cloudflareIp = event.request.headers.get("cf-connecting-ip");
   if (cloudflareIp) {
     return cloudflareIp.trim();
@@ -67,10 +74,17 @@ export function getGeminiModel() {
 }
 
 export function getMaxUploadBytes() {
-  return toPositiveInt(env.MAX_UPLOAD_BYTES, 15 * 1024 * 1024);
+  return toPositiveInt(env.MAX_UPLOAD_BYTES, DEFAULT_MAX_UPLOAD_BYTES);
 }
 
-export function guardRequest(event) {
+/**
+ * Origin check alone, for endpoints with rate limits of their own (see
+ * guardRateLimit)
+ *
+ * @param {Object} event - The request event
+ * @returns {Response|null} A 403 response, or null to carry on
+ */
+export function guardOrigin(event) {
   if (!isAllowedOrigin(event)) {
     return json(
       { error: "This request is coming from an unexpected origin." },
@@ -78,28 +92,52 @@ export function guardRequest(event) {
     );
   }
 
-  const rateLimit = toPositiveInt(env.API_RATE_LIMIT, 10);
-  const rateWindowMs = toPositiveInt(env.API_RATE_WINDOW_MS, 60_000);
-  const clientKey = getClientKey(event);
+  return null;
+}
+
+/**
+ * Count a request against the client's allowance for one kind of request
+ *
+ * @param {Object} event - The request event
+ * @param {Object} options
+ * @param {string} options.scope - Kind of request; each has its own counts
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowMs - Window length
+ * @param {string} options.message - Error shown once the limit is reached
+ * @returns {Response|null} A 429 response, or null to carry on
+ */
+export function guardRateLimit(event, { scope, limit, windowMs, message }) {
+  const bucketKey = `${scope}:${getClientKey(event)}`;
   const now = Date.now();
-  const bucket = rateLimitBuckets.get(clientKey);
+  const bucket = rateLimitBuckets.get(bucketKey);
 
   if (!bucket || now > bucket.resetAt) {
-    rateLimitBuckets.set(clientKey, {
+    rateLimitBuckets.set(bucketKey, {
       count: 1,
-      resetAt: now + rateWindowMs,
+      resetAt: now + windowMs,
     });
     evictOldestBucketsIfNeeded();
     return null;
   }
 
-  if (bucket.count >= rateLimit) {
-    return json(
-      { error: "Too many transcription attempts. Please wait a moment." },
-      { status: 429 },
-    );
+  if (bucket.count >= limit) {
+    return json({ error: message }, { status: 429 });
   }
 
   bucket.count += 1;
   return null;
 }
+
+export function guardRequest(event) {
+  const originResponse = guardOrigin(event);
+  if (originResponse) {
+    return originResponse;
+  }
+
+  return guardRateLimit(event, {
+    scope: "transcription",
+    limit: toPositiveInt(env.API_RATE_LIMIT, 10),
+    windowMs: toPositiveInt(env.API_RATE_WINDOW_MS, 60_000),
+    message: "Too many transcription attempts. Please wait a moment.",
+  });
+}
@@ -0,0 +1,153 @@
+/**
+ * Pairing for device-to-device lyric sync.
+ *
+ * Two browsers on the same network find each other through here and then
+ * talk directly over a WebRTC data channel; lyrics never pass through the
+ * server. All it holds is one session description each way (the offer from
+ * the device showing the pairing code, the answer from the one typing it),
+ * keyed by the code, in memory, for a few minutes.
+ *
+ * In-memory means one long-running server process, which is why the app
+ * builds with adapter-node (see scripts/deploy-pi.sh). Run more than one
+ * process behind a load balancer and the two devices' requests can land on
+ * different ones; pairing would need a shared store then.
+ */
+
+import { randomBytes, randomInt } from "node:crypto";
+
+// How long a code stays open for the second device
+export const PAIRING_TTL_MS = 5 * 60 * 1000;
+
+// Session descriptions with every ICE candidate run a few KB; anything much
+// bigger isn't one
+export const MAX_DESCRIPTION_LENGTH = 16_000;
+
+// Codes one client can have open at once. A device only ever needs one; a
+// few allows for retries before the old code expires.
+const MAX_PAIRINGS_PER_CLIENT = 3;
+
+// Ceiling on memory only. Far above what honest use reaches, since the cap
+// per client is what keeps any one client from crowding out the rest.
+const MAX_PAIRINGS = 10_000;
+
+const pairings = new Map();
+
+function removeExpired(now = Date.now()) {
+  for (const [code, pairing] of pairings) {
+    if (pairing.expiresAt <= now) pairings.delete(code);
+  }
+}
+
+function openPairingsFor(clientKey) {
+  let count = 0;
+  for (const pairing of pairings.values()) {
+    if (pairing.clientKey === clientKey) count++;
+  }
+  return count;
+}
+
+// Codes are short enough to type, so they must not be predictable: they come
+// from the CSPRNG, and guessing is held back by the endpoint's rate limit
+function createCode() {
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const code = String(randomInt(1_000_000)).padStart(6, "0");
+    if (!pairings.has(code)) return code;
+  }
+  return null;
+}
+
+/**
+ * Whether a value looks like an SDP session description
+ *
+ * @param {unknown} sdp
+ * @returns {boolean}
+ */
+export function isSessionDescription(sdp) {
+  return (
+    typeof sdp === "string" &&
+    sdp.length <= MAX_DESCRIPTION_LENGTH &&
+    sdp.startsWith("v=0")
+  );
+}
+
+/**
+ * Open a pairing with the first device's offer
+ *
+ * @param {string} offer - SDP offer
+ * @param {string} clientKey - Who is opening it (see getClientKey)
+ * @returns {{ code: string, hostToken: string, expiresAt: number }|null} The
+ *   pairing code to show, the token that collects the answer, or null if
+ *   this client (or the server) has too many open
+ */
+export function openPairing(offer, clientKey) {
+  removeExpired();
+  if (pairings.size >= MAX_PAIRINGS) return null;
+  if (openPairingsFor(clientKey) >= MAX_PAIRINGS_PER_CLIENT) return null;
+
+  const code = createCode();
+  if (!code) return null;
+
+  // Only the device that opened the pairing can collect its answer; the code
+  // alone isn't enough
+  const hostToken = randomBytes(16).toString("hex");
+  const expiresAt = Date.now() + PAIRING_TTL_MS;
+  pairings.set(code, {
+    offer,
+    answer: null,
+    joined: false,
+    clientKey,
+    hostToken,
+    expiresAt,
+  });
+  return { code, hostToken, expiresAt };
+}
+
+/**
+ * The offer for the device typing the code. Each code can be joined once.
+ *
+ * @param {string} code
+ * @returns {string|null} SDP offer, or null for an unknown, expired or
+ *   already joined code
+ */
+export function takeOffer(code) {
+  removeExpired();
+  const pairing = pairings.get(code);
+  if (!pairing || pairing.joined) return null;
+
+  pairing.joined = true;
+  return pairing.offer;
+}
+
+/**
+ * Leave the second device's answer for the first
+ *
+ * @param {string} code
+ * @param {string} answer - SDP answer
+ * @returns {boolean} False if the code isn't waiting for an answer
+ */
+export function leaveAnswer(code, answer) {
+  removeExpired();
+  const pairing = pairings.get(code);
+  if (!pairing || !pairing.joined || pairing.answer) return false;
+
+  pairing.answer = answer;
+  return true;
+}
+
+/**
+ * Polled by the first device. The pairing is closed once its answer is
+ * collected.
+ *
+ * @param {string} code
+ * @param {string} hostToken - From openPairing
+ * @returns {{ answer: string|null }|null} The answer once there is one, or
+ *   null for an unknown or expired code or the wrong token
+ */
+export function collectAnswer(code, hostToken) {
+  removeExpired();
+  const pairing = pairings.get(code);
+  if (!pairing || pairing.hostToken !== hostToken) return null;
+
+  if (pairing.answer) pairings.delete(code);
+  return { answer: pairing.answer };
+}
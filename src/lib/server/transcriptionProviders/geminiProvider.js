@@ -0,0 +1,166 @@
+import { GoogleGenerativeAI, SchemaType } from "@google/generative-ai";
+import { env } from "$env/dynamic/private";
+import { getGeminiModel } from "$lib/server/apiGuard";
+import {
+  normalizeSegments,
+  readPartialTimedLines,
+  segmentsToText,
+} from "./segments";
+
+// Appended to the style prompt when timings are requested. The style still
+// decides the wording; this only changes the shape of the answer.
+const TIMESTAMP_INSTRUCTIONS =
+  "Return the result as JSON. Put each line of your transcription in `lines`, in order, with `start` and `end` giving when that line is heard in the audio, in seconds from the beginning. Where you can, list the line's words with their own `start` and `end` in `words`. Use a line with empty text for each blank line between sections.";
+
+const TIMED_WORD_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    word: { type: SchemaType.STRING },
+    start: { type: SchemaType.NUMBER },
+    end: { type: SchemaType.NUMBER },
+  },
+  required: ["word", "start", "end"],
+};
+
+const TIMED_TRANSCRIPT_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    lines: {
+      type: SchemaType.ARRAY,
+      items: {
+        type: SchemaType.OBJECT,
+        properties: {
+          text: { type: SchemaType.STRING },
+          start: { type: SchemaType.NUMBER },
+          end: { type: SchemaType.NUMBER },
+          words: { type: SchemaType.ARRAY, items: TIMED_WORD_SCHEMA },
+        },
+        required: ["text", "start", "end"],
+      },
+    },
+  },
+  required: ["lines"],
+};
+
+function buildRequest({ prompt, audioData, mimeType, timestamps }) {
+  const request = {
+    contents: [
+      {
+        role: "user",
+        parts: [
+          {
+            text: timestamps
+              ? `${prompt}\n\n${TIMESTAMP_INSTRUCTIONS}`
+              : prompt,
+          },
+          { inlineData: { data: audioData, mimeType } },
+        ],
+      },
+    ],
+  };
+
+  if (timestamps) {
+    request.generationConfig = {
+      responseMimeType: "application/json",
+      responseSchema: TIMED_TRANSCRIPT_SCHEMA,
+    };
+  }
+
+  return request;
+}
+
+/**
+ * Gemini provider — the hosted default. Sends the rendered prompt and the
+ * inline audio in a single multimodal request.
+ */
+export function createGeminiProvider() {
+  let model = null;
+
+  function getModel() {
+    if (!model) {
+      const genAI = new GoogleGenerativeAI(env.GEMINI_API_KEY);
+      model = genAI.getGenerativeModel({ model: getGeminiModel() });
+    }
+
+    return model;
+  }
+
+  return {
+    name: "gemini",
+    supportsStyles: true,
+
+    getConfigError() {
+      return env.GEMINI_API_KEY ? null : "GEMINI_API_KEY is not set";
+    },
+
+    async transcribe({ prompt, audioData, mimeType, timestamps = false }) {
+      const request = buildRequest({ prompt, audioData, mimeType, timestamps });
+      const result = await getModel().generateContent(request);
+      const response = await result.response;
+      return this.finish(response.text(), { timestamps });
+    },
+
+    /**
+     * Like transcribe, but reports the transcript as it is generated.
+     *
+     * @param {Object} options - As for transcribe, plus an AbortSignal
+     * @param {Function} onPartial - Called with { text, heard } as text
+     *   arrives; text is everything so far, heard the seconds of audio it
+     *   covers (null without timings)
+     */
+    async transcribeStream(
+      { prompt, audioData, mimeType, timestamps = false, signal },
+      onPartial,
+    ) {
+      const request = buildRequest({ prompt, audioData, mimeType, timestamps });
+      const result = await getModel().generateContentStream(request, {
+        signal,
+      });
+
+      let raw = "";
+      for await (const chunk of result.stream) {
+        raw += chunk.text();
+        onPartial(
+          timestamps ? readPartialTimedLines(raw) : { text: raw, heard: null },
+        );
+      }
+
+      return this.finish(raw, { timestamps });
+    },
+
+    /**
+     * Turn a finished answer into { text, segments }
+     */
+    finish(text, { timestamps }) {
+      if (!timestamps) {
+        return { text, segments: null };
+      }
+
+      let segments = null;
+      try {
+        segments = normalizeSegments(JSON.parse(text)?.lines);
+      } catch {
+        // Malformed JSON is handled below like an empty answer
+      }
+
+      // Timings are a bonus: rather than fail the take or pay for it twice,
+      // keep whatever lines can be read (or the answer itself, if it came
+      // back as plain text) without times
+      if (!segments) {
+        const salvaged = readPartialTimedLines(text).text;
+        return {
+          text: salvaged || (/^\s*[{[]/.test(text) ? "" : text.trim()),
+          segments: null,
+        };
+      }
+
+      return { text: segmentsToText(segments), segments };
+    },
+
+    async generateText(prompt) {
+      const result = await getModel().generateContent(prompt);
+      const response = await result.response;
+      return response.text();
+    },
+  };
+}
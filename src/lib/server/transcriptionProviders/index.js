@@ -0,0 +1,81 @@
+/**
+ * Transcription provider registry
+ *
+ * Every provider exposes the same small interface so /api/gemini can stay
+ * provider-agnostic:
+ *
+ *   name                                   - identifier used in logs
+ *   getConfigError()                       - string when misconfigured, else null
+ *   supportsStyles                         - false when transcribe ignores the
+ *                                            prompt (the route tells the
+ *                                            client, which greys styles out)
+ *   transcribe({ prompt, vocabulary, audioData, mimeType, timestamps })
+ *                                          - resolves to { text, segments };
+ *                                            prompt is the style's full
+ *                                            instructions, vocabulary just
+ *                                            the glossary's spellings (for
+ *                                            Whisper, which can't follow
+ *                                            instructions);
+ *                                            segments (see segments.js) is null
+ *                                            unless timestamps were requested
+ *                                            and the backend could provide them
+ *   transcribeStream(options, onPartial)   - optional; like transcribe, but
+ *                                            also takes an AbortSignal and
+ *                                            calls onPartial({ text, heard })
+ *                                            with the transcript so far
+ *   generateText(prompt)                   - optional, text-only generation
+ *
+ * The prompt is always rendered from promptTemplates.js by the route, so
+ * prompt styles behave the same on every backend that takes instructions.
+ * Pick one with TRANSCRIPTION_PROVIDER (gemini | openai | whispercpp).
+ */
+import { env } from "$env/dynamic/private";
+import { createGeminiProvider } from "./geminiProvider";
+import { createOpenAIProvider } from "./openaiProvider";
+import { createWhisperCppProvider } from "./whisperCppProvider";
+
+const PROVIDER_FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  whispercpp: createWhisperCppProvider,
+};
+
+export const DEFAULT_PROVIDER = "gemini";
+
+const providers = new Map();
+
+/**
+ * Resolve the provider name from the environment.
+ * Unknown names fall back to Gemini with a warning rather than failing boot.
+ *
+ * @returns {string}
+ */
+export function getProviderName() {
+  const requested = (env.TRANSCRIPTION_PROVIDER || DEFAULT_PROVIDER)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+
+  if (PROVIDER_FACTORIES[requested]) {
+    return requested;
+  }
+
+  console.warn(
+    `Unknown TRANSCRIPTION_PROVIDER "${env.TRANSCRIPTION_PROVIDER}", using ${DEFAULT_PROVIDER}`,
+  );
+  return DEFAULT_PROVIDER;
+}
+
+/**
+ * Get the configured provider instance (created lazily, then cached).
+ *
+ * @returns {object} Provider implementing the interface described above
+ */
+export function getTranscriptionProvider() {
+  const name = getProviderName();
+  if (!providers.has(name)) {
+    providers.set(name, PROVIDER_FACTORIES[name]());
+  }
+
+  return providers.get(name);
+}
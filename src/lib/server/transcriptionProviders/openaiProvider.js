@@ -0,0 +1,107 @@
+import { env } from "$env/dynamic/private";
+import { normalizeSegments, segmentsToText } from "./segments";
+import { createAudioFile, createProviderError, trimBaseUrl } from "./shared";
+
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+
+/**
+ * OpenAI-compatible provider. Works with the hosted Whisper API and with any
+ * server that implements POST /audio/transcriptions (faster-whisper-server,
+ * LocalAI, a local stub...).
+ *
+ * Whisper has no instruction channel: its `prompt` field conditions spelling
+ * and punctuation rather than following commands, and an instruction prompt
+ * there tends to turn up in the transcript. So it only gets the glossary's
+ * spellings, and says it doesn't support styles; the style pickers then
+ * grey them out. Prompts are for the chat model (generateText).
+ *
+ * Timings come from verbose_json, which the hosted whisper-1 model and most
+ * compatible servers support; servers that ignore it just return plain text.
+ */
+export function createOpenAIProvider() {
+  const getBaseUrl = () => trimBaseUrl(env.OPENAI_BASE_URL || DEFAULT_BASE_URL);
+
+  function getHeaders() {
+    return env.OPENAI_API_KEY
+      ? { Authorization: `Bearer ${env.OPENAI_API_KEY}` }
+      : {};
+  }
+
+  const provider = {
+    name: "openai",
+    supportsStyles: false,
+
+    getConfigError() {
+      // A key is only mandatory for the hosted API; self-hosted
+      // OpenAI-compatible servers usually run without one.
+      if (!env.OPENAI_BASE_URL && !env.OPENAI_API_KEY) {
+        return "OPENAI_API_KEY is not set";
+      }
+      return null;
+    },
+
+    async transcribe({
+      vocabulary = "",
+      audioData,
+      mimeType,
+      timestamps = false,
+    }) {
+      const { blob, filename } = createAudioFile(audioData, mimeType);
+      const form = new FormData();
+      form.append("file", blob, filename);
+      form.append("model", env.OPENAI_TRANSCRIBE_MODEL || "whisper-1");
+      if (vocabulary) form.append("prompt", vocabulary);
+      form.append("response_format", timestamps ? "verbose_json" : "json");
+      if (timestamps) {
+        form.append("timestamp_granularities[]", "segment");
+        form.append("timestamp_granularities[]", "word");
+      }
+
+      const response = await fetch(`${getBaseUrl()}/audio/transcriptions`, {
+        method: "POST",
+        headers: getHeaders(),
+        body: form,
+      });
+
+      if (!response.ok) {
+        throw await createProviderError(response, "OpenAI");
+      }
+
+      const data = await response.json();
+      const segments = timestamps
+        ? normalizeSegments(data?.segments, data?.words)
+        : null;
+      if (segments) {
+        return { text: segmentsToText(segments), segments };
+      }
+
+      return {
+        text: typeof data?.text === "string" ? data.text.trim() : "",
+        segments: null,
+      };
+    },
+  };
+
+  // Text generation needs a chat model; plain Whisper servers don't have one.
+  if (env.OPENAI_CHAT_MODEL) {
+    provider.generateText = async (prompt) => {
+      const response = await fetch(`${getBaseUrl()}/chat/completions`, {
+        method: "POST",
+        headers: { ...getHeaders(), "Content-Type": "application/json" },
+        body: JSON.stringify({
+          model: env.OPENAI_CHAT_MODEL,
+          messages: [{ role: "user", content: prompt }],
+        }),
+      });
+
+      if (!response.ok) {
+        throw await createProviderError(response, "OpenAI");
+      }
+
+      const data = await response.json();
+      return data?.choices?.[0]?.message?.content || "";
+    };
+  }
+
+  return provider;
+}
@@ -0,0 +1,117 @@
+/**
+ * Timed transcript segments.
+ *
+ * Providers report timings in different shapes (Whisper's verbose_json,
+ * Gemini's structured output); everything is normalized to
+ *
+ *   [{ start, end, text, words: [{ start, end, word }] }]
+ *
+ * with times in seconds. One segment is one transcript line, so the route can
+ * rebuild the text from the segments and the client can line them up again.
+ */
+
+const MAX_SEGMENTS = 2000;
+
+function toSeconds(value) {
+  const number = typeof value === "string" ? Number.parseFloat(value) : value;
+  return Number.isFinite(number) && number >= 0
+    ? Math.round(number * 100) / 100
+    : null;
+}
+
+function normalizeWords(rawWords) {
+  if (!Array.isArray(rawWords)) return [];
+
+  return rawWords
+    .map((word) => ({
+      start: toSeconds(word?.start),
+      end: toSeconds(word?.end),
+      word: String(word?.word ?? word?.text ?? "").trim(),
+    }))
+    .filter((word) => word.word && word.start !== null && word.end !== null)
+    .map((word) => ({ ...word, end: Math.max(word.start, word.end) }));
+}
+
+/**
+ * Clean up raw provider segments. Entries without usable times are dropped;
+ * blank-text entries are kept so stanza breaks survive.
+ *
+ * @param {Array<Object>} rawSegments - Provider segments ({ start, end, text })
+ * @param {Array<Object>} [rawWords] - Flat word list to distribute over the
+ *   segments, for providers that report words separately
+ * @returns {Array<Object>|null} Normalized segments, or null if none survive
+ */
+export function normalizeSegments(rawSegments, rawWords = []) {
+  if (!Array.isArray(rawSegments)) return null;
+
+  const looseWords = normalizeWords(rawWords);
+
+  const segments = rawSegments
+    .slice(0, MAX_SEGMENTS)
+    .map((segment) => {
+      const start = toSeconds(segment?.start);
+      const end = toSeconds(segment?.end);
+      if (start === null || end === null) return null;
+
+      const ownWords = normalizeWords(segment.words);
+      const words =
+        ownWords.length > 0
+          ? ownWords
+          : looseWords.filter(
+              (word) => word.start >= start && word.start < end,
+            );
+
+      return {
+        start,
+        end: Math.max(start, end),
+        text: String(segment.text ?? "").trim(),
+        words,
+      };
+    })
+    .filter(Boolean);
+
+  return segments.some((segment) => segment.text) ? segments : null;
+}
+
+/**
+ * Rebuild the transcript from its segments, one line per segment.
+ *
+ * @param {Array<Object>} segments - Normalized segments
+ * @returns {string}
+ */
+export function segmentsToText(segments) {
+  return segments
+    .map((segment) => segment.text)
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Read what can already be read from timed-lines JSON that is still
+ * streaming in: the text of every line whose string has closed, and the
+ * latest time mentioned so far.
+ *
+ * @param {string} partialJson - The start of a `{ "lines": [...] }` answer
+ * @returns {{ text: string, heard: number|null }} heard is how far into the
+ *   audio the transcript has got, in seconds
+ */
+export function readPartialTimedLines(partialJson) {
+  const lines = [];
+  for (const match of partialJson.matchAll(
+    /"text"\s*:\s*("(?:[^"\\]|\\.)*")/g,
+  )) {
+    try {
+      lines.push(String(JSON.parse(match[1])).trim());
+    } catch {
+      // An escape cut off mid-way; it'll be complete next time
+    }
+  }
+
+  let heard = null;
+  for (const match of partialJson.matchAll(/"end"\s*:\s*(\d+(?:\.\d+)?)/g)) {
+    heard = Math.max(heard ?? 0, Number(match[1]));
+  }
+
+  return { text: segmentsToText(lines.map((text) => ({ text }))), heard };
+}
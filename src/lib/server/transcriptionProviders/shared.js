@@ -0,0 +1,64 @@
+/**
+ * Helpers shared by the HTTP-based (Whisper-style) providers.
+ */
+
+const FILE_EXTENSIONS = {
+  "audio/aac": "aac",
+  "audio/mp4": "m4a",
+  "audio/mpeg": "mp3",
+  "audio/ogg": "ogg",
+  "audio/wav": "wav",
+  "audio/webm": "webm",
+  "audio/x-wav": "wav",
+};
+
+/**
+ * Turn the base64 payload from the client into a form-data ready file.
+ * Whisper servers sniff the container from the filename extension, so the
+ * name matters as much as the type.
+ *
+ * @param {string} audioData - Base64 encoded audio
+ * @param {string} mimeType - Normalized audio MIME type
+ * @returns {{ blob: Blob, filename: string }}
+ */
+export function createAudioFile(audioData, mimeType) {
+  const extension = FILE_EXTENSIONS[mimeType] || "webm";
+  return {
+    blob: new Blob([Buffer.from(audioData, "base64")], { type: mimeType }),
+    filename: `take.${extension}`,
+  };
+}
+
+/**
+ * Strip a trailing slash so env values like "http://pi.local:8080/" work.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+export function trimBaseUrl(url) {
+  return url.replace(/\/+$/, "");
+}
+
+/**
+ * Build an Error from a failed upstream response. The status code is kept in
+ * the message so the route's retry logic can spot 429/503s, and mapped onto
+ * error.status so the client sees a gateway error rather than a generic 500.
+ *
+ * @param {Response} response
+ * @param {string} providerName
+ * @returns {Promise<Error>}
+ */
+export async function createProviderError(response, providerName) {
+  let detail = "";
+  try {
+    detail = (await response.text()).slice(0, 200);
+  } catch {
+    // Body is only used for logging, an unreadable one is fine.
+  }
+
+  const error = new Error(
+    `${providerName} request failed (${response.status})${detail ? `: ${detail}` : ""}`,
+  );
+  error.status = response.status === 429 ? 429 : 502;
+  return error;
+}
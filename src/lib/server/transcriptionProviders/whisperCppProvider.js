@@ -0,0 +1,65 @@
+import { env } from "$env/dynamic/private";
+import { normalizeSegments, segmentsToText } from "./segments";
+import { createAudioFile, createProviderError, trimBaseUrl } from "./shared";
+
+const DEFAULT_SERVER_URL = "http://127.0.0.1:8080";
+
+/**
+ * whisper.cpp provider. Talks to the bundled `whisper-server` example
+ * (POST /inference), which is what we run next to the app on the Pi.
+ *
+ * Like the OpenAI provider, only the glossary's spellings go in as Whisper's
+ * initial prompt. It can't follow style instructions, so it reports
+ * supportsStyles: false and the style pickers grey them out.
+ *
+ * Start the server with `--convert` if it should accept anything other than
+ * 16kHz WAV. Timings use the server's verbose_json output, which mirrors
+ * OpenAI's (segment start/end in seconds).
+ */
+export function createWhisperCppProvider() {
+  return {
+    name: "whispercpp",
+    supportsStyles: false,
+
+    getConfigError() {
+      return null;
+    },
+
+    async transcribe({
+      vocabulary = "",
+      audioData,
+      mimeType,
+      timestamps = false,
+    }) {
+      const { blob, filename } = createAudioFile(audioData, mimeType);
+      const form = new FormData();
+      form.append("file", blob, filename);
+      if (vocabulary) form.append("prompt", vocabulary);
+      form.append("response_format", timestamps ? "verbose_json" : "json");
+      form.append("temperature", "0.0");
+
+      const serverUrl = trimBaseUrl(env.WHISPER_CPP_URL || DEFAULT_SERVER_URL);
+      const response = await fetch(`${serverUrl}/inference`, {
+        method: "POST",
+        body: form,
+      });
+
+      if (!response.ok) {
+        throw await createProviderError(response, "whisper.cpp");
+      }
+
+      const data = await response.json();
+      const segments = timestamps
+        ? normalizeSegments(data?.segments, data?.words)
+        : null;
+      if (segments) {
+        return { text: segmentsToText(segments), segments };
+      }
+
+      return {
+        text: typeof data?.text === "string" ? data.text.trim() : "",
+        segments: null,
+      };
+    },
+  };
+}
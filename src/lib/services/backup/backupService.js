@@ -0,0 +1,644 @@
+/**
+ * backupService.js
+ *
+ * One file holding everything RiffRap keeps in this browser: the lyrics
+ * projects and their collections (with originals, undo history and song
+ * arrangements), the settings, and optionally the audio of every take.
+ * RiffRap is local-first (see durableStorage.js), so one cleared browser
+ * loses everything; a backup file is the copy somewhere else.
+ *
+ * A backup can be locked with a passphrase: the contents are encrypted with
+ * AES-GCM under a key derived from it (PBKDF2, SHA-256). There is no way
+ * back in without the passphrase, and none is kept anywhere.
+ *
+ * ```
+ * { format: "riffrap-backup", version: 1, createdAt,
+ *   encryption: null | { cipher, kdf, hash, iterations, salt, iv },
+ *   data: { projects, activeProjectId, deletedProjects, collections,
+ *           settings, takes }
+ *         | "<base64 ciphertext of that object as JSON>" }
+ * ```
+ *
+ * Restoring either merges (adds what this browser doesn't have, never drops
+ * anything it does) or replaces (the backup wins). Either way the sync
+ * tombstones of deleted projects (see syncMerge.js) from this browser and
+ * the backup are both kept, so a restore can't bring a deleted project back
+ * to paired devices. Restores write to the
+ * database directly, so the page reloads afterwards to pick them up.
+ */
+
+import { browser } from "$app/environment";
+import { STORAGE_KEYS } from "$lib/constants";
+import { mergeProjectDeletions } from "$lib/components/mainPage/lyrics-collection/modules/syncMerge";
+import {
+  STORES,
+  dbGet,
+  dbGetAll,
+  runTransaction,
+} from "../infrastructure/database";
+import { StorageError } from "../infrastructure/errorHandler";
+import { createLogger } from "../infrastructure/loggerService";
+import { StorageUtils } from "../infrastructure/storageUtils";
+
+const logger = createLogger("BackupService");
+
+const BACKUP_FORMAT = "riffrap-backup";
+const BACKUP_VERSION = 1;
+
+// Key of the lyrics project index in the meta store (see storageManager.js)
+const PROJECT_INDEX_KEY = "lyricsProjects";
+
+const KEY_DERIVATION = {
+  kdf: "PBKDF2",
+  hash: "SHA-256",
+  iterations: 310000,
+};
+
+// A locked file says how many iterations its key took. Other versions may
+// use another count, within reason; one asking for billions would hang the
+// tab, and one far below ours isn't a file we wrote
+const MIN_KEY_ITERATIONS = 100000;
+const MAX_KEY_ITERATIONS = KEY_DERIVATION.iterations * 10;
+
+/** Days without a backup before the reminder shows */
+export const BACKUP_REMINDER_DAYS = 14;
+
+// "Later" on the reminder puts it off for this long
+const REMINDER_SNOOZE_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Settings worth carrying to another browser. Device-specific state (install
+// prompts, the durable storage request, debug mode) is left behind.
+const SETTINGS_KEYS = [
+  STORAGE_KEYS.THEME,
+  STORAGE_KEYS.AUTO_RECORD,
+  STORAGE_KEYS.PROMPT_STYLE,
+  STORAGE_KEYS.LYRICS_THEME,
+  STORAGE_KEYS.RHYME_HIGHLIGHTING,
+  STORAGE_KEYS.SYLLABLE_TARGET,
+  STORAGE_KEYS.GLOSSARY,
+  STORAGE_KEYS.WORD_LOOKUP,
+  // Written by modules that name their own keys
+  "riffrap-custom-styles",
+  "riffrap-sounds-enabled",
+  "riffRap-sounds-enabled",
+  "riffRap-lyrics-theme",
+  "riffRap-export-as-text",
+];
+
+/**
+ * An error the import screen can show as it is
+ *
+ * @param {string} message - Shown to the user as is
+ * @param {string} code - ERR_BACKUP_INVALID, ERR_BACKUP_LOCKED or
+ *   ERR_BACKUP_PASSPHRASE
+ * @returns {StorageError}
+ */
+function backupError(message, code) {
+  return new StorageError(message, { code, isOperational: true });
+}
+
+function toBase64(bytes) {
+  let binary = "";
+  // Chunked: spreading a whole recording into fromCharCode overflows the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// The transcription route's check, except an empty recording passes. atob
+// throws a bare DOMException on anything else, so damaged audio is caught
+// while validating instead.
+function isBase64(text) {
+  return (
+    typeof text === "string" &&
+    /^[A-Za-z0-9+/]*={0,2}$/.test(text) &&
+    text.length % 4 === 0
+  );
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Turn a passphrase into the key that locks or opens a backup
+ *
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<CryptoKey>} An AES-GCM key
+ */
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    KEY_DERIVATION.kdf,
+    false,
+    ["deriveKey"],
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: KEY_DERIVATION.kdf, hash: KEY_DERIVATION.hash, salt, iterations },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"],
+  );
+}
+
+/**
+ * Lock the backup contents with a passphrase
+ *
+ * @param {Object} data - The backup contents
+ * @param {string} passphrase
+ * @returns {Promise<{ encryption: Object, data: string }>}
+ */
+async function encrypt(data, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt, KEY_DERIVATION.iterations);
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(data)),
+  );
+
+  return {
+    encryption: {
+      cipher: "AES-GCM",
+      ...KEY_DERIVATION,
+      salt: toBase64(salt),
+      iv: toBase64(iv),
+    },
+    data: toBase64(new Uint8Array(ciphertext)),
+  };
+}
+
+/**
+ * Open a locked backup's contents
+ *
+ * @param {Object} envelope - A parsed, locked backup file
+ * @param {string} passphrase
+ * @returns {Promise<Object>} The backup contents
+ */
+async function decrypt(envelope, passphrase) {
+  const { encryption } = envelope;
+  let plaintext;
+
+  if (
+    !Number.isInteger(encryption.iterations) ||
+    encryption.iterations < MIN_KEY_ITERATIONS ||
+    encryption.iterations > MAX_KEY_ITERATIONS
+  ) {
+    throw backupError("This backup file is damaged.", "ERR_BACKUP_INVALID");
+  }
+
+  try {
+    const key = await deriveKey(
+      passphrase,
+      fromBase64(encryption.salt),
+      encryption.iterations,
+    );
+    plaintext = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: fromBase64(encryption.iv) },
+      key,
+      fromBase64(envelope.data),
+    );
+  } catch {
+    // AES-GCM can't tell a wrong passphrase from a damaged file
+    throw backupError(
+      "That passphrase doesn't open this backup.",
+      "ERR_BACKUP_PASSPHRASE",
+    );
+  }
+
+  try {
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  } catch {
+    throw backupError("This backup file is damaged.", "ERR_BACKUP_INVALID");
+  }
+}
+
+/**
+ * Make a stored take fit for JSON
+ *
+ * @param {Object} take - A stored take, blob included
+ * @returns {Promise<Object>} The take with its audio as base64
+ */
+async function serializeTake(take) {
+  const { blob, ...fields } = take;
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  return { ...fields, audio: toBase64(bytes) };
+}
+
+/**
+ * Turn a take from a backup back into one that can be stored
+ *
+ * @param {Object} take - A take from a backup
+ * @returns {Object} The take as stored, audio back in a blob
+ */
+function deserializeTake(take) {
+  const { audio, ...fields } = take;
+  return {
+    ...fields,
+    blob: new Blob([fromBase64(audio)], { type: take.mimeType || "" }),
+  };
+}
+
+/**
+ * Read everything a backup holds from this browser
+ *
+ * @param {boolean} includeAudio - Whether to take the recordings along
+ * @returns {Promise<Object>} The backup contents
+ */
+async function collectData(includeAudio) {
+  const [index, collections, takes] = await Promise.all([
+    dbGet(STORES.META, PROJECT_INDEX_KEY),
+    dbGetAll(STORES.LYRICS_COLLECTIONS),
+    includeAudio ? dbGetAll(STORES.TAKES) : [],
+  ]);
+
+  const settings = {};
+  SETTINGS_KEYS.forEach((key) => {
+    const value = StorageUtils.getItem(key);
+    if (value !== null) settings[key] = value;
+  });
+
+  return {
+    projects: index?.projects || [],
+    activeProjectId: index?.activeProjectId || null,
+    deletedProjects: index?.deletedProjects || [],
+    collections,
+    settings,
+    takes: await Promise.all(takes.map(serializeTake)),
+  };
+}
+
+/**
+ * Check a backup's contents before anything is written from it
+ *
+ * @param {Object} data - Decrypted backup contents
+ * @returns {Object} The same contents
+ */
+function validateData(data) {
+  const isSnippet = (snippet) =>
+    typeof snippet?.id === "string" && typeof snippet.text === "string";
+  const valid =
+    data &&
+    Array.isArray(data.projects) &&
+    data.projects.every(
+      (project) =>
+        typeof project?.id === "string" && typeof project.name === "string",
+    ) &&
+    (!data.deletedProjects ||
+      (Array.isArray(data.deletedProjects) &&
+        data.deletedProjects.every(
+          (entry) =>
+            typeof entry?.id === "string" &&
+            typeof entry.deletedAt === "string",
+        ))) &&
+    Array.isArray(data.collections) &&
+    data.collections.every(
+      (collection) =>
+        typeof collection?.projectId === "string" &&
+        Array.isArray(collection.snippets) &&
+        collection.snippets.every(isSnippet),
+    ) &&
+    (!data.settings || typeof data.settings === "object") &&
+    (!data.takes ||
+      (Array.isArray(data.takes) &&
+        data.takes.every(
+          (take) => typeof take?.id === "string" && isBase64(take.audio),
+        )));
+
+  if (!valid) {
+    throw backupError(
+      "This backup file is damaged or incomplete.",
+      "ERR_BACKUP_INVALID",
+    );
+  }
+
+  return data;
+}
+
+/**
+ * What a backup holds, for the restore prompt
+ *
+ * @param {Object} data - Validated backup contents
+ * @returns {{ projects: number, snippets: number, takes: number,
+ *   settings: number }}
+ */
+function summarize(data) {
+  return {
+    projects: data.projects.length,
+    snippets: data.collections.reduce(
+      (count, collection) => count + collection.snippets.length,
+      0,
+    ),
+    takes: data.takes?.length || 0,
+    settings: Object.keys(data.settings || {}).length,
+  };
+}
+
+/**
+ * Put backed-up items in with this browser's, keeping this browser's copy
+ * of anything both have
+ *
+ * @param {Array} local - This browser's items
+ * @param {Array} incoming - The backup's items
+ * @param {Function} keyOf - item => identity
+ * @returns {Array} Local items, then the backup's new ones
+ */
+function mergeBy(local = [], incoming = [], keyOf) {
+  const known = new Set(local.map(keyOf));
+  return [...local, ...incoming.filter((item) => !known.has(keyOf(item)))];
+}
+
+/**
+ * Whether this browser can make locked backups
+ *
+ * @returns {boolean}
+ */
+export function canEncryptBackups() {
+  return browser && !!globalThis.crypto?.subtle;
+}
+
+/**
+ * Build a backup file of everything in this browser
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.includeAudio] - Take the recordings along too
+ * @param {string} [options.passphrase] - Lock the backup with this
+ * @returns {Promise<{ blob: Blob, filename: string }>}
+ */
+export async function createBackup({
+  includeAudio = false,
+  passphrase = "",
+} = {}) {
+  const createdAt = new Date().toISOString();
+  const data = await collectData(includeAudio);
+  const body = passphrase
+    ? await encrypt(data, passphrase)
+    : { encryption: null, data };
+
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt,
+    ...body,
+  };
+
+  logger.info("Backup created", {
+    ...summarize(data),
+    encrypted: !!passphrase,
+  });
+
+  return {
+    blob: new Blob([JSON.stringify(backup)], { type: "application/json" }),
+    filename: `riffrap-backup-${createdAt.slice(0, 10)}.json`,
+  };
+}
+
+/**
+ * Remember that a backup was just saved, which resets the reminder
+ */
+export function markBackedUp() {
+  StorageUtils.setItem(STORAGE_KEYS.LAST_BACKUP, new Date().toISOString());
+}
+
+/**
+ * Open a backup file. A locked backup without its passphrase rejects with
+ * ERR_BACKUP_LOCKED, a wrong passphrase with ERR_BACKUP_PASSPHRASE, and
+ * anything that isn't a usable backup with ERR_BACKUP_INVALID.
+ *
+ * @param {Blob} file - The chosen file
+ * @param {string} [passphrase] - For locked backups
+ * @returns {Promise<{ createdAt: string, encrypted: boolean,
+ *   summary: Object, data: Object }>}
+ */
+export async function readBackup(file, passphrase = "") {
+  let envelope;
+  try {
+    envelope = JSON.parse(await file.text());
+  } catch {
+    envelope = null;
+  }
+
+  if (envelope?.format !== BACKUP_FORMAT) {
+    throw backupError(
+      "That isn't a RiffRap backup file.",
+      "ERR_BACKUP_INVALID",
+    );
+  }
+  if (!(envelope.version <= BACKUP_VERSION)) {
+    throw backupError(
+      "This backup was made by a newer RiffRap. Update the app to restore it.",
+      "ERR_BACKUP_INVALID",
+    );
+  }
+
+  const encrypted = !!envelope.encryption;
+  if (encrypted && !passphrase) {
+    throw backupError(
+      "This backup is locked. Enter its passphrase.",
+      "ERR_BACKUP_LOCKED",
+    );
+  }
+
+  const data = validateData(
+    encrypted ? await decrypt(envelope, passphrase) : envelope.data,
+  );
+
+  return {
+    createdAt: envelope.createdAt,
+    encrypted,
+    summary: summarize(data),
+    data,
+  };
+}
+
+/**
+ * Write a backup into this browser. Lyrics and recordings go in one
+ * transaction, so a failed restore leaves everything as it was. Reload the
+ * page afterwards: stores already loaded don't see the restored data.
+ *
+ * @param {Object} data - Contents from readBackup
+ * @param {"merge"|"replace"} mode - Merge keeps everything here and adds
+ *   what's missing (projects, snippets, recordings, unset settings), except
+ *   projects deleted here since the backup; replace makes this browser match
+ *   the backup
+ * @returns {Promise<Object>} What was restored, as summarized for the prompt
+ */
+export async function restoreBackup(data, mode) {
+  const replace = mode === "replace";
+  const takes = (data.takes || []).map(deserializeTake);
+
+  const [index, localCollections] = await Promise.all([
+    dbGet(STORES.META, PROJECT_INDEX_KEY),
+    replace ? [] : dbGetAll(STORES.LYRICS_COLLECTIONS),
+  ]);
+
+  let projects = data.projects;
+  let activeProjectId = data.activeProjectId;
+  let collections = data.collections;
+
+  if (!replace) {
+    const byProject = new Map(
+      localCollections.map((collection) => [collection.projectId, collection]),
+    );
+    projects = mergeBy(index?.projects, data.projects, (project) => project.id);
+    activeProjectId = index?.activeProjectId || data.activeProjectId;
+    collections = data.collections.map((collection) => {
+      const local = byProject.get(collection.projectId);
+      if (!local) return collection;
+      return {
+        ...local,
+        snippets: mergeBy(
+          local.snippets,
+          collection.snippets,
+          (snippet) => snippet.id,
+        ),
+      };
+    });
+  }
+
+  // A project deleted (here or in the backup's browser) after it last
+  // changed stays deleted when merging; replacing takes the backup's list
+  const projectDeletions = mergeProjectDeletions(
+    {
+      projects: replace ? [] : index?.projects || [],
+      deleted: index?.deletedProjects || [],
+    },
+    { projects: data.projects, deleted: data.deletedProjects || [] },
+    activeProjectId,
+  );
+  if (!replace) {
+    projects = projects.filter(
+      (project) => !projectDeletions.isDeleted(project),
+    );
+  }
+  const projectIds = new Set(projects.map((project) => project.id));
+  collections = collections.filter((collection) =>
+    projectIds.has(collection.projectId),
+  );
+  const deletedProjects = projectDeletions.deleted.filter(
+    (entry) => !projectIds.has(entry.id),
+  );
+
+  if (!projects.some((project) => project.id === activeProjectId)) {
+    activeProjectId = projects[0]?.id || null;
+  }
+
+  await runTransaction(
+    [STORES.META, STORES.LYRICS_COLLECTIONS, STORES.TAKES],
+    "readwrite",
+    (tx) => {
+      const collectionStore = tx.objectStore(STORES.LYRICS_COLLECTIONS);
+      const takeStore = tx.objectStore(STORES.TAKES);
+
+      if (replace) collectionStore.clear();
+      collections.forEach((collection) => collectionStore.put(collection));
+      tx.objectStore(STORES.META).put({
+        key: PROJECT_INDEX_KEY,
+        projects,
+        activeProjectId,
+        deletedProjects,
+      });
+
+      // Recordings already here are the same audio; only add missing ones.
+      // A backup without recordings leaves this browser's alone.
+      takes.forEach((take) => {
+        const request = takeStore.getKey(take.id);
+        request.onsuccess = () => {
+          if (request.result === undefined) takeStore.put(take);
+        };
+      });
+    },
+  );
+
+  Object.entries(data.settings || {}).forEach(([key, value]) => {
+    if (!SETTINGS_KEYS.includes(key) || typeof value !== "string") return;
+    if (replace || StorageUtils.getItem(key) === null) {
+      StorageUtils.setItem(key, value);
+    }
+  });
+
+  logger.info(`Backup restored (${mode})`, summarize(data));
+  return summarize(data);
+}
+
+/**
+ * Whether it's time to remind the artist to back up: they have lyrics, and
+ * haven't saved a backup (or started, if they never have) for
+ * BACKUP_REMINDER_DAYS, and didn't put the reminder off recently.
+ *
+ * @returns {Promise<{ days: number, never: boolean }|null>} Days since the
+ *   last backup (or since the first project, if never), or null for no
+ *   reminder
+ */
+export async function getBackupReminder() {
+  if (!browser) return null;
+
+  const snoozedUntil = Date.parse(
+    StorageUtils.getItem(STORAGE_KEYS.BACKUP_REMINDER_SNOOZED) || "",
+  );
+  if (snoozedUntil > Date.now()) return null;
+
+  try {
+    const [index, collections] = await Promise.all([
+      dbGet(STORES.META, PROJECT_INDEX_KEY),
+      dbGetAll(STORES.LYRICS_COLLECTIONS),
+    ]);
+    const hasLyrics = collections.some(
+      (collection) => collection.snippets?.length > 0,
+    );
+    if (!hasLyrics) return null;
+
+    const lastBackup = StorageUtils.getItem(STORAGE_KEYS.LAST_BACKUP);
+    const since = lastBackup
+      ? Date.parse(lastBackup)
+      : Math.min(
+          ...(index?.projects || [])
+            .map((project) => Date.parse(project.createdAt))
+            .filter(Number.isFinite),
+        );
+    if (!Number.isFinite(since)) return null;
+
+    const days = Math.floor((Date.now() - since) / DAY_MS);
+    return days >= BACKUP_REMINDER_DAYS ? { days, never: !lastBackup } : null;
+  } catch (error) {
+    logger.warn("Could not check when lyrics were last backed up", {
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Put the backup reminder off for a few days
+ */
+export function snoozeBackupReminder() {
+  StorageUtils.setItem(
+    STORAGE_KEYS.BACKUP_REMINDER_SNOOZED,
+    new Date(Date.now() + REMINDER_SNOOZE_DAYS * DAY_MS).toISOString(),
+  );
+}
+
+/**
+ * Days since the last backup was saved
+ *
+ * @returns {number|null} Whole days, or null if never
+ */
+export function daysSinceBackup() {
+  const lastBackup = Date.parse(
+    StorageUtils.getItem(STORAGE_KEYS.LAST_BACKUP) || "",
+  );
+  if (!Number.isFinite(lastBackup)) return null;
+  return Math.floor((Date.now() - lastBackup) / DAY_MS);
+}
@@ -0,0 +1,11 @@
+export {
+  BACKUP_REMINDER_DAYS,
+  canEncryptBackups,
+  createBackup,
+  daysSinceBackup,
+  getBackupReminder,
+  markBackedUp,
+  readBackup,
+  restoreBackup,
+  snoozeBackupReminder,
+} from "./backupService";
@@ -55,84 +55,206 @@ function blobToGenerativePart(blob) {
   });
 }
 
-const generateContent = errorHandler.wrapAsync(
-  async (promptData) => {
-    try {
-      const [requestOptions, audioPart] = Array.isArray(promptData)
-        ? promptData
-        : [promptData, null];
-      const operation = requestOptions?.operation || "transcribeAudio";
-      const promptStyle = requestOptions?.promptStyle || "standard";
-      const variables = requestOptions?.variables || {};
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT);
+/**
+ * Read the route's server-sent events until the transcript is done
+ *
+ * @param {Response} response - A text/event-stream response
+ * @param {Function} onPartial - Called with each { text, heard }
+ * @param {Function} onActivity - Called whenever bytes arrive
+ */
+async function readTranscriptionStream(response, onPartial, onActivity) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
 
-      try {
-        const response = await fetch("/api/gemini", {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({
-            operation,
-            promptStyle,
-            variables,
-            audioData: audioPart?.inlineData?.data,
-            mimeType: audioPart?.inlineData?.mimeType,
-          }),
-          signal: controller.signal,
-        });
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    onActivity();
 
-        const data = await response.json();
-        if (!response.ok) {
-          throw new ApiError(
-            data.error || "Failed to generate content with Gemini",
-            {
-              code: getApiErrorCode(response.status),
-              statusCode: response.status,
-              context: {
-                responseStatus: response.status,
-              },
-            },
-          );
-        }
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split("\n\n");
+    buffer = events.pop();
 
+    for (const block of events) {
+      const lines = block.split("\n");
+      const event = lines
+        .find((line) => line.startsWith("event:"))
+        ?.slice(6)
+        .trim();
+      const dataLines = lines
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.slice(5).trim());
+      if (!event || dataLines.length === 0) continue;
+
+      const data = JSON.parse(dataLines.join("\n"));
+      if (event === "partial") {
+        onPartial(data);
+      } else if (event === "done") {
         return {
           text: () => data.text,
+          segments: () => data.segments || null,
         };
-      } finally {
-        clearTimeout(timeoutId);
-      }
-    } catch (error) {
-      if (error.name === "AbortError") {
+      } else if (event === "error") {
         throw new ApiError(
-          "Transcription timed out. Check your connection and try again.",
+          data.error || "Failed to generate content with Gemini",
           {
-            code: "ERR_API_TIMEOUT",
+            code: getApiErrorCode(data.status),
+            statusCode: data.status,
+            context: { responseStatus: data.status },
           },
         );
       }
+    }
+  }
+
+  throw new ApiError("The transcription stopped before it finished", {
+    code: "ERR_API_GENERATION",
+  });
+}
+
+async function requestContent(promptData, { onPartial, signal } = {}) {
+  try {
+    const [requestOptions, audioPart] = Array.isArray(promptData)
+      ? promptData
+      : [promptData, null];
+    const operation = requestOptions?.operation || "transcribeAudio";
+    const promptStyle = requestOptions?.promptStyle || "standard";
+    const variables = requestOptions?.variables || {};
+    const timestamps = requestOptions?.timestamps === true;
+    const customStyle = requestOptions?.customStyle;
+    const glossary = requestOptions?.glossary;
+    const stream = typeof onPartial === "function";
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+    let timedOut = false;
+    let timeoutId;
+
+    // While streaming, the timeout restarts whenever something arrives
+    const restartTimeout = () => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, API_TIMEOUT);
+    };
+
+    if (signal?.aborted) cancel();
+    signal?.addEventListener("abort", cancel, { once: true });
+    restartTimeout();
+
+    try {
+      const response = await fetch("/api/gemini", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          operation,
+          promptStyle,
+          variables,
+          ...(customStyle && { customStyle }),
+          ...(glossary && { glossary }),
+          audioData: audioPart?.inlineData?.data,
+          mimeType: audioPart?.inlineData?.mimeType,
+          ...(timestamps && { timestamps }),
+          ...(stream && { stream }),
+        }),
+        signal: controller.signal,
+      });
+
+      if (
+        stream &&
+        response.ok &&
+        response.headers.get("content-type")?.includes("text/event-stream")
+      ) {
+        return await readTranscriptionStream(
+          response,
+          onPartial,
+          restartTimeout,
+        );
+      }
 
-      if (error instanceof ApiError) {
-        throw error;
+      const data = await response.json();
+      if (!response.ok) {
+        throw new ApiError(
+          data.error || "Failed to generate content with Gemini",
+          {
+            code: getApiErrorCode(response.status),
+            statusCode: response.status,
+            context: {
+              responseStatus: response.status,
+            },
+          },
+        );
       }
 
+      return {
+        text: () => data.text,
+        // Timed lines, only present when requested and supported
+        segments: () => data.segments || null,
+      };
+    } catch (error) {
+      if (error.name === "AbortError" && !timedOut) {
+        throw new ApiError("Transcription cancelled", {
+          code: "ERR_API_ABORTED",
+        });
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener("abort", cancel);
+    }
+  } catch (error) {
+    if (error.name === "AbortError") {
       throw new ApiError(
-        error.message || "Failed to generate content with Gemini",
+        "Transcription timed out. Check your connection and try again.",
         {
-          code: "ERR_API_GENERATION",
-          context: {
-            originalError: error.message,
-          },
+          code: "ERR_API_TIMEOUT",
         },
       );
     }
-  },
-  {
-    notify: true,
-    rethrow: true, // We want to rethrow so calling code can handle it appropriately
-  },
-);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+
+    throw new ApiError(
+      error.message || "Failed to generate content with Gemini",
+      {
+        code: "ERR_API_GENERATION",
+        context: {
+          originalError: error.message,
+        },
+      },
+    );
+  }
+}
+
+/**
+ * Ask the API route for a transcript (or other generated text)
+ *
+ * @param {Object|Array} promptData - Request options, or [options, audioPart]
+ * @param {Object} [options]
+ * @param {Function} [options.onPartial] - Stream the transcript, calling this
+ *   with { text, heard } as it arrives
+ * @param {AbortSignal} [options.signal] - Cancels the request; it then
+ *   rejects with ERR_API_ABORTED
+ * @param {boolean} [options.notify=true] - Show the user a toast on failure;
+ *   background work that reports failures itself turns this off
+ * @returns {Promise<{text: Function, segments: Function}>}
+ */
+async function generateContent(promptData, options = {}) {
+  try {
+    return await requestContent(promptData, options);
+  } catch (error) {
+    // A cancelled request was the user's doing; nothing to warn them about
+    errorHandler.handleError(error, {
+      notify: options.notify !== false && error.code !== "ERR_API_ABORTED",
+    });
+    throw error; // Rethrow so calling code can handle it appropriately
+  }
+}
 
 export const geminiApiService = {
   preloadModel,
@@ -1,9 +1,161 @@
+import { get } from "svelte/store";
 import { geminiApiService } from "./geminiApiService";
+import { ApiError } from "./infrastructure/errorHandler";
 import { promptManager } from "./promptManager";
+import {
+  joinOverlappingText,
+  mergeChunkResults,
+  splitAudioIntoChunks,
+} from "./transcription/audioChunker";
+import { glossary } from "./lyrics/glossaryStore";
+
+// Chunks of a long take in flight at once; the route rate-limits per client
+const CHUNK_CONCURRENCY = 2;
 
 // Export the original preloadModel function for backward compatibility
 const preloadModel = geminiApiService.preloadModel;
 
+/**
+ * Send one piece of audio to the API route
+ *
+ * @param {Blob} audioBlob
+ * @param {Object} options - promptStyle, timestamps, signal and notify, as
+ *   for transcribeAudioWithTimings
+ * @param {Function} [onPartial] - Stream the transcript, calling this with
+ *   { text, heard } as it arrives
+ * @returns {Promise<{text: string, segments: Array<Object>|null}>}
+ */
+async function requestTranscription(audioBlob, options, onPartial) {
+  // Convert audio to the inline payload the API route expects
+  const audioPart = await geminiApiService.blobToGenerativePart(audioBlob);
+
+  // A custom style goes up as its instructions, which the server frames; a
+  // deleted one falls back to the server's default
+  const promptStyle = options.promptStyle || promptManager.getCurrentStyle();
+  const customStyle = promptManager.getCustomStyle(promptStyle);
+  const glossaryEntries = get(glossary).map(
+    ({ term, hint, spelling, misheard }) => ({
+      term,
+      hint,
+      spelling,
+      misheard,
+    }),
+  );
+
+  // Generate content with a server-owned prompt selected by style
+  const response = await geminiApiService.generateContent(
+    [
+      {
+        operation: "transcribeAudio",
+        promptStyle,
+        ...(customStyle && {
+          customStyle: {
+            name: customStyle.name,
+            instructions: customStyle.instructions,
+          },
+        }),
+        ...(glossaryEntries.length > 0 && { glossary: glossaryEntries }),
+        timestamps: options.timestamps === true,
+      },
+      audioPart,
+    ],
+    { onPartial, signal: options.signal, notify: options.notify },
+  );
+  return { text: response.text(), segments: response.segments() };
+}
+
+/**
+ * Transcribe a take in one or more pieces, a few at a time, and stitch the
+ * results back together in order. Along the way, reports the transcript so
+ * far (finished pieces, then whatever the first unfinished one has heard)
+ * and how much of the audio it covers.
+ *
+ * @param {Array<{ blob: Blob, start: number, end: number }>} chunks
+ * @param {Object} options - As for transcribeAudioWithTimings
+ * @returns {Promise<{text: string, segments: Array<Object>|null}>}
+ */
+async function transcribeChunks(chunks, options) {
+  const results = new Array(chunks.length);
+  const partials = chunks.map(() => ({ text: "", heard: null }));
+  const started = new Array(chunks.length).fill(false);
+  const lengths = chunks.map(({ start, end }) => end - start);
+  const totalLength = lengths.reduce((sum, length) => sum + length, 0);
+  let next = 0;
+  let failed = false;
+
+  const report = () => {
+    if (options.onPartial) {
+      let text = "";
+      for (let index = 0; index < chunks.length; index++) {
+        const chunkText = results[index]?.text ?? partials[index].text;
+        text = joinOverlappingText(text, chunkText || "");
+        if (!results[index]) break;
+      }
+      options.onPartial(text);
+    }
+
+    if (options.onProgress) {
+      // Without a length for every piece, count pieces instead of seconds
+      const weight = (index) =>
+        totalLength > 0 ? lengths[index] / totalLength : 1 / chunks.length;
+      let done = 0;
+      let upTo = 0;
+
+      chunks.forEach((_, index) => {
+        if (results[index]) {
+          done += weight(index);
+          upTo += weight(index);
+        } else if (started[index]) {
+          const { heard } = partials[index];
+          const heardShare =
+            heard != null && lengths[index] > 0
+              ? Math.min(1, heard / lengths[index])
+              : null;
+          done += (heardShare ?? 0) * weight(index);
+          // What's been heard is exact; without it, this piece could land
+          // anywhere up to its end
+          upTo += (heardShare ?? 1) * weight(index);
+        }
+      });
+
+      options.onProgress({ done: Math.min(1, done), next: Math.min(1, upTo) });
+    }
+  };
+
+  const streaming = Boolean(options.onPartial || options.onProgress);
+
+  const worker = async () => {
+    // One failed chunk fails the take; don't spend requests on the rest
+    while (next < chunks.length && !failed) {
+      const index = next++;
+      started[index] = true;
+      report();
+      try {
+        results[index] = await requestTranscription(
+          chunks[index].blob,
+          options,
+          streaming
+            ? (partial) => {
+                partials[index] = partial;
+                report();
+              }
+            : undefined,
+        );
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+      report();
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(CHUNK_CONCURRENCY, chunks.length) }, worker),
+  );
+
+  return chunks.length === 1 ? results[0] : mergeChunkResults(chunks, results);
+}
+
 // The main public geminiService object
 export const geminiService = {
   // Expose the preload function for hover-based preloading
@@ -15,9 +167,48 @@ export const geminiService = {
   getAvailableStyles: promptManager.getAvailableStyles,
   subscribeToStyleChanges: promptManager.subscribe,
 
-  async transcribeAudio(audioBlob) {
+  // Styles the user wrote
+  customStyles: promptManager.customStyles,
+  saveCustomStyle: promptManager.saveCustomStyle,
+  deleteCustomStyle: promptManager.deleteCustomStyle,
+
+  /**
+   * @param {Blob} audioBlob - Audio to transcribe
+   * @param {Object} [options]
+   * @param {string} [options.promptStyle] - Override the current prompt style
+   * @returns {Promise<string>}
+   */
+  async transcribeAudio(audioBlob, options = {}) {
+    const { text } = await geminiService.transcribeAudioWithTimings(audioBlob, {
+      ...options,
+      timestamps: false,
+    });
+    return text;
+  },
+
+  /**
+   * Like transcribeAudio, but can also ask for per-line timings.
+   *
+   * Takes too long for one request are split into overlapping chunks and
+   * stitched back together (see transcription/audioChunker.js).
+   *
+   * @param {Blob} audioBlob - Audio to transcribe
+   * @param {Object} [options]
+   * @param {string} [options.promptStyle] - Override the current prompt style
+   * @param {boolean} [options.timestamps] - Request timed lines
+   * @param {Function} [options.onPartial] - Called with the transcript so far
+   *   as it streams in
+   * @param {Function} [options.onProgress] - Called with { done, next }: the
+   *   share of the audio transcribed (0-1), and how far the requests in
+   *   flight will take it
+   * @param {AbortSignal} [options.signal] - Cancels the transcription
+   * @param {boolean} [options.notify=true] - Show a toast if it fails
+   * @returns {Promise<{text: string, segments: Array<Object>|null}>} segments
+   *   is null when timings weren't requested or the provider has none
+   */
+  async transcribeAudioWithTimings(audioBlob, options = {}) {
     try {
-      console.log("🎤 Transcribing audio with Gemini");
+      console.log("🎤 Transcribing audio");
 
       // Ensure model is preloaded if possible
       const { initialized } = geminiApiService.getModelStatus();
@@ -33,25 +224,69 @@ export const geminiService = {
         }
       }
 
-      // Convert audio to format Gemini can use
-      const audioPart = await geminiApiService.blobToGenerativePart(audioBlob);
-
-      // Generate content with a server-owned prompt selected by style
-      const response = await geminiApiService.generateContent([
-        {
-          operation: "transcribeAudio",
-          promptStyle: promptManager.getCurrentStyle(),
-        },
-        audioPart,
-      ]);
+      // A take that can't be measured here goes up whole, as one piece
+      const split = await splitAudioIntoChunks(audioBlob);
+      const chunks = split?.chunks || [
+        { blob: audioBlob, start: 0, end: split?.duration || 0 },
+      ];
+
+      // The prompt lists the glossary, but the model can still mishear; known
+      // mishearings are corrected here, in partials as well
+      const result = await transcribeChunks(chunks, {
+        ...options,
+        onPartial:
+          options.onPartial &&
+          ((text) => options.onPartial(glossary.correct(text))),
+      });
+      const corrected = {
+        text: glossary.correct(result.text),
+        segments:
+          result.segments?.map((segment) => ({
+            ...segment,
+            text: glossary.correct(segment.text),
+          })) || null,
+      };
       console.log("✅ Audio transcription complete");
-      return response.text();
+      return corrected;
     } catch (error) {
       console.error("❌ Error transcribing audio:", error);
+
+      // Keep API errors intact so callers can act on their codes
+      if (error instanceof ApiError) {
+        throw error;
+      }
+
       throw new Error(
-        "Failed to transcribe audio with Gemini: " +
-          (error.message || "Unknown error"),
+        "Failed to transcribe audio: " + (error.message || "Unknown error"),
       );
     }
   },
+
+  /**
+   * Candidate next lines for some collected lyrics, written in the current
+   * prompt style (see lyrics/lineSuggestions.js)
+   *
+   * @param {Object} request
+   * @param {Array<string>} request.lines - The lines to build on, in order
+   * @param {string} [request.rhymeWith] - A word the next line should rhyme with
+   * @param {number} [request.syllables] - Syllables the next line should run to
+   * @param {AbortSignal} [request.signal] - Cancels the request
+   * @returns {Promise<Array<string>>}
+   */
+  async suggestLines({ lines, rhymeWith = "", syllables = 0, signal }) {
+    const response = await geminiApiService.generateContent(
+      {
+        operation: "suggestLines",
+        promptStyle: promptManager.getCurrentStyle(),
+        variables: { lines, rhymeWith, syllables },
+      },
+      { signal },
+    );
+
+    return response
+      .text()
+      .split("\n")
+      .map((line) => glossary.correct(line.trim()))
+      .filter(Boolean);
+  },
 };
@@ -7,6 +7,7 @@ import { themeService as themeServiceInstance } from "./theme/themeService";
 import { firstVisitService as firstVisitServiceInstance } from "./first-visit/firstVisitService";
 import { pwaService as pwaServiceInstance } from "./pwa/pwaService";
 import { soundService as soundServiceInstance } from "./sound/soundService";
+import { offlineQueueService as offlineQueueServiceInstance } from "./offline/offlineQueueService";
 import { resetStores } from "./infrastructure/stores";
 
 // Re-export services for external usage
@@ -23,9 +24,17 @@ export {
   showPwaInstallPrompt,
   isPwaInstalled,
   shouldShowPrompt,
+  updateAvailable,
 } from "./pwa/pwaService";
 // Export lyrics services
-export { snippetStore } from "./lyrics";
+export {
+  snippetStore,
+  analyzeRhymes,
+  analyzeMeter,
+  rhymeHighlighting,
+  syllableTarget,
+  glossary,
+} from "./lyrics";
 // Export sound service
 export { soundService } from "./sound/soundService";
 
@@ -38,6 +47,23 @@ export {
   transcriptionService,
   TranscriptionEvents,
 } from "./transcription/transcriptionService";
+export {
+  AUDIO_UPLOAD_ACCEPT,
+  prepareAudioUpload,
+} from "./transcription/audioUpload";
+
+// Offline recording queue
+export {
+  offlineQueueService,
+  pendingTakes,
+  PendingTakeStatus,
+} from "./offline/offlineQueueService";
+
+// Stored take audio
+export { takeService, takePlayer, takePlayback } from "./takes";
+
+// Backup and restore of everything stored in this browser
+export { createBackup, readBackup, restoreBackup } from "./backup";
 
 // Store exports
 export {
@@ -50,6 +76,8 @@ export {
   isTranscribing,
   transcriptionProgress,
   transcriptionText,
+  transcriptionSegments,
+  transcriptionPartialText,
   errorMessage,
   waveformData,
   hasPermissionError,
@@ -80,6 +108,9 @@ export function initializeServices(options = {}) {
   // Initialize sound service
   soundServiceInstance.init();
 
+  // Pick up takes queued while offline and retry them when possible
+  offlineQueueServiceInstance.init();
+
   return {
     eventBus: eventBusInstance,
     audioService: audioServiceInstance,
@@ -89,5 +120,6 @@ export function initializeServices(options = {}) {
     firstVisitService: firstVisitServiceInstance,
     pwaService: pwaServiceInstance,
     soundService: soundServiceInstance,
+    offlineQueueService: offlineQueueServiceInstance,
   };
 }
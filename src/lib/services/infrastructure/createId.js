@@ -0,0 +1,17 @@
+/**
+ * Ids for records kept in this browser: snippets, projects, takes, glossary
+ * entries, custom styles and song sections.
+ *
+ * @returns {string} A random UUID, or a time-based id where randomUUID is
+ *   missing (older browsers, pages not served over HTTPS)
+ */
+export function createId() {
+  if (
+    typeof crypto !== "undefined" &&
+    typeof crypto.randomUUID === "function"
+  ) {
+    return crypto.randomUUID();
+  }
+
+  return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
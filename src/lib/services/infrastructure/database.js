@@ -0,0 +1,379 @@
+/**
+ * database.js
+ *
+ * The app's single IndexedDB database. Anything too big or too precious for
+ * localStorage (take audio, queued takes, lyrics) lives here.
+ *
+ * The schema is versioned with forward-only migrations: MIGRATIONS[n] upgrades
+ * a database from version n to n + 1, and DB_VERSION is simply the number of
+ * migrations. To change the schema, append a migration — never edit an old one,
+ * because browsers in the wild may be sitting on any earlier version.
+ *
+ * Usage:
+ * ```
+ * import { dbPut, dbGetAll } from '$lib/services/infrastructure/database';
+ *
+ * await dbPut(STORES.PENDING_TAKES, { id, blob });
+ * const takes = await dbGetAll(STORES.PENDING_TAKES);
+ * ```
+ */
+
+import { browser } from "$app/environment";
+import { createId } from "./createId";
+import { StorageError } from "./errorHandler";
+import { createLogger } from "./loggerService";
+
+const logger = createLogger("Database");
+
+export const DB_NAME = "riffrap";
+
+export const STORES = {
+  PENDING_TAKES: "pendingTakes",
+  TAKES: "takes",
+  // Small keyed records ({ key, ... }), e.g. the lyrics project index
+  META: "meta",
+  LYRICS_COLLECTIONS: "lyricsCollections",
+};
+
+// Where lyrics lived before v3. Frozen: the v3 migration must keep reading
+// exactly what older builds wrote.
+const LEGACY_LYRICS_KEYS = {
+  PROJECT_INDEX: "riffrap-lyrics-projects",
+  PROJECT_DATA_PREFIX: "riffrap-lyrics-project:",
+  COLLECTION: "lineSnap-lyrics-collection",
+  ORIGINALS: "lineSnap-lyrics-originals",
+  SNIPPETS: "lyrics-snippets",
+  RIFFRAP_COLLECTION: "riffRap-collection",
+};
+
+function readLegacyJson(key, fallback) {
+  try {
+    const saved = localStorage.getItem(key);
+    return saved ? JSON.parse(saved) : fallback;
+  } catch (error) {
+    logger.warn(`Could not read legacy ${key}`, { error: error.message });
+    return fallback;
+  }
+}
+
+// The oldest stores kept bare strings or { text, timestamp: number, order }
+function toLegacySnippet(entry) {
+  const text = (typeof entry === "string" ? entry : entry?.text || "").trim();
+  if (!text) return null;
+
+  return {
+    takeId: null,
+    ...(typeof entry === "object" ? entry : {}),
+    id: entry?.id ? String(entry.id) : createId(),
+    text,
+    timestamp: new Date(entry?.timestamp || Date.now()).toISOString(),
+    isParagraph: text.includes("\n"),
+  };
+}
+
+/**
+ * Copy every lyric localStorage holds into the v3 stores, inside the upgrade
+ * transaction. The old keys are removed only once that transaction commits,
+ * so a failed upgrade leaves them where they were for the next attempt.
+ */
+function importLegacyLyrics(transaction) {
+  const collections = transaction.objectStore(STORES.LYRICS_COLLECTIONS);
+  const now = new Date().toISOString();
+  const legacyKeys = Object.values(LEGACY_LYRICS_KEYS).filter(
+    (key) => key !== LEGACY_LYRICS_KEYS.PROJECT_DATA_PREFIX,
+  );
+
+  const index = readLegacyJson(LEGACY_LYRICS_KEYS.PROJECT_INDEX, {});
+  const projects = Array.isArray(index.projects) ? index.projects : [];
+
+  projects.forEach((project) => {
+    const dataKey = `${LEGACY_LYRICS_KEYS.PROJECT_DATA_PREFIX}${project.id}`;
+    const { snippets = [], originals = [] } = readLegacyJson(dataKey, {});
+    collections.put({ projectId: project.id, snippets, originals });
+    legacyKeys.push(dataKey);
+  });
+
+  const addProject = (name, snippets, originals = []) => {
+    const project = {
+      id: createId(),
+      name,
+      createdAt: now,
+      updatedAt: now,
+    };
+    collections.put({ projectId: project.id, snippets, originals });
+    projects.push(project);
+  };
+
+  // The single collection from before projects existed
+  if (projects.length === 0) {
+    const snippets = readLegacyJson(LEGACY_LYRICS_KEYS.COLLECTION, []);
+    if (snippets.length > 0) {
+      addProject(
+        "My Lyrics",
+        snippets,
+        readLegacyJson(LEGACY_LYRICS_KEYS.ORIGINALS, []),
+      );
+    }
+  }
+
+  // Lists from the earliest builds, gathered into one project of their own
+  const seen = new Set();
+  const older = [
+    ...[...readLegacyJson(LEGACY_LYRICS_KEYS.SNIPPETS, [])].sort(
+      (a, b) => (a?.order ?? 0) - (b?.order ?? 0),
+    ),
+    ...readLegacyJson(LEGACY_LYRICS_KEYS.RIFFRAP_COLLECTION, []),
+  ]
+    .map(toLegacySnippet)
+    .filter((snippet) => {
+      if (!snippet || seen.has(snippet.text)) return false;
+      seen.add(snippet.text);
+      return true;
+    })
+    .map((snippet, order) => ({ ...snippet, order }));
+  if (older.length > 0) addProject("Imported lyrics", older);
+
+  if (projects.length > 0) {
+    const activeProjectId = projects.some(
+      (project) => project.id === index.activeProjectId,
+    )
+      ? index.activeProjectId
+      : projects[0].id;
+    transaction
+      .objectStore(STORES.META)
+      .put({ key: "lyricsProjects", projects, activeProjectId });
+  }
+
+  transaction.addEventListener("complete", () => {
+    try {
+      legacyKeys.forEach((key) => localStorage.removeItem(key));
+    } catch (error) {
+      logger.warn("Could not remove legacy lyrics keys", {
+        error: error.message,
+      });
+    }
+  });
+
+  logger.info(`Imported ${projects.length} lyrics projects from localStorage`);
+}
+
+const MIGRATIONS = [
+  // v1: offline recording queue
+  (db) => {
+    const pending = db.createObjectStore(STORES.PENDING_TAKES, {
+      keyPath: "id",
+    });
+    pending.createIndex("createdAt", "createdAt");
+  },
+  // v2: original audio for every take, referenced by snippets
+  (db) => {
+    const takes = db.createObjectStore(STORES.TAKES, { keyPath: "id" });
+    takes.createIndex("createdAt", "createdAt");
+  },
+  // v3: lyrics, moved out of localStorage (size cap, synchronous writes)
+  (db, transaction) => {
+    db.createObjectStore(STORES.META, { keyPath: "key" });
+    db.createObjectStore(STORES.LYRICS_COLLECTIONS, { keyPath: "projectId" });
+    importLegacyLyrics(transaction);
+  },
+];
+
+export const DB_VERSION = MIGRATIONS.length;
+
+let dbPromise = null;
+
+/**
+ * Whether IndexedDB can be used in this environment (false during SSR and in
+ * some locked-down private browsing modes).
+ * @returns {boolean}
+ */
+export function isDatabaseAvailable() {
+  return browser && typeof indexedDB !== "undefined";
+}
+
+/**
+ * Convert a DOMException from IndexedDB into a StorageError. Quota failures
+ * get their own code so callers can tell "disk full" from "something broke".
+ *
+ * @param {DOMException|Error|null} error
+ * @param {string} operation - What we were doing, for the error context
+ * @returns {StorageError}
+ */
+export function toStorageError(error, operation) {
+  if (error instanceof StorageError) return error;
+
+  const isQuotaError =
+    error?.name === "QuotaExceededError" ||
+    error?.name === "NS_ERROR_DOM_QUOTA_REACHED";
+
+  return new StorageError(
+    isQuotaError
+      ? "Storage is full. Free up space on this device to keep saving."
+      : `IndexedDB ${operation} failed`,
+    {
+      code: isQuotaError ? "ERR_STORAGE_QUOTA_EXCEEDED" : "ERR_STORAGE_DB",
+      context: {
+        operation,
+        originalError: error?.message,
+        storageType: "indexedDB",
+      },
+      isOperational: true,
+    },
+  );
+}
+
+/**
+ * Open (and upgrade if needed) the database. The connection is shared and
+ * reused for the lifetime of the page.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (!isDatabaseAvailable()) {
+    return Promise.reject(
+      new StorageError("IndexedDB is not available", {
+        code: "ERR_STORAGE_UNAVAILABLE",
+        context: { storageType: "indexedDB" },
+      }),
+    );
+  }
+
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      const transaction = request.transaction;
+      logger.info(
+        `Upgrading database from v${event.oldVersion} to v${DB_VERSION}`,
+      );
+
+      for (let version = event.oldVersion; version < DB_VERSION; version++) {
+        MIGRATIONS[version](db, transaction);
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+
+      // Another tab is upgrading the schema: step aside so it isn't blocked,
+      // and reopen lazily on the next call.
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+
+      resolve(db);
+    };
+
+    request.onerror = () => {
+      dbPromise = null;
+      reject(toStorageError(request.error, "open"));
+    };
+
+    request.onblocked = () => {
+      logger.warn("Database upgrade blocked by another open tab");
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run work inside a single transaction and resolve once it commits.
+ *
+ * `work` receives the transaction and may return an IDBRequest (resolved to
+ * its result) or a function (called after commit to build the result).
+ *
+ * @param {string|string[]} storeNames
+ * @param {IDBTransactionMode} mode
+ * @param {(tx: IDBTransaction) => any} work
+ * @returns {Promise<any>}
+ */
+export async function runTransaction(storeNames, mode, work) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    let transaction;
+    let outcome;
+
+    try {
+      transaction = db.transaction(storeNames, mode);
+      outcome = work(transaction);
+    } catch (error) {
+      transaction?.abort();
+      reject(toStorageError(error, mode));
+      return;
+    }
+
+    transaction.oncomplete = () => {
+      if (outcome instanceof IDBRequest) {
+        resolve(outcome.result);
+      } else if (typeof outcome === "function") {
+        resolve(outcome());
+      } else {
+        resolve(outcome);
+      }
+    };
+
+    // Errors bubble to the transaction; abort fires after error, so handle
+    // both but only reject once.
+    const fail = () => reject(toStorageError(transaction.error, mode));
+    transaction.onerror = fail;
+    transaction.onabort = fail;
+  });
+}
+
+/**
+ * @param {string} storeName
+ * @param {IDBValidKey} key
+ * @returns {Promise<any>} The record, or undefined
+ */
+export function dbGet(storeName, key) {
+  return runTransaction(storeName, "readonly", (tx) =>
+    tx.objectStore(storeName).get(key),
+  );
+}
+
+/**
+ * @param {string} storeName
+ * @returns {Promise<any[]>} All records in key order
+ */
+export function dbGetAll(storeName) {
+  return runTransaction(storeName, "readonly", (tx) =>
+    tx.objectStore(storeName).getAll(),
+  );
+}
+
+/**
+ * @param {string} storeName
+ * @param {any} value - Record to insert or replace
+ * @returns {Promise<IDBValidKey>}
+ */
+export function dbPut(storeName, value) {
+  return runTransaction(storeName, "readwrite", (tx) =>
+    tx.objectStore(storeName).put(value),
+  );
+}
+
+/**
+ * @param {string} storeName
+ * @param {IDBValidKey} key
+ * @returns {Promise<void>}
+ */
+export function dbDelete(storeName, key) {
+  return runTransaction(storeName, "readwrite", (tx) => {
+    tx.objectStore(storeName).delete(key);
+  });
+}
+
+/**
+ * @param {string} storeName
+ * @returns {Promise<void>}
+ */
+export function dbClear(storeName) {
+  return runTransaction(storeName, "readwrite", (tx) => {
+    tx.objectStore(storeName).clear();
+  });
+}
@@ -86,6 +86,11 @@ class ErrorHandlerService {
       ERR_NETWORK:
         "Network connection issues detected. Please check your internet connection.",
       ERR_STORAGE: "There was a problem saving your data. Please try again.",
+      ERR_STORAGE_DB: "There was a problem saving your data. Please try again.",
+      ERR_STORAGE_QUOTA_EXCEEDED:
+        "This device is out of storage space, so your latest changes weren't saved.",
+      ERR_STORAGE_UNAVAILABLE:
+        "This browser isn't letting RiffRap save data, so changes will be lost on reload.",
       ERR_AUTH: "Authentication error. Please log in again.",
       ERR_API:
         "There was a problem communicating with the service. Please try again later.",
@@ -19,6 +19,7 @@ export const recordingState = writable({
   duration: 0,
   audioBlob: null,
   audioURL: null,
+  takeId: null, // Id of the persisted take (see takeService)
 });
 
 // Transcription state
@@ -29,6 +30,8 @@ export const transcriptionState = writable({
   error: null,
   timestamp: null,
   rerolling: false, // Flag to indicate re-rolling state for UI animations
+  segments: null, // Timed lines for the current text, when the API sent them
+  partialText: "", // What has streamed in so far, while in progress
 });
 
 // UI state
@@ -67,6 +70,16 @@ export const transcriptionText = derived(
   ($state) => $state.text,
 );
 
+export const transcriptionSegments = derived(
+  transcriptionState,
+  ($state) => $state.segments,
+);
+
+export const transcriptionPartialText = derived(
+  transcriptionState,
+  ($state) => $state.partialText,
+);
+
 export const hasPermissionError = derived(
   audioState,
   ($state) => $state.state === AudioStates.PERMISSION_DENIED,
@@ -130,6 +143,13 @@ export const audioActions = {
     }
   },
 
+  setTakeId(takeId) {
+    recordingState.update((current) => ({
+      ...current,
+      takeId: takeId || null,
+    }));
+  },
+
   // Timer management for recording duration
   recordingTimer: null,
   startTime: null,
@@ -196,6 +216,43 @@ export const transcriptionActions = {
       progress: 0,
       error: null,
       timestamp: Date.now(),
+      segments: null,
+      partialText: "",
+    }));
+  },
+
+  /**
+   * Show the transcript as far as it has streamed in.
+   * @param {string} partialText - Everything received so far
+   */
+  setPartialText(partialText) {
+    transcriptionState.update((current) =>
+      current.inProgress ? { ...current, partialText } : current,
+    );
+  },
+
+  /**
+   * Stop showing a transcription that was cancelled; the previous transcript
+   * stays as it was.
+   */
+  cancelTranscription() {
+    transcriptionState.update((current) => ({
+      ...current,
+      inProgress: false,
+      rerolling: false,
+      progress: 0,
+      partialText: "",
+    }));
+  },
+
+  /**
+   * Store line timings for the transcript that is about to be shown.
+   * @param {Array<Object>|null} segments - [{ start, end, text, words }]
+   */
+  setSegments(segments) {
+    transcriptionState.update((current) => ({
+      ...current,
+      segments: segments || null,
     }));
   },
 
@@ -217,6 +274,7 @@ export const transcriptionActions = {
         progress: 100,
         text,
         timestamp: currentTime,
+        partialText: "",
       }));
 
       // Log to help with debugging
@@ -235,6 +293,7 @@ export const transcriptionActions = {
       ...current,
       inProgress: false,
       error,
+      partialText: "",
     }));
 
     uiState.update((current) => ({
@@ -320,6 +379,7 @@ export function resetStores() {
     duration: 0,
     audioBlob: null,
     audioURL: null,
+    takeId: null,
   });
 
   transcriptionState.set({
@@ -328,6 +388,8 @@ export function resetStores() {
     text: "",
     error: null,
     timestamp: null,
+    segments: null,
+    partialText: "",
   });
 
   uiState.set({
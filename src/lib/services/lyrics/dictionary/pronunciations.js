@@ -0,0 +1,1911 @@
+/**
+ * The bundled pronunciation dictionary: words a lyric is likely to end on,
+ * spelled out in the notation phonetics.js uses (ARPAbet without stress
+ * numbers, plus the r-coloured AR, OR, AIR and EER). An apostrophe marks the
+ * stressed vowel when it isn't the first.
+ *
+ * One word per line, grouped by how they rhyme. Loaded only when the rhyme
+ * lookup opens (see wordLookup.js); the guesser handles every other word.
+ */
+
+export default `
+bye B AY
+cry K R AY
+die D AY
+dry D R AY
+fly F L AY
+fry F R AY
+goodbye G UH D B 'AY
+high HH AY
+lie L AY
+my M AY
+pie P AY
+shy SH AY
+sky S K AY
+sly S L AY
+spy S P AY
+sigh S AY
+tie T AY
+try T R AY
+why W AY
+deny D IH N 'AY
+reply R IH P L 'AY
+supply S AH P L 'AY
+apply AH P L 'AY
+rely R IH L 'AY
+july JH UW L 'AY
+butterfly B AH T ER F L 'AY
+lullaby L AH L AH B 'AY
+alibi AE L AH B AY
+hi HH AY
+
+bite B AY T
+bright B R AY T
+fight F AY T
+flight F L AY T
+height HH AY T
+kite K AY T
+light L AY T
+might M AY T
+night N AY T
+quite K W AY T
+right R AY T
+sight S AY T
+slight S L AY T
+tight T AY T
+white W AY T
+write R AY T
+despite D IH S P 'AY T
+tonight T AH N 'AY T
+delight D IH L 'AY T
+invite IH N V 'AY T
+ignite IH G N 'AY T
+polite P AH L 'AY T
+excite IH K S 'AY T
+alright AO L R 'AY T
+spotlight S P AA T L AY T
+highlight HH AY L AY T
+midnight M IH D N AY T
+satellite S AE T AH L AY T
+dynamite D AY N AH M AY T
+appetite AE P AH T AY T
+
+ride R AY D
+side S AY D
+hide HH AY D
+pride P R AY D
+slide S L AY D
+wide W AY D
+tide T AY D
+guide G AY D
+glide G L AY D
+inside IH N S 'AY D
+outside AW T S 'AY D
+decide D IH S 'AY D
+divide D IH V 'AY D
+collide K AH L 'AY D
+worldwide W ER L D W 'AY D
+suicide S UW AH S AY D
+
+time T AY M
+rhyme R AY M
+crime K R AY M
+climb K L AY M
+dime D AY M
+lime L AY M
+prime P R AY M
+chime CH AY M
+sometime S AH M T AY M
+overtime OW V ER T AY M
+lifetime L AY F T AY M
+paradigm P AE R AH D AY M
+
+line L AY N
+mine M AY N
+fine F AY N
+shine SH AY N
+sign S AY N
+wine W AY N
+spine S P AY N
+nine N AY N
+shrine SH R AY N
+design D IH Z 'AY N
+decline D IH K L 'AY N
+define D IH F 'AY N
+divine D IH V 'AY N
+resign R IH Z 'AY N
+combine K AH M B 'AY N
+valentine V AE L AH N T AY N
+
+mind M AY N D
+kind K AY N D
+find F AY N D
+blind B L AY N D
+grind G R AY N D
+behind B IH HH 'AY N D
+remind R IH M 'AY N D
+rewind R IY W 'AY N D
+unwind AH N W 'AY N D
+mankind M AE N K 'AY N D
+
+alive AH L 'AY V
+drive D R AY V
+five F AY V
+dive D AY V
+thrive TH R AY V
+survive S ER V 'AY V
+arrive AH R 'AY V
+strive S T R AY V
+
+life L AY F
+knife N AY F
+wife W AY F
+strife S T R AY F
+
+like L AY K
+bike B AY K
+strike S T R AY K
+mic M AY K
+spike S P AY K
+hike HH AY K
+alike AH L 'AY K
+dislike D IH S L 'AY K
+
+ice AY S
+nice N AY S
+price P R AY S
+dice D AY S
+slice S L AY S
+twice T W AY S
+vice V AY S
+advice AH D V 'AY S
+sacrifice S AE K R AH F AY S
+paradise P AE R AH D AY S
+
+rise R AY Z
+size S AY Z
+wise W AY Z
+prize P R AY Z
+skies S K AY Z
+lies L AY Z
+highs HH AY Z
+surprise S ER P R 'AY Z
+disguise D IH S G 'AY Z
+demise D IH M 'AY Z
+sunrise S AH N R AY Z
+realize R IY AH L AY Z
+compromise K AA M P R AH M AY Z
+otherwise AH DH ER W AY Z
+
+fire F AY ER
+higher HH AY ER
+desire D IH Z 'AY ER
+liar L AY ER
+wire W AY ER
+choir K W AY ER
+buyer B AY ER
+flyer F L AY ER
+inspire IH N S P 'AY ER
+entire IH N T 'AY ER
+retire R IH T 'AY ER
+admire AE D M 'AY ER
+require R IH K W 'AY ER
+empire EH M P AY ER
+vampire V AE M P AY ER
+tired T AY ER D
+
+day D EY
+way W EY
+say S EY
+play P L EY
+stay S T EY
+pay P EY
+pray P R EY
+gray G R EY
+may M EY
+hey HH EY
+weigh W EY
+slay S L EY
+sway S W EY
+spray S P R EY
+stray S T R EY
+ray R EY
+okay OW K 'EY
+today T AH D 'EY
+display D IH S P L 'EY
+betray B IH T R 'EY
+delay D IH L 'EY
+obey OW B 'EY
+replay R IY P L 'EY
+decay D IH K 'EY
+astray AH S T R 'EY
+halfway HH AE F W 'EY
+everyday EH V R IY D 'EY
+yesterday Y EH S T ER D EY
+someday S AH M D EY
+holiday HH AA L AH D EY
+birthday B ER TH D EY
+runway R AH N W EY
+
+break B R EY K
+make M EY K
+take T EY K
+fake F EY K
+shake SH EY K
+wake W EY K
+snake S N EY K
+cake K EY K
+lake L EY K
+ache EY K
+sake S EY K
+mistake M IH S T 'EY K
+awake AH W 'EY K
+heartbreak HH AR T B R EY K
+
+game G EY M
+name N EY M
+fame F EY M
+same S EY M
+shame SH EY M
+flame F L EY M
+frame F R EY M
+blame B L EY M
+claim K L EY M
+came K EY M
+aim EY M
+became B IH K 'EY M
+
+pain P EY N
+rain R EY N
+chain CH EY N
+brain B R EY N
+train T R EY N
+plane P L EY N
+lane L EY N
+vein V EY N
+gain G EY N
+main M EY N
+remain R IH M 'EY N
+explain IH K S P L 'EY N
+insane IH N S 'EY N
+complain K AH M P L 'EY N
+maintain M EY N T 'EY N
+champagne SH AE M P 'EY N
+campaign K AE M P 'EY N
+cocaine K OW K 'EY N
+entertain EH N T ER T 'EY N
+hurricane HH ER AH K EY N
+
+late L EY T
+wait W EY T
+hate HH EY T
+fate F EY T
+state S T EY T
+weight W EY T
+straight S T R EY T
+gate G EY T
+plate P L EY T
+date D EY T
+debate D IH B 'EY T
+create K R IY 'EY T
+estate IH S T 'EY T
+celebrate S EH L AH B R EY T
+escalate EH S K AH L EY T
+dominate D AA M AH N EY T
+
+face F EY S
+place P L EY S
+space S P EY S
+race R EY S
+grace G R EY S
+chase CH EY S
+base B EY S
+case K EY S
+ace EY S
+embrace EH M B R 'EY S
+erase IH R 'EY S
+replace R IH P L 'EY S
+
+brave B R EY V
+save S EY V
+wave W EY V
+grave G R EY V
+cave K EY V
+crave K R EY V
+gave G EY V
+behave B IH HH 'EY V
+
+days D EY Z
+ways W EY Z
+phase F EY Z
+craze K R EY Z
+blaze B L EY Z
+maze M EY Z
+praise P R EY Z
+haze HH EY Z
+raise R EY Z
+gaze G EY Z
+amaze AH M 'EY Z
+
+fade F EY D
+made M EY D
+paid P EY D
+shade SH EY D
+trade T R EY D
+blade B L EY D
+grade G R EY D
+afraid AH F R 'EY D
+parade P AH R 'EY D
+invade IH N V 'EY D
+renegade R EH N AH G EY D
+lemonade L EH M AH N 'EY D
+
+age EY JH
+page P EY JH
+rage R EY JH
+stage S T EY JH
+cage K EY JH
+engage EH N G 'EY JH
+
+fail F EY L
+sail S EY L
+tail T EY L
+mail M EY L
+jail JH EY L
+pale P EY L
+scale S K EY L
+trail T R EY L
+prevail P R IH V 'EY L
+
+nation N EY SH AH N
+station S T EY SH AH N
+creation K R IY 'EY SH AH N
+generation JH EH N ER 'EY SH AH N
+situation S IH CH UW 'EY SH AH N
+vacation V EY K 'EY SH AH N
+inspiration IH N S P ER 'EY SH AH N
+imagination IH M AE JH AH N 'EY SH AH N
+conversation K AA N V ER S 'EY SH AH N
+celebration S EH L AH B R 'EY SH AH N
+dedication D EH D AH K 'EY SH AH N
+temptation T EH M P T 'EY SH AH N
+frustration F R AH S T R 'EY SH AH N
+motivation M OW T AH V 'EY SH AH N
+relation R IH L 'EY SH AH N
+sensation S EH N S 'EY SH AH N
+occasion AH K 'EY ZH AH N
+invasion IH N V 'EY ZH AH N
+patient P EY SH AH N T
+famous F EY M AH S
+dangerous D EY N JH ER AH S
+danger D EY N JH ER
+stranger S T R EY N JH ER
+later L EY T ER
+hater HH EY T ER
+player P L EY ER
+paper P EY P ER
+major M EY JH ER
+baby B EY B IY
+crazy K R EY Z IY
+lazy L EY Z IY
+lady L EY D IY
+shady SH EY D IY
+maybe M EY B IY
+amazing AH M 'EY Z IH NG
+basic B EY S IH K
+
+see S IY
+free F R IY
+me M IY
+be B IY
+tree T R IY
+key K IY
+sea S IY
+three TH R IY
+knee N IY
+flee F L IY
+plea P L IY
+agree AH G R 'IY
+degree D IH G R 'IY
+guarantee G EH R AH N T 'IY
+destiny D EH S T AH N IY
+energy EH N ER JH IY
+melody M EH L AH D IY
+memory M EH M ER IY
+mystery M IH S T ER IY
+history HH IH S T ER IY
+victory V IH K T ER IY
+enemy EH N AH M IY
+fantasy F AE N T AH S IY
+harmony HH AR M AH N IY
+symphony S IH M F AH N IY
+gravity G R AE V AH T IY
+reality R IY 'AE L AH T IY
+ability AH B 'IH L AH T IY
+humanity HH Y UW M 'AE N AH T IY
+insanity IH N S 'AE N AH T IY
+vanity V AE N AH T IY
+sanity S AE N AH T IY
+community K AH M Y 'UW N AH T IY
+opportunity AA P ER T 'UW N AH T IY
+unity Y UW N AH T IY
+eternity IH T 'ER N AH T IY
+serenity S ER 'EH N AH T IY
+identity AY D 'EH N T AH T IY
+integrity IH N T 'EH G R AH T IY
+celebrity S AH L 'EH B R AH T IY
+prosperity P R AA S P 'EH R AH T IY
+clarity K L AE R AH T IY
+charity CH AE R AH T IY
+velocity V AH L 'AA S AH T IY
+philosophy F AH L 'AA S AH F IY
+democracy D IH M 'AA K R AH S IY
+hypocrisy HH IH P 'AA K R AH S IY
+apology AH P 'AA L AH JH IY
+technology T EH K N 'AA L AH JH IY
+monopoly M AH N 'AA P AH L IY
+city S IH T IY
+pretty P R IH T IY
+pity P IH T IY
+gritty G R IH T IY
+funny F AH N IY
+sunny S AH N IY
+buddy B AH D IY
+lucky L AH K IY
+ugly AH G L IY
+hungry HH AH NG G R IY
+company K AH M P AH N IY
+easy IY Z IY
+party P AR T IY
+nobody N OW B AA D IY
+somebody S AH M B AA D IY
+everybody EH V R IY B AA D IY
+family F AE M AH L IY
+happy HH AE P IY
+lonely L OW N L IY
+slowly S L OW L IY
+holy HH OW L IY
+glory G L OR IY
+story S T OR IY
+sorry S AA R IY
+worry W ER IY
+hurry HH ER IY
+plenty P L EH N T IY
+twenty T W EH N T IY
+empty EH M P T IY
+steady S T EH D IY
+every EH V R IY
+envy EH N V IY
+penny P EH N IY
+silly S IH L IY
+really R IH L IY
+chilly CH IH L IY
+dirty D ER T IY
+thirty TH ER T IY
+thirsty TH ER S T IY
+worthy W ER DH IY
+early ER L IY
+journey JH ER N IY
+coffee K AO F IY
+
+beat B IY T
+heat HH IY T
+street S T R IY T
+sweet S W IY T
+feet F IY T
+seat S IY T
+meet M IY T
+eat IY T
+cheat CH IY T
+treat T R IY T
+complete K AH M P L 'IY T
+defeat D IH F 'IY T
+repeat R IH P 'IY T
+elite IH L 'IY T
+retreat R IH T R 'IY T
+concrete K AA N K R IY T
+
+need N IY D
+speed S P IY D
+feed F IY D
+bleed B L IY D
+lead L IY D
+seed S IY D
+greed G R IY D
+weed W IY D
+proceed P R AH S 'IY D
+succeed S AH K S 'IY D
+indeed IH N D 'IY D
+
+dream D R IY M
+team T IY M
+scream S K R IY M
+seem S IY M
+beam B IY M
+cream K R IY M
+stream S T R IY M
+theme TH IY M
+extreme IH K S T R 'IY M
+supreme S UW P R 'IY M
+redeem R IH D 'IY M
+
+clean K L IY N
+mean M IY N
+scene S IY N
+green G R IY N
+queen K W IY N
+screen S K R IY N
+teen T IY N
+seen S IY N
+machine M AH SH 'IY N
+between B IH T W 'IY N
+routine R UW T 'IY N
+serene S ER 'IY N
+magazine M AE G AH Z 'IY N
+gasoline G AE S AH L 'IY N
+
+feel F IY L
+real R IY L
+deal D IY L
+steal S T IY L
+heal HH IY L
+wheel W IY L
+meal M IY L
+reveal R IH V 'IY L
+appeal AH P 'IY L
+conceal K AH N S 'IY L
+
+seek S IY K
+peak P IY K
+week W IY K
+weak W IY K
+speak S P IY K
+freak F R IY K
+streak S T R IY K
+sneak S N IY K
+cheek CH IY K
+unique Y UW N 'IY K
+technique T EH K N 'IY K
+
+please P L IY Z
+ease IY Z
+breeze B R IY Z
+freeze F R IY Z
+knees N IY Z
+keys K IY Z
+trees T R IY Z
+squeeze S K W IY Z
+tease T IY Z
+cheese CH IY Z
+disease D IH Z 'IY Z
+overseas OW V ER S 'IY Z
+
+believe B IH L 'IY V
+leave L IY V
+achieve AH CH 'IY V
+grieve G R IY V
+sleeve S L IY V
+receive R IH S 'IY V
+deceive D IH S 'IY V
+
+deep D IY P
+keep K IY P
+sleep S L IY P
+cheap CH IY P
+creep K R IY P
+weep W IY P
+leap L IY P
+asleep AH S L 'IY P
+
+peace P IY S
+piece P IY S
+release R IH L 'IY S
+police P AH L 'IY S
+increase IH N K R 'IY S
+reach R IY CH
+teach T IY CH
+beach B IY CH
+speech S P IY CH
+preach P R IY CH
+each IY CH
+
+fear F EER
+hear HH EER
+near N EER
+clear K L EER
+year Y EER
+here HH EER
+dear D EER
+cheer CH EER
+beer B EER
+gear G EER
+sincere S IH N S 'EER
+appear AH P 'EER
+disappear D IH S AH P 'EER
+career K AH R 'EER
+volunteer V AA L AH N T 'EER
+engineer EH N JH AH N 'EER
+severe S AH V 'EER
+atmosphere AE T M AH S F EER
+hero HH EER OW
+zero Z EER OW
+serious S EER IY AH S
+period P EER IY AH D
+
+red R EH D
+bed B EH D
+fed F EH D
+led L EH D
+shed SH EH D
+dread D R EH D
+wed W EH D
+misled M IH S L 'EH D
+unsaid AH N S 'EH D
+
+bet B EH T
+get G EH T
+let L EH T
+set S EH T
+wet W EH T
+yet Y EH T
+net N EH T
+met M EH T
+debt D EH T
+jet JH EH T
+pet P EH T
+regret R IH G R 'EH T
+forget F ER G 'EH T
+upset AH P S 'EH T
+reset R IY S 'EH T
+cigarette S IH G ER 'EH T
+silhouette S IH L UW 'EH T
+sunset S AH N S EH T
+
+best B EH S T
+rest R EH S T
+test T EH S T
+chest CH EH S T
+west W EH S T
+nest N EH S T
+quest K W EH S T
+guest G EH S T
+blessed B L EH S T
+stressed S T R EH S T
+arrest AH R 'EH S T
+request R IH K W 'EH S T
+invest IH N V 'EH S T
+impressed IH M P R 'EH S T
+obsessed AH B S 'EH S T
+confessed K AH N F 'EH S T
+possessed P AH Z 'EH S T
+protest P R OW T EH S T
+
+hell HH EH L
+well W EH L
+tell T EH L
+fell F EH L
+sell S EH L
+bell B EH L
+shell SH EH L
+spell S P EH L
+yell Y EH L
+smell S M EH L
+cell S EH L
+dwell D W EH L
+farewell F AIR W 'EH L
+excel IH K S 'EH L
+hotel HH OW T 'EH L
+rebel R EH B AH L
+
+ten T EH N
+then DH EH N
+when W EH N
+men M EH N
+pen P EH N
+end EH N D
+send S EH N D
+bend B EH N D
+spend S P EH N D
+trend T R EH N D
+lend L EH N D
+blend B L EH N D
+pretend P R IH T 'EH N D
+defend D IH F 'EH N D
+depend D IH P 'EH N D
+extend IH K S T 'EH N D
+attend AH T 'EH N D
+weekend W IY K EH N D
+legend L EH JH AH N D
+
+sense S EH N S
+fence F EH N S
+tense T EH N S
+defense D IH F 'EH N S
+intense IH N T 'EH N S
+suspense S AH S P 'EH N S
+expense IH K S P 'EH N S
+offense AH F 'EH N S
+nonsense N AA N S EH N S
+
+check CH EH K
+neck N EH K
+deck D EH K
+wreck R EH K
+respect R IH S P 'EH K T
+connect K AH N 'EH K T
+reflect R IH F L 'EH K T
+protect P R AH T 'EH K T
+neglect N IH G L 'EH K T
+direct D ER 'EH K T
+expect IH K S P 'EH K T
+effect IH F 'EH K T
+collect K AH L 'EH K T
+correct K ER 'EH K T
+perfect P ER F IH K T
+
+fresh F R EH SH
+flesh F L EH SH
+next N EH K S T
+text T EH K S T
+flex F L EH K S
+wealth W EH L TH
+health HH EH L TH
+stealth S T EH L TH
+self S EH L F
+shelf SH EH L F
+myself M AY S 'EH L F
+yourself Y ER S 'EH L F
+himself HH IH M S 'EH L F
+herself HH ER S 'EH L F
+itself IH T S 'EH L F
+
+ever EH V ER
+never N EH V ER
+forever F ER 'EH V ER
+clever K L EH V ER
+whatever W AH T 'EH V ER
+however HH AW 'EH V ER
+endeavor IH N D 'EH V ER
+together T AH G 'EH DH ER
+weather W EH DH ER
+whether W EH DH ER
+feather F EH DH ER
+leather L EH DH ER
+better B EH T ER
+letter L EH T ER
+sweater S W EH T ER
+remember R IH M 'EH M B ER
+member M EH M B ER
+december D IH S 'EH M B ER
+november N OW V 'EH M B ER
+september S EH P T 'EH M B ER
+ember EH M B ER
+special S P EH SH AH L
+precious P R EH SH AH S
+heaven HH EH V AH N
+seven S EH V AH N
+medicine M EH D AH S AH N
+incredible IH N K R 'EH D AH B AH L
+essential IH S 'EH N SH AH L
+potential P AH T 'EH N SH AH L
+presidential P R EH Z AH D 'EH N SH AH L
+
+it IH T
+hit HH IH T
+sit S IH T
+fit F IH T
+bit B IH T
+quit K W IH T
+spit S P IH T
+split S P L IH T
+lit L IH T
+grit G R IH T
+admit AH D M 'IH T
+commit K AH M 'IH T
+submit S AH B M 'IH T
+legit L AH JH 'IH T
+
+in IH N
+win W IH N
+sin S IH N
+skin S K IH N
+within W IH DH 'IH N
+grin G R IH N
+spin S P IH N
+thin TH IH N
+twin T W IH N
+chin CH IH N
+violin V AY AH L 'IH N
+
+will W IH L
+still S T IH L
+kill K IH L
+thrill TH R IH L
+chill CH IH L
+fill F IH L
+skill S K IH L
+hill HH IH L
+ill IH L
+pill P IH L
+bill B IH L
+build B IH L D
+built B IH L T
+guilt G IH L T
+
+king K IH NG
+ring R IH NG
+sing S IH NG
+bring B R IH NG
+thing TH IH NG
+wing W IH NG
+swing S W IH NG
+sting S T IH NG
+spring S P R IH NG
+string S T R IH NG
+everything EH V R IY TH IH NG
+anything EH N IY TH IH NG
+
+think TH IH NG K
+drink D R IH NG K
+sink S IH NG K
+link L IH NG K
+pink P IH NG K
+brink B R IH NG K
+blink B L IH NG K
+ink IH NG K
+
+quick K W IH K
+sick S IH K
+trick T R IH K
+brick B R IH K
+kick K IH K
+thick TH IH K
+pick P IH K
+stick S T IH K
+slick S L IH K
+click K L IH K
+magic M AE JH IH K
+music M Y UW Z IH K
+logic L AA JH IH K
+panic P AE N IH K
+tragic T R AE JH IH K
+classic K L AE S IH K
+plastic P L AE S T IH K
+fantastic F AE N T 'AE S T IH K
+lyric L IH R IH K
+
+ship SH IH P
+trip T R IH P
+lip L IH P
+grip G R IH P
+slip S L IH P
+whip W IH P
+tip T IH P
+hip HH IH P
+flip F L IH P
+drip D R IH P
+chip CH IH P
+equip IH K W 'IH P
+relationship R IH L 'EY SH AH N SH IH P
+
+kiss K IH S
+miss M IH S
+this DH IH S
+bliss B L IH S
+abyss AH B 'IH S
+dismiss D IH S M 'IH S
+list L IH S T
+fist F IH S T
+twist T W IH S T
+wrist R IH S T
+mist M IH S T
+exist IH G Z 'IH S T
+resist R IH Z 'IH S T
+insist IH N S 'IH S T
+persist P ER S 'IH S T
+artist AR T IH S T
+
+did D IH D
+hid HH IH D
+kid K IH D
+lid L IH D
+rid R IH D
+forbid F ER B 'IH D
+forgive F ER G 'IH V
+him HH IH M
+dim D IH M
+grim G R IH M
+swim S W IH M
+slim S L IH M
+limb L IH M
+gym JH IH M
+his HH IH Z
+rich R IH CH
+switch S W IH CH
+pitch P IH CH
+witch W IH CH
+glitch G L IH CH
+which W IH CH
+mirror M IH R ER
+spirit S P IH R IH T
+miracle M IH R AH K AH L
+lyrical L IH R IH K AH L
+critical K R IH T IH K AH L
+physical F IH Z IH K AH L
+criminal K R IH M AH N AH L
+original ER 'IH JH AH N AH L
+invincible IH N V 'IH N S AH B AH L
+spiritual S P IH R IH CH UW AH L
+vision V IH ZH AH N
+mission M IH SH AH N
+decision D IH S 'IH ZH AH N
+position P AH Z 'IH SH AH N
+ambition AE M B 'IH SH AH N
+tradition T R AH D 'IH SH AH N
+condition K AH N D 'IH SH AH N
+competition K AA M P AH T 'IH SH AH N
+different D IH F ER AH N T
+living L IH V IH NG
+winter W IH N T ER
+bitter B IH T ER
+glitter G L IH T ER
+sister S IH S T ER
+whisper W IH S P ER
+figure F IH G Y ER
+little L IH T AH L
+simple S IH M P AH L
+single S IH NG G AH L
+
+that DH AE T
+cat K AE T
+hat HH AE T
+bat B AE T
+fat F AE T
+flat F L AE T
+chat CH AE T
+rat R AE T
+sat S AE T
+combat K AA M B AE T
+acrobat AE K R AH B AE T
+
+back B AE K
+black B L AE K
+track T R AE K
+pack P AE K
+stack S T AE K
+crack K R AE K
+jack JH AE K
+snack S N AE K
+lack L AE K
+smack S M AE K
+attack AH T 'AE K
+comeback K AH M B AE K
+soundtrack S AW N D T R AE K
+hijack HH AY JH AE K
+
+bad B AE D
+mad M AE D
+sad S AE D
+dad D AE D
+glad G L AE D
+had HH AE D
+add AE D
+
+man M AE N
+can K AE N
+plan P L AE N
+fan F AE N
+van V AE N
+ran R AE N
+stand S T AE N D
+hand HH AE N D
+land L AE N D
+band B AE N D
+sand S AE N D
+brand B R AE N D
+grand G R AE N D
+demand D IH M 'AE N D
+command K AH M 'AE N D
+understand AH N D ER S T 'AE N D
+expand IH K S P 'AE N D
+
+dance D AE N S
+chance CH AE N S
+glance G L AE N S
+stance S T AE N S
+trance T R AE N S
+romance R OW M 'AE N S
+advance AH D V 'AE N S
+
+trap T R AE P
+rap R AE P
+map M AE P
+cap K AE P
+clap K L AE P
+gap G AE P
+snap S N AE P
+slap S L AE P
+tap T AE P
+wrap R AE P
+strap S T R AE P
+
+cash K AE SH
+crash K R AE SH
+flash F L AE SH
+smash S M AE SH
+trash T R AE SH
+clash K L AE SH
+splash S P L AE SH
+ash AE SH
+dash D AE SH
+stash S T AE SH
+
+past P AE S T
+last L AE S T
+fast F AE S T
+cast K AE S T
+blast B L AE S T
+vast V AE S T
+class K L AE S
+glass G L AE S
+grass G R AE S
+pass P AE S
+ask AE S K
+mask M AE S K
+task T AE S K
+
+slam S L AE M
+scam S K AE M
+exam IH G Z 'AE M
+damn D AE M
+bank B AE NG K
+thank TH AE NG K
+tank T AE NG K
+blank B L AE NG K
+rank R AE NG K
+gang G AE NG
+slang S L AE NG
+bang B AE NG
+hang HH AE NG
+sang S AE NG
+
+act AE K T
+fact F AE K T
+exact IH G Z 'AE K T
+impact IH M P AE K T
+attract AH T R 'AE K T
+react R IY 'AE K T
+contract K AA N T R AE K T
+laugh L AE F
+half HH AE F
+staff S T AE F
+path P AE TH
+bath B AE TH
+math M AE TH
+aftermath AE F T ER M AE TH
+
+happen HH AE P AH N
+passion P AE SH AH N
+fashion F AE SH AH N
+action AE K SH AH N
+reaction R IY 'AE K SH AH N
+attraction AH T R 'AE K SH AH N
+satisfaction S AE T AH S F 'AE K SH AH N
+distraction D IH S T R 'AE K SH AH N
+matter M AE T ER
+chatter CH AE T ER
+shatter SH AE T ER
+ladder L AE D ER
+after AE F T ER
+laughter L AE F T ER
+disaster D IH Z 'AE S T ER
+master M AE S T ER
+faster F AE S T ER
+rapper R AE P ER
+battle B AE T AH L
+rattle R AE T AH L
+saddle S AE D AH L
+animal AE N AH M AH L
+shadow SH AE D OW
+savage S AE V IH JH
+status S T AE T AH S
+actually AE K CH UW AH L IY
+natural N AE CH ER AH L
+national N AE SH AH N AH L
+rational R AE SH AH N AH L
+
+hot HH AA T
+not N AA T
+got G AA T
+lot L AA T
+shot SH AA T
+spot S P AA T
+plot P L AA T
+knot N AA T
+forgot F ER G 'AA T
+robot R OW B AA T
+jackpot JH AE K P AA T
+thought TH AO T
+bought B AO T
+caught K AO T
+taught T AO T
+fought F AO T
+brought B R AO T
+
+top T AA P
+stop S T AA P
+drop D R AA P
+pop P AA P
+shop SH AA P
+cop K AA P
+chop CH AA P
+hop HH AA P
+flop F L AA P
+crop K R AA P
+nonstop N AA N S T 'AA P
+hiphop HH IH P HH AA P
+rooftop R UW F T AA P
+laptop L AE P T AA P
+
+rock R AA K
+block B L AA K
+lock L AA K
+shock SH AA K
+clock K L AA K
+knock N AA K
+stock S T AA K
+talk T AO K
+walk W AO K
+
+god G AA D
+odd AA D
+nod N AA D
+squad S K W AA D
+job JH AA B
+rob R AA B
+mob M AA B
+box B AA K S
+fox F AA K S
+paradox P AE R AH D AA K S
+detox D IY T AA K S
+
+on AA N
+con K AA N
+upon AH P 'AA N
+dawn D AO N
+lawn L AO N
+call K AO L
+all AO L
+fall F AO L
+wall W AO L
+ball B AO L
+tall T AO L
+small S M AO L
+hall HH AO L
+crawl K R AO L
+brawl B R AO L
+install IH N S T 'AO L
+recall R IH K 'AO L
+alcohol AE L K AH HH AO L
+basketball B AE S K AH T B AO L
+
+law L AO
+saw S AO
+raw R AO
+draw D R AO
+jaw JH AO
+flaw F L AO
+claw K L AO
+awe AO
+long L AO NG
+song S AO NG
+strong S T R AO NG
+wrong R AO NG
+along AH L 'AO NG
+belong B IH L 'AO NG
+prolong P R AH L 'AO NG
+lost L AO S T
+cost K AO S T
+frost F R AO S T
+crossed K R AO S T
+boss B AO S
+loss L AO S
+toss T AO S
+cross K R AO S
+across AH K R 'AO S
+off AO F
+soft S AO F T
+often AO F AH N
+dog D AO G
+fog F AO G
+cause K AO Z
+pause P AO Z
+applause AH P L 'AO Z
+because B IH K 'AH Z
+water W AO T ER
+daughter D AO T ER
+author AO TH ER
+
+problem P R AA B L AH M
+bottle B AA T AH L
+model M AA D AH L
+follow F AA L OW
+hollow HH AA L OW
+swallow S W AA L OW
+tomorrow T AH M 'AA R OW
+sorrow S AA R OW
+borrow B AA R OW
+impossible IH M P 'AA S AH B AH L
+unstoppable AH N S T 'AA P AH B AH L
+phenomenal F AH N 'AA M AH N AH L
+honest AA N AH S T
+promise P R AA M AH S
+conscious K AA N SH AH S
+monster M AA N S T ER
+doctor D AA K T ER
+option AA P SH AH N
+
+go G OW
+know N OW
+show SH OW
+flow F L OW
+slow S L OW
+glow G L OW
+grow G R OW
+throw TH R OW
+snow S N OW
+low L OW
+blow B L OW
+ago AH G 'OW
+below B IH L 'OW
+although AO L DH 'OW
+radio R EY D IY OW
+video V IH D IY OW
+ghetto G EH T OW
+echo EH K OW
+ego IY G OW
+window W IH N D OW
+pillow P IH L OW
+yellow Y EH L OW
+fellow F EH L OW
+mellow M EH L OW
+solo S OW L OW
+photo F OW T OW
+tornado T OR N 'EY D OW
+
+boat B OW T
+coat K OW T
+note N OW T
+quote K W OW T
+wrote R OW T
+float F L OW T
+throat TH R OW T
+vote V OW T
+goat G OW T
+remote R IH M 'OW T
+devote D IH V 'OW T
+antidote AE N T IH D OW T
+
+road R OW D
+code K OW D
+load L OW D
+mode M OW D
+explode IH K S P L 'OW D
+episode EH P AH S OW D
+overload OW V ER L OW D
+
+phone F OW N
+stone S T OW N
+alone AH L 'OW N
+bone B OW N
+zone Z OW N
+throne TH R OW N
+tone T OW N
+known N OW N
+grown G R OW N
+shown SH OW N
+blown B L OW N
+unknown AH N N 'OW N
+microphone M AY K R AH F OW N
+home HH OW M
+roam R OW M
+dome D OW M
+foam F OW M
+chrome K R OW M
+poem P OW AH M
+
+hole HH OW L
+role R OW L
+goal G OW L
+control K AH N T R 'OW L
+roll R OW L
+bowl B OW L
+cold K OW L D
+gold G OW L D
+old OW L D
+hold HH OW L D
+bold B OW L D
+told T OW L D
+fold F OW L D
+sold S OW L D
+behold B IH HH 'OW L D
+
+close K L OW S
+dose D OW S
+gross G R OW S
+most M OW S T
+ghost G OW S T
+coast K OW S T
+host HH OW S T
+toast T OW S T
+post P OW S T
+almost AO L M OW S T
+
+smoke S M OW K
+joke JH OW K
+broke B R OW K
+spoke S P OW K
+woke W OW K
+choke CH OW K
+provoke P R AH V 'OW K
+hope HH OW P
+rope R OW P
+cope K OW P
+scope S K OW P
+slope S L OW P
+dope D OW P
+telescope T EH L AH S K OW P
+
+rose R OW Z
+those DH OW Z
+nose N OW Z
+froze F R OW Z
+chose CH OW Z
+clothes K L OW DH Z
+suppose S AH P 'OW Z
+expose IH K S P 'OW Z
+compose K AH M P 'OW Z
+
+motion M OW SH AH N
+emotion IH M 'OW SH AH N
+devotion D IH V 'OW SH AH N
+potion P OW SH AH N
+notion N OW SH AH N
+lotion L OW SH AH N
+commotion K AH M 'OW SH AH N
+promotion P R AH M 'OW SH AH N
+explosion IH K S P L 'OW ZH AH N
+frozen F R OW Z AH N
+chosen CH OW Z AH N
+broken B R OW K AH N
+spoken S P OW K AH N
+token T OW K AH N
+open OW P AH N
+golden G OW L D AH N
+moment M OW M AH N T
+focus F OW K AH S
+total T OW T AH L
+social S OW SH AH L
+
+you Y UW
+too T UW
+true T R UW
+blue B L UW
+new N UW
+knew N UW
+few F Y UW
+crew K R UW
+view V Y UW
+glue G L UW
+clue K L UW
+shoe SH UW
+flew F L UW
+grew G R UW
+threw TH R UW
+drew D R UW
+due D UW
+avenue AE V AH N UW
+rescue R EH S K Y UW
+issue IH SH UW
+virtue V ER CH UW
+value V AE L Y UW
+pursue P ER S 'UW
+renew R IH N 'UW
+tattoo T AE T 'UW
+breakthrough B R EY K TH R UW
+
+suit S UW T
+shoot SH UW T
+root R UW T
+boot B UW T
+fruit F R UW T
+loot L UW T
+cute K Y UW T
+salute S AH L 'UW T
+pursuit P ER S 'UW T
+absolute AE B S AH L UW T
+parachute P AE R AH SH UW T
+
+room R UW M
+doom D UW M
+gloom G L UW M
+bloom B L UW M
+boom B UW M
+zoom Z UW M
+tomb T UW M
+assume AH S 'UW M
+consume K AH N S 'UW M
+perfume P ER F Y 'UW M
+
+moon M UW N
+soon S UW N
+tune T UW N
+noon N UW N
+spoon S P UW N
+june JH UW N
+balloon B AH L 'UW N
+cartoon K AR T 'UW N
+afternoon AE F T ER N 'UW N
+immune IH M Y 'UW N
+
+cool K UW L
+school S K UW L
+rule R UW L
+fool F UW L
+pool P UW L
+tool T UW L
+cruel K R UW AH L
+jewel JH UW AH L
+fuel F Y UW AH L
+
+lose L UW Z
+choose CH UW Z
+news N UW Z
+blues B L UW Z
+shoes SH UW Z
+abuse AH B Y 'UW Z
+confuse K AH N F Y 'UW Z
+refuse R IH F Y 'UW Z
+excuse IH K S K Y 'UW Z
+cruise K R UW Z
+loose L UW S
+juice JH UW S
+produce P R AH D 'UW S
+prove P R UW V
+groove G R UW V
+improve IH M P R 'UW V
+approve AH P R 'UW V
+smooth S M UW DH
+truth T R UW TH
+youth Y UW TH
+
+food F UW D
+mood M UW D
+dude D UW D
+rude R UW D
+attitude AE T AH T UW D
+gratitude G R AE T AH T UW D
+solitude S AA L AH T UW D
+include IH N K L 'UW D
+conclude K AH N K L 'UW D
+beautiful B Y UW T AH F AH L
+human HH Y UW M AH N
+future F Y UW CH ER
+computer K AH M P Y 'UW T ER
+super S UW P ER
+ruthless R UW TH L AH S
+
+good G UH D
+hood HH UH D
+wood W UH D
+stood S T UH D
+understood AH N D ER S T 'UH D
+misunderstood M IH S AH N D ER S T 'UH D
+neighborhood N EY B ER HH UH D
+childhood CH AY L D HH UH D
+hollywood HH AA L IY W UH D
+look L UH K
+book B UH K
+took T UH K
+shook SH UH K
+cook K UH K
+hook HH UH K
+crook K R UH K
+overlook OW V ER L 'UH K
+full F UH L
+bull B UH L
+foot F UH T
+woman W UH M AH N
+sugar SH UH G ER
+
+glove G L AH V
+dove D AH V
+shove SH AH V
+mud M AH D
+bud B AH D
+stud S T AH D
+up AH P
+cup K AH P
+run R AH N
+sun S AH N
+fun F AH N
+gun G AH N
+begun B IH G 'AH N
+everyone EH V R IY W AH N
+someone S AH M W AH N
+anyone EH N IY W AH N
+undone AH N D 'AH N
+luck L AH K
+stuck S T AH K
+truck T R AH K
+duck D AH K
+buck B AH K
+struck S T R AH K
+
+us AH S
+bus B AH S
+plus P L AH S
+fuss F AH S
+trust T R AH S T
+must M AH S T
+dust D AH S T
+just JH AH S T
+rust R AH S T
+lust L AH S T
+bust B AH S T
+adjust AH JH 'AH S T
+disgust D IH S G 'AH S T
+cut K AH T
+but B AH T
+shut SH AH T
+gut G AH T
+strut S T R AH T
+
+rush R AH SH
+crush K R AH SH
+brush B R AH SH
+hush HH AH SH
+blush B L AH SH
+much M AH CH
+such S AH CH
+clutch K L AH CH
+punch P AH N CH
+lunch L AH N CH
+crunch K R AH N CH
+bunch B AH N CH
+jump JH AH M P
+pump P AH M P
+bump B AH M P
+drum D R AH M
+numb N AH M
+dumb D AH M
+thumb TH AH M
+become B IH K 'AH M
+outcome AW T K AH M
+
+lung L AH NG
+sung S AH NG
+hung HH AH NG
+stung S T AH NG
+among AH M 'AH NG
+hustle HH AH S AH L
+muscle M AH S AH L
+struggle S T R AH G AH L
+puzzle P AH Z AH L
+bubble B AH B AH L
+humble HH AH M B AH L
+stumble S T AH M B AH L
+crumble K R AH M B AH L
+rumble R AH M B AH L
+jungle JH AH NG G AH L
+tunnel T AH N AH L
+another AH N 'AH DH ER
+cover K AH V ER
+lover L AH V ER
+discover D IH S K 'AH V ER
+recover R IH K 'AH V ER
+undercover AH N D ER K 'AH V ER
+hunger HH AH NG G ER
+thunder TH AH N D ER
+under AH N D ER
+summer S AH M ER
+number N AH M B ER
+hunter HH AH N T ER
+butter B AH T ER
+gutter G AH T ER
+dozen D AH Z AH N
+public P AH B L IH K
+trouble T R AH B AH L
+
+now N AW
+how HH AW
+wow W AW
+allow AH L 'AW
+vow V AW
+somehow S AH M HH AW
+out AW T
+about AH B 'AW T
+shout SH AW T
+doubt D AW T
+scout S K AW T
+clout K L AW T
+drought D R AW T
+without W IH DH 'AW T
+throughout TH R UW 'AW T
+knockout N AA K AW T
+blackout B L AE K AW T
+workout W ER K AW T
+
+down D AW N
+town T AW N
+crown K R AW N
+clown K L AW N
+brown B R AW N
+drown D R AW N
+frown F R AW N
+downtown D AW N T 'AW N
+sound S AW N D
+ground G R AW N D
+found F AW N D
+round R AW N D
+around AH R 'AW N D
+bound B AW N D
+pound P AW N D
+surround S ER 'AW N D
+underground AH N D ER G R AW N D
+background B AE K G R AW N D
+loud L AW D
+proud P R AW D
+crowd K R AW D
+cloud K L AW D
+aloud AH L 'AW D
+allowed AH L 'AW D
+house HH AW S
+mouse M AW S
+mouth M AW TH
+south S AW TH
+power P AW ER
+hour AW ER
+flower F L AW ER
+tower T AW ER
+shower SH AW ER
+sour S AW ER
+our AW ER
+devour D IH V 'AW ER
+powerful P AW ER F AH L
+counting K AW N T IH NG
+
+boy B OY
+joy JH OY
+toy T OY
+destroy D IH S T R 'OY
+annoy AH N 'OY
+enjoy EH N JH 'OY
+employ EH M P L 'OY
+voice V OY S
+choice CH OY S
+rejoice R IH JH 'OY S
+noise N OY Z
+boys B OY Z
+coin K OY N
+join JH OY N
+point P OY N T
+joint JH OY N T
+disappoint D IH S AH P 'OY N T
+oil OY L
+soil S OY L
+spoil S P OY L
+royal R OY AH L
+loyal L OY AH L
+turmoil T ER M OY L
+poison P OY Z AH N
+
+her HH ER
+sir S ER
+fur F ER
+blur B L ER
+stir S T ER
+occur AH K 'ER
+prefer P R IH F 'ER
+heard HH ER D
+bird B ER D
+third TH ER D
+nerd N ER D
+absurd AH B S 'ER D
+blurred B L ER D
+girl G ER L
+pearl P ER L
+swirl S W ER L
+curl K ER L
+perk P ER K
+jerk JH ER K
+smirk S M ER K
+first F ER S T
+worst W ER S T
+burst B ER S T
+thirst TH ER S T
+cursed K ER S T
+rehearsed R IH HH 'ER S T
+hurt HH ER T
+dirt D ER T
+shirt SH ER T
+flirt F L ER T
+alert AH L 'ER T
+desert D EH Z ER T
+expert EH K S P ER T
+concert K AA N S ER T
+turn T ER N
+burn B ER N
+learn L ER N
+earn ER N
+return R IH T 'ER N
+concern K AH N S 'ER N
+yearn Y ER N
+church CH ER CH
+search S ER CH
+research R IY S ER CH
+verse V ER S
+curse K ER S
+nurse N ER S
+purse P ER S
+universe Y UW N AH V ER S
+reverse R IH V 'ER S
+serve S ER V
+nerve N ER V
+curve K ER V
+deserve D IH Z 'ER V
+observe AH B Z 'ER V
+earth ER TH
+birth B ER TH
+urge ER JH
+surge S ER JH
+emerge IH M 'ER JH
+person P ER S AH N
+version V ER ZH AH N
+further F ER DH ER
+murder M ER D ER
+nervous N ER V AH S
+purpose P ER P AH S
+
+car K AR
+star S T AR
+far F AR
+bar B AR
+scar S K AR
+jar JH AR
+guitar G IH T 'AR
+superstar S UW P ER S T AR
+bizarre B IH Z 'AR
+cigar S IH G 'AR
+art AR T
+part P AR T
+start S T AR T
+smart S M AR T
+chart CH AR T
+apart AH P 'AR T
+depart D IH P 'AR T
+restart R IY S T 'AR T
+dark D AR K
+mark M AR K
+spark S P AR K
+park P AR K
+shark SH AR K
+remark R IH M 'AR K
+hard HH AR D
+guard G AR D
+card K AR D
+yard Y AR D
+scarred S K AR D
+regard R IH G 'AR D
+bodyguard B AA D IY G AR D
+arm AR M
+harm HH AR M
+charm CH AR M
+alarm AH L 'AR M
+farm F AR M
+large L AR JH
+charge CH AR JH
+martyr M AR T ER
+harder HH AR D ER
+partner P AR T N ER
+garden G AR D AH N
+pardon P AR D AH N
+target T AR G IH T
+market M AR K IH T
+
+more M OR
+door D OR
+floor F L OR
+war W OR
+for F OR
+core K OR
+score S K OR
+pour P OR
+roar R OR
+shore SH OR
+store S T OR
+before B IH F 'OR
+ignore IH G N 'OR
+explore IH K S P L 'OR
+adore AH D 'OR
+evermore EH V ER M 'OR
+therefore DH AIR F OR
+born B OR N
+torn T OR N
+worn W OR N
+horn HH OR N
+mourn M OR N
+warn W OR N
+sworn S W OR N
+thorn TH OR N
+reborn R IY B 'OR N
+force F OR S
+course K OR S
+horse HH OR S
+source S OR S
+remorse R IH M 'OR S
+divorce D IH V 'OR S
+north N OR TH
+forth F OR TH
+short SH OR T
+sport S P OR T
+support S AH P 'OR T
+report R IH P 'OR T
+court K OR T
+storm S T OR M
+form F OR M
+warm W OR M
+perform P ER F 'OR M
+uniform Y UW N AH F OR M
+lord L OR D
+sword S OR D
+board B OR D
+afford AH F 'OR D
+record R IH K 'OR D
+bored B OR D
+ignored IH G N 'OR D
+reward R IH W 'OR D
+chord K OR D
+morning M OR N IH NG
+warning W OR N IH NG
+border B OR D ER
+order OR D ER
+corner K OR N ER
+mortal M OR T AH L
+portal P OR T AH L
+important IH M P 'OR T AH N T
+fortune F OR CH AH N
+
+care K AIR
+air AIR
+hair HH AIR
+share SH AIR
+stare S T AIR
+dare D AIR
+fair F AIR
+rare R AIR
+chair CH AIR
+pair P AIR
+prayer P R AIR
+their DH AIR
+prepare P R IH P 'AIR
+despair D IH S P 'AIR
+compare K AH M P 'AIR
+affair AH F 'AIR
+repair R IH P 'AIR
+declare D IH K L 'AIR
+unfair AH N F 'AIR
+nightmare N AY T M AIR
+millionaire M IH L Y AH N 'AIR
+everywhere EH V R IY W AIR
+anywhere EH N IY W AIR
+nowhere N OW W AIR
+somewhere S AH M W AIR
+stairs S T AIR Z
+scared S K AIR D
+prepared P R IH P 'AIR D
+careful K AIR F AH L
+carry K AE R IY
+marry M AE R IY
+wonderful W AH N D ER F AH L
+`;
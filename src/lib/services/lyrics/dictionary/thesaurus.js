@@ -0,0 +1,168 @@
+/**
+ * The bundled thesaurus: one group of interchangeable words per line, picked
+ * for the things lyrics keep coming back to. A word can sit in more than one
+ * group; the lookup offers everything it shares a group with.
+ */
+
+export default `
+happy, glad, joyful, cheerful, content, elated, blissful, upbeat, merry, overjoyed
+sad, blue, down, low, unhappy, gloomy, miserable, heartbroken, sorrowful, melancholy
+angry, mad, furious, heated, livid, enraged, bitter, irate, fuming, salty
+afraid, scared, fearful, frightened, shook, terrified, nervous, anxious, uneasy
+brave, bold, fearless, daring, gutsy, heroic, valiant, courageous
+calm, still, quiet, peaceful, serene, settled, tranquil, chill, mellow
+crazy, wild, insane, mad, unhinged, reckless, deranged, nuts
+tired, weary, drained, exhausted, worn, spent, beat, sleepy
+lonely, alone, solo, isolated, lonesome, forsaken, abandoned
+free, loose, liberated, released, unchained, untied, independent
+strong, tough, powerful, mighty, solid, sturdy, hard, unbreakable
+weak, frail, fragile, feeble, soft, brittle, delicate
+rich, wealthy, loaded, paid, prosperous, affluent, flush, ballin
+poor, broke, needy, penniless, bankrupt, struggling, skint
+money, cash, dough, paper, bread, funds, bucks, racks, wealth
+love, adore, cherish, treasure, worship, fancy, desire, crave
+hate, despise, loathe, detest, resent, scorn
+lover, darling, sweetheart, baby, honey, beloved, partner, boo
+friend, buddy, pal, mate, homie, ally, companion, brother, sister
+enemy, foe, rival, opponent, adversary, hater, nemesis
+fight, battle, brawl, clash, struggle, war, conflict, scrap
+win, triumph, prevail, conquer, succeed, victory, beat
+lose, fail, fall, drop, slip, miss, forfeit
+run, race, dash, sprint, rush, bolt, flee, hurry
+walk, stroll, stride, wander, roam, march, strut, pace
+go, leave, depart, exit, split, bounce, vanish, disappear
+come, arrive, appear, approach, return, show
+stay, remain, linger, wait, hold, stick, last
+talk, speak, say, tell, chat, whisper, utter, voice
+shout, yell, scream, holler, roar, cry, howl, call
+cry, weep, sob, bawl, tear, mourn, grieve
+laugh, giggle, chuckle, grin, smile, beam, smirk
+look, see, watch, stare, gaze, glance, peek, glimpse, notice
+hear, listen, heed, catch, overhear
+think, ponder, wonder, dream, believe, reckon, imagine, consider
+know, understand, realize, see, get, grasp, recognize
+forget, overlook, ignore, neglect, erase, lose
+remember, recall, recollect, reminisce, memory
+want, need, desire, wish, crave, long, yearn, hunger, thirst
+give, offer, hand, grant, donate, share, provide, pass
+take, grab, seize, steal, snatch, claim, capture, collect
+make, create, build, craft, form, shape, forge, produce
+break, shatter, smash, crack, burst, split, crush, wreck
+fix, mend, repair, heal, restore, patch, cure
+start, begin, launch, open, kick off, spark, ignite
+end, finish, stop, close, quit, conclude, cease, halt
+fast, quick, rapid, swift, speedy, hasty, fleet, brisk
+slow, sluggish, gradual, steady, lazy, unhurried
+big, large, huge, giant, massive, vast, enormous, grand, immense
+small, little, tiny, mini, petite, slight, minor, compact
+new, fresh, novel, modern, young, recent, brand new
+old, ancient, aged, vintage, worn, past, former, faded
+good, great, fine, solid, nice, excellent, superb, dope, fire
+bad, awful, terrible, poor, wicked, rotten, foul, nasty, wack
+beautiful, pretty, lovely, gorgeous, stunning, radiant, fine, elegant
+ugly, hideous, plain, grim, gross
+smart, clever, wise, bright, sharp, brilliant, genius, witty
+stupid, dumb, foolish, silly, dense, dim, clueless, naive
+true, real, honest, genuine, authentic, sincere, legit
+false, fake, phony, bogus, untrue, counterfeit, hollow
+lie, fib, deceive, mislead, bluff, cheat, trick, con
+truth, fact, reality, honesty, verity
+dark, black, shadowy, dim, murky, gloomy, shady, pitch
+light, bright, glow, shine, gleam, glimmer, spark, flash
+night, midnight, evening, dusk, nightfall, darkness
+day, daylight, morning, dawn, sunrise, daytime
+sun, daylight, sunshine, rays, star
+moon, crescent, lunar, satellite
+sky, heavens, air, clouds, blue, atmosphere
+rain, storm, drizzle, downpour, shower, flood
+fire, flame, blaze, inferno, heat, burn, spark
+cold, cool, icy, frozen, chilly, freezing, frosty, bitter
+hot, warm, heated, burning, boiling, scorching, fiery
+water, sea, ocean, river, stream, tide, wave
+city, town, streets, block, hood, downtown, metropolis
+home, house, place, crib, pad, nest, shelter, roots
+road, street, path, way, route, lane, highway, track
+journey, trip, voyage, ride, trek, quest, path
+time, moment, hour, minute, season, era, age, instant
+forever, always, eternally, endless, everlasting, evermore
+never, nevermore, not once, no way
+life, existence, being, living, soul, spirit
+death, end, grave, demise, passing, doom, fate
+soul, spirit, heart, essence, core, being
+heart, soul, core, center, chest, feelings
+mind, head, brain, thoughts, psyche, wits, intellect
+body, frame, figure, flesh, bones, form
+dream, vision, fantasy, hope, goal, wish, aspiration
+hope, faith, trust, belief, wish, optimism
+fear, dread, terror, panic, fright, anxiety, worry
+pain, hurt, ache, agony, suffering, sting, wound, scar
+joy, bliss, delight, glee, happiness, pleasure, elation
+anger, rage, fury, wrath, ire, outrage
+power, strength, force, might, energy, control, authority
+fame, glory, renown, stardom, spotlight, celebrity, legacy
+pride, dignity, honor, ego, self-respect, vanity
+shame, guilt, disgrace, embarrassment, regret, remorse
+success, victory, triumph, win, achievement, glory
+failure, defeat, loss, flop, collapse, downfall
+beginning, start, origin, birth, dawn, genesis, launch
+music, song, tune, melody, track, beat, rhythm, sound
+song, tune, track, anthem, ballad, hymn, jam, record
+dance, move, groove, sway, bounce, step, spin, shake
+sing, chant, croon, hum, belt, serenade
+rhyme, verse, bars, lines, lyrics, flow
+rapper, emcee, MC, lyricist, wordsmith, poet, spitter
+crowd, audience, fans, people, masses, mob, throng
+party, celebration, bash, festivity, function, rave, jam
+drink, sip, toast, pour, gulp, swig
+king, ruler, monarch, sovereign, lord, boss, chief
+queen, empress, ruler, monarch, lady
+boss, leader, chief, head, captain, commander, head honcho
+crown, throne, title, reign
+hustle, grind, work, labor, toil, push, strive, graft
+work, job, labor, effort, task, duty, grind
+rest, sleep, relax, pause, nap, unwind, break
+play, game, sport, toy, fun, compete
+game, match, contest, competition, sport, play
+danger, risk, threat, peril, hazard, menace
+safe, secure, protected, sheltered, guarded, sound
+hide, conceal, cover, mask, bury, shield, veil
+show, reveal, display, expose, present, unveil, flaunt
+secret, hidden, private, confidential, mystery, unknown
+lost, missing, gone, astray, misplaced, adrift, stray
+found, discovered, located, uncovered, unearthed
+fly, soar, glide, float, hover, rise, wing
+fall, drop, tumble, plunge, sink, crash, collapse, descend
+rise, climb, ascend, soar, mount, lift, elevate, grow
+hold, grip, grasp, clutch, carry, keep, embrace
+touch, feel, brush, stroke, graze, tap
+kiss, peck, smooch, embrace
+change, shift, switch, turn, transform, evolve, alter, flip
+stay, endure, persist, survive, last, hang on
+hard, tough, difficult, rough, rugged, harsh, brutal
+easy, simple, effortless, smooth, light, painless
+loud, noisy, booming, blaring, deafening, thunderous
+quiet, silent, hushed, soft, muted, still, low
+clean, pure, spotless, fresh, clear, crisp
+dirty, filthy, grimy, muddy, grubby, foul
+empty, hollow, bare, vacant, blank, void, barren
+full, packed, loaded, stuffed, crowded, brimming
+gold, golden, gilded, shiny, precious
+diamond, gem, jewel, ice, rock, stone
+heaven, paradise, bliss, eden, utopia, above
+hell, inferno, underworld, abyss, torment, pit
+god, creator, lord, almighty, maker, divine
+devil, demon, fiend, beast, monster, satan
+angel, saint, cherub, guardian, seraph
+war, battle, conflict, combat, struggle, fight
+peace, calm, harmony, quiet, truce, serenity
+help, aid, assist, support, back, serve, rescue
+hurt, harm, injure, wound, damage, bruise, cut
+kill, murder, slay, destroy, end, eliminate, take out
+save, rescue, free, deliver, protect, spare
+real, true, genuine, authentic, actual, legit
+fake, false, phony, plastic, imitation, fraud
+cool, chill, fresh, slick, smooth, hip, fly, dope
+famous, known, legendary, iconic, renowned, celebrated, big
+flow, stream, rhythm, cadence, pace, run
+bright, brilliant, vivid, shining, radiant, luminous, glowing
+`;
@@ -0,0 +1,203 @@
+/**
+ * The artist's glossary: names, slang and invented words, and how to write
+ * them.
+ *
+ * Each entry has the term as it's said, an optional hint at how it sounds,
+ * the spelling it should have (the term itself unless given), and the ways
+ * transcripts tend to mishear it. The glossary works twice over: the route
+ * lists it in the transcription prompt (formatGlossaryForPrompt, or
+ * formatGlossaryForWhisper for providers that only take a spelling hint), and
+ * correctWithGlossary swaps known mishearings for the preferred spelling in
+ * whatever comes back, and in snippets that were collected before the entry
+ * existed.
+ *
+ * The glossary itself lives in the browser (glossaryStore.js); the route is
+ * sent a copy with every take and checks it with validateGlossary before any
+ * of it goes near a prompt.
+ */
+
+import { sanitizePromptText } from "../promptTemplates";
+
+export const MAX_GLOSSARY_ENTRIES = 60;
+export const MAX_GLOSSARY_FIELD_LENGTH = 60;
+export const MAX_MISHEARINGS = 6;
+
+// Whisper only reads the last 224 tokens of its prompt
+const WHISPER_HINT_MAX_LENGTH = 600;
+
+// Each field ends up in the prompt's word list, hints and mishearings in
+// double quotes, so neither quotes nor tags may come through
+function cleanField(value) {
+  return sanitizePromptText(value, { strip: '<>"' });
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Split "misheard as" text into separate mishearings
+ *
+ * @param {string} text - Comma-separated mishearings
+ * @returns {Array<string>}
+ */
+export function parseMishearings(text) {
+  return (text || "").split(",").map(cleanField).filter(Boolean);
+}
+
+/**
+ * Check and tidy one entry: glossaryStore does it before adding a word, and
+ * validateGlossary does it to each word the route is sent
+ *
+ * @param {Object} entry - { term, hint?, spelling?, misheard? }
+ * @returns {{ entry: Object } | { error: string }} The tidied entry (with a
+ *   spelling always set), or why it can't be added
+ */
+export function validateGlossaryEntry(entry) {
+  const term = cleanField(entry?.term);
+  if (!term) {
+    return { error: "Add the word or name" };
+  }
+
+  const hint = cleanField(entry.hint);
+  const spelling = cleanField(entry.spelling) || term;
+  const misheard = (Array.isArray(entry.misheard) ? entry.misheard : [])
+    .map(cleanField)
+    .filter(Boolean)
+    .filter((variant) => variant.toLowerCase() !== spelling.toLowerCase());
+
+  if (
+    [term, hint, spelling, ...misheard].some(
+      (field) => field.length > MAX_GLOSSARY_FIELD_LENGTH,
+    )
+  ) {
+    return {
+      error: `Keep each field under ${MAX_GLOSSARY_FIELD_LENGTH} characters`,
+    };
+  }
+  if (misheard.length > MAX_MISHEARINGS) {
+    return { error: `Up to ${MAX_MISHEARINGS} mishearings per word` };
+  }
+
+  return { entry: { term, hint, spelling, misheard } };
+}
+
+/**
+ * Check a whole glossary, as the route does with what it's sent
+ *
+ * @param {Array<Object>} entries
+ * @returns {{ entries: Array<Object> } | { error: string }}
+ */
+export function validateGlossary(entries) {
+  if (!Array.isArray(entries)) {
+    return { error: "Invalid glossary" };
+  }
+  if (entries.length > MAX_GLOSSARY_ENTRIES) {
+    return {
+      error: `A glossary can have up to ${MAX_GLOSSARY_ENTRIES} words`,
+    };
+  }
+
+  const cleaned = [];
+  for (const entry of entries) {
+    const result = validateGlossaryEntry(entry);
+    if (result.error) return result;
+    cleaned.push(result.entry);
+  }
+
+  return { entries: cleaned };
+}
+
+/**
+ * The glossary as it goes into the transcription prompt (the {{glossary}}
+ * template variable). Empty without entries, so templates read as before.
+ *
+ * @param {Array<Object>} entries - Validated entries
+ * @returns {string}
+ */
+export function formatGlossaryForPrompt(entries) {
+  if (!entries?.length) return "";
+
+  const lines = entries.map(({ term, hint, spelling, misheard }) => {
+    const notes = [
+      hint && `sounds like "${hint}"`,
+      spelling !== term && `said "${term}"`,
+      misheard.length > 0 &&
+        `not ${misheard.map((variant) => `"${variant}"`).join(" or ")}`,
+    ].filter(Boolean);
+
+    return `- ${spelling}${notes.length ? ` (${notes.join("; ")})` : ""}`;
+  });
+
+  return `\n\nThe artist uses these names, slang and invented words. When you hear one, write it exactly as spelled here instead of guessing or marking it [unclear]:\n${lines.join("\n")}`;
+}
+
+/**
+ * The glossary as a Whisper prompt: just the spellings, as a line of text.
+ * Whisper copies the spelling and style of its prompt rather than following
+ * it, so there are no instructions here.
+ *
+ * @param {Array<Object>} entries - Validated entries
+ * @returns {string} Empty without entries
+ */
+export function formatGlossaryForWhisper(entries) {
+  let hint = "";
+
+  for (const { spelling } of entries || []) {
+    const next = hint ? `${hint}, ${spelling}` : spelling;
+    if (next.length + 1 > WHISPER_HINT_MAX_LENGTH) break;
+    hint = next;
+  }
+
+  return hint && `${hint}.`;
+}
+
+// Every form of an entry to correct (the term too, so its case is fixed),
+// longest first so "man them" wins over "man"
+function buildCorrections(entries) {
+  return entries
+    .flatMap(({ term, spelling, misheard = [] }) =>
+      [term, ...misheard].filter(Boolean).map((wrong) => ({ wrong, spelling })),
+    )
+    .sort((a, b) => b.wrong.length - a.wrong.length);
+}
+
+/**
+ * Swap known mishearings (and the term, however it was cased) for the
+ * preferred spelling. Whole words only, matched without regard to case; a
+ * word that was capitalised, or shouted in capitals, stays that way.
+ *
+ * @param {string} text
+ * @param {Array<Object>} entries - Glossary entries
+ * @returns {string}
+ */
+export function correctWithGlossary(text, entries) {
+  if (!text || !entries?.length) return text;
+
+  const corrections = buildCorrections(entries);
+  if (corrections.length === 0) return text;
+
+  const bySpelling = new Map(
+    corrections.map(({ wrong, spelling }) => [wrong.toLowerCase(), spelling]),
+  );
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}'])(${corrections
+      .map(({ wrong }) => escapeRegExp(wrong).replace(/\s+/g, "[^\\S\\n]+"))
+      .join("|")})(?![\\p{L}\\p{N}'])`,
+    "giu",
+  );
+
+  return text.replace(pattern, (match) => {
+    const spelling = bySpelling.get(match.toLowerCase().replace(/\s+/g, " "));
+    if (!spelling) return match;
+
+    if (match.length > 1 && match === match.toUpperCase()) {
+      return match === match.toLowerCase() ? spelling : spelling.toUpperCase();
+    }
+
+    const capitalised = /^\p{Lu}/u.test(match) && /^\p{Ll}/u.test(spelling);
+    return capitalised
+      ? spelling.charAt(0).toUpperCase() + spelling.slice(1)
+      : spelling;
+  });
+}
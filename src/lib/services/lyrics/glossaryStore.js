@@ -0,0 +1,86 @@
+import { writable, get } from "svelte/store";
+import { createId } from "../infrastructure/createId";
+import { StorageUtils } from "../infrastructure/storageUtils";
+import { STORAGE_KEYS } from "../../constants";
+import {
+  MAX_GLOSSARY_ENTRIES,
+  correctWithGlossary,
+  validateGlossaryEntry,
+} from "./glossary";
+
+// Entries saved by an older version, or edited by hand, are checked again
+function loadEntries() {
+  const stored = StorageUtils.getJSONItem(STORAGE_KEYS.GLOSSARY, []);
+  if (!Array.isArray(stored)) return [];
+
+  return stored.flatMap((item) => {
+    const { entry } = validateGlossaryEntry(item);
+    return entry ? [{ ...entry, id: item.id || createId() }] : [];
+  });
+}
+
+/**
+ * The artist's glossary ([{ id, term, hint, spelling, misheard }]), kept per
+ * device. See glossary.js for how it's used.
+ */
+function createGlossary() {
+  const { subscribe, set } = writable(loadEntries());
+
+  const persist = (entries) => {
+    StorageUtils.setJSONItem(STORAGE_KEYS.GLOSSARY, entries);
+    set(entries);
+  };
+
+  return {
+    subscribe,
+
+    /**
+     * Add an entry, or replace the one with the same id
+     *
+     * @param {Object} entry - { id?, term, hint?, spelling?, misheard? }
+     * @returns {Object} The saved entry
+     * @throws {Error} With a message fit to show the user
+     */
+    save: (entry) => {
+      const result = validateGlossaryEntry(entry);
+      if (result.error) {
+        throw new Error(result.error);
+      }
+
+      const entries = get({ subscribe });
+      const existing = entries.find(({ id }) => id === entry.id);
+      if (!existing && entries.length >= MAX_GLOSSARY_ENTRIES) {
+        throw new Error(
+          `The glossary can hold up to ${MAX_GLOSSARY_ENTRIES} words`,
+        );
+      }
+
+      const saved = { ...result.entry, id: existing?.id || createId() };
+      persist(
+        existing
+          ? entries.map((current) =>
+              current.id === saved.id ? saved : current,
+            )
+          : [...entries, saved],
+      );
+      return saved;
+    },
+
+    /**
+     * @param {string} id - Entry to remove
+     */
+    remove: (id) => {
+      persist(get({ subscribe }).filter((entry) => entry.id !== id));
+    },
+
+    /**
+     * Correct text against the current glossary
+     *
+     * @param {string} text
+     * @returns {string}
+     */
+    correct: (text) => correctWithGlossary(text, get({ subscribe })),
+  };
+}
+
+export const glossary = createGlossary();
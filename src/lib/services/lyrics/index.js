@@ -1 +1,24 @@
 export { snippetStore } from "./snippetStore";
+export { analyzeRhymes, getRhymeClass, getRhymeTail } from "./rhymeEngine";
+export { analyzeMeter, countLineSyllables } from "./meter";
+export { countSyllables, pronounce } from "./phonetics";
+export {
+  rhymeHighlighting,
+  syllableTarget,
+  wordLookupOpen,
+  MAX_SYLLABLE_TARGET,
+} from "./lyricsPreferences";
+export {
+  correctWithGlossary,
+  formatGlossaryForPrompt,
+  parseMishearings,
+  validateGlossary,
+} from "./glossary";
+export { glossary } from "./glossaryStore";
+export {
+  dictionaryLoaded,
+  findWordAt,
+  insertWord,
+  loadDictionary,
+  lookupWord,
+} from "./wordLookup";
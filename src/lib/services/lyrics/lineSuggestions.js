@@ -0,0 +1,144 @@
+/**
+ * "Fill the gap": candidate next lines for a run of collected lyrics.
+ *
+ * The browser sends the lines picked from the collection and the shape the
+ * next line should have (a word to rhyme with, a syllable count). The route
+ * checks both with validateSuggestionRequest, writes them into the style's
+ * suggestLines prompt, and hands back the candidates it found in the reply
+ * (parseSuggestions), one per line.
+ *
+ * The limits are exported so the suggestion panel only lets people pick what
+ * the route will take.
+ */
+
+import { sanitizePromptText } from "../promptTemplates";
+
+/** Candidate lines asked for each time */
+export const SUGGESTION_COUNT = 4;
+
+export const MAX_CONTEXT_LINES = 24;
+export const MAX_LINE_LENGTH = 200;
+export const MAX_SYLLABLES = 32;
+
+const MAX_RHYME_WORD_LENGTH = 40;
+
+// Picked lines go inside the prompt's <lines> tag, and the model's candidates
+// are tidied the same way so they compare equal to the lines they repeat
+function cleanLine(value) {
+  return sanitizePromptText(value, { strip: "<>" });
+}
+
+/**
+ * The last word of a line, the natural one to rhyme with
+ *
+ * @param {string} line
+ * @returns {string}
+ */
+export function getLastWord(line) {
+  const words = (line || "").match(/[\p{L}\p{N}']+/gu);
+  return words ? words[words.length - 1].replace(/^'+|'+$/g, "") : "";
+}
+
+/**
+ * Check a suggestion request before the route writes any of it into the
+ * suggestLines prompt
+ *
+ * @param {Object} request - { lines, rhymeWith?, syllables? }
+ * @returns {{ request: { lines: Array<string>, rhymeWith: string,
+ *   syllables: number } } | { error: string }} The cleaned request (empty
+ *   rhymeWith and 0 syllables where no shape was asked for), or what's wrong
+ */
+export function validateSuggestionRequest(request) {
+  if (!request || !Array.isArray(request.lines)) {
+    return { error: "Invalid suggestion request" };
+  }
+
+  const lines = request.lines.map(cleanLine).filter(Boolean);
+  if (lines.length === 0) {
+    return { error: "Pick some lines to build on" };
+  }
+  if (lines.length > MAX_CONTEXT_LINES) {
+    return { error: `Pick up to ${MAX_CONTEXT_LINES} lines to build on` };
+  }
+  if (lines.some((line) => line.length > MAX_LINE_LENGTH)) {
+    return { error: `Keep each line under ${MAX_LINE_LENGTH} characters` };
+  }
+
+  const rhymeWith = cleanLine(request.rhymeWith);
+  if (
+    rhymeWith &&
+    (rhymeWith.length > MAX_RHYME_WORD_LENGTH ||
+      !/^[\p{L}\p{N}' -]+$/u.test(rhymeWith))
+  ) {
+    return { error: "Rhyme with a single word or short phrase" };
+  }
+
+  const syllables = request.syllables ?? 0;
+  if (
+    !Number.isInteger(syllables) ||
+    syllables < 0 ||
+    syllables > MAX_SYLLABLES
+  ) {
+    return { error: `Syllables should be a number up to ${MAX_SYLLABLES}` };
+  }
+
+  return { request: { lines, rhymeWith, syllables } };
+}
+
+/**
+ * What the next line should sound like, as the prompt's {{shape}} variable
+ *
+ * @param {{ rhymeWith: string, syllables: number }} request - Validated
+ * @returns {string}
+ */
+export function describeLineShape({ rhymeWith, syllables }) {
+  const parts = [
+    rhymeWith && `end on a word that rhymes with "${rhymeWith}"`,
+    syllables > 0 && `run to about ${syllables} syllables`,
+  ].filter(Boolean);
+
+  return parts.length
+    ? `Each line should ${parts.join(" and ")}.`
+    : "Each line should keep the rhythm and rhyme pattern of the lines before it.";
+}
+
+/**
+ * The candidate lines in a model's reply: a JSON array of strings when it
+ * does as asked, otherwise one per line with any list markers taken off.
+ * Blanks, repeats and lines the artist already has are dropped.
+ *
+ * @param {string} text - The reply
+ * @param {Array<string>} [existing] - Lines the suggestions should add to
+ * @returns {Array<string>} Up to SUGGESTION_COUNT lines
+ */
+export function parseSuggestions(text, existing = []) {
+  let candidates = null;
+  const array = (text || "").match(/\[[\s\S]*\]/);
+  if (array) {
+    try {
+      const parsed = JSON.parse(array[0]);
+      if (Array.isArray(parsed)) candidates = parsed;
+    } catch {
+      // Not JSON after all; read it line by line
+    }
+  }
+
+  candidates ||= (text || "")
+    .split("\n")
+    .map((line) => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, ""));
+
+  const seen = new Set(existing.map((line) => cleanLine(line).toLowerCase()));
+  const suggestions = [];
+
+  for (const candidate of candidates) {
+    const line = cleanLine(candidate).replace(/^["“]|["”]$/g, "");
+    const key = line.toLowerCase();
+    if (!line || line.length > MAX_LINE_LENGTH || seen.has(key)) continue;
+
+    seen.add(key);
+    suggestions.push(line);
+    if (suggestions.length === SUGGESTION_COUNT) break;
+  }
+
+  return suggestions;
+}
@@ -0,0 +1,74 @@
+import { writable } from "svelte/store";
+import { StorageUtils } from "../infrastructure/storageUtils";
+import { STORAGE_KEYS } from "../../constants";
+
+// Longest bar the syllables-per-bar setting accepts
+export const MAX_SYLLABLE_TARGET = 32;
+
+/**
+ * Whether rhyming syllables are coloured in the lyrics collection and the
+ * transcript. On by default; the choice is remembered per device.
+ */
+function createRhymeHighlighting() {
+  const { subscribe, set, update } = writable(
+    StorageUtils.getBooleanItem(STORAGE_KEYS.RHYME_HIGHLIGHTING, true),
+  );
+
+  const persist = (enabled) => {
+    StorageUtils.setItem(STORAGE_KEYS.RHYME_HIGHLIGHTING, String(enabled));
+    return enabled;
+  };
+
+  return {
+    subscribe,
+    set: (enabled) => set(persist(!!enabled)),
+    toggle: () => update((enabled) => persist(!enabled)),
+  };
+}
+
+/**
+ * Whether the rhyme and synonym panel opens under a snippet being edited.
+ * Off by default; remembered per device like the highlighting.
+ */
+function createWordLookupOpen() {
+  const { subscribe, set, update } = writable(
+    StorageUtils.getBooleanItem(STORAGE_KEYS.WORD_LOOKUP, false),
+  );
+
+  const persist = (open) => {
+    StorageUtils.setItem(STORAGE_KEYS.WORD_LOOKUP, String(open));
+    return open;
+  };
+
+  return {
+    subscribe,
+    set: (open) => set(persist(!!open)),
+    toggle: () => update((open) => persist(!open)),
+  };
+}
+
+/**
+ * Syllables per bar the meter measures lines against. 0 (the default) means
+ * no fixed target: each line is compared with its neighbours.
+ */
+function createSyllableTarget() {
+  const { subscribe, set } = writable(
+    StorageUtils.getNumberItem(STORAGE_KEYS.SYLLABLE_TARGET, 0),
+  );
+
+  return {
+    subscribe,
+    set: (value) => {
+      const target = Math.min(
+        MAX_SYLLABLE_TARGET,
+        Math.max(0, Math.round(Number(value) || 0)),
+      );
+      StorageUtils.setItem(STORAGE_KEYS.SYLLABLE_TARGET, String(target));
+      set(target);
+    },
+  };
+}
+
+export const rhymeHighlighting = createRhymeHighlighting();
+export const syllableTarget = createSyllableTarget();
+export const wordLookupOpen = createWordLookupOpen();
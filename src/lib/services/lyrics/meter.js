@@ -0,0 +1,86 @@
+/**
+ * meter.js
+ *
+ * Syllable counts per line, and which lines run long or short for the bar.
+ * A line is measured against the target syllables-per-bar when one is set,
+ * otherwise against the lines around it in the same verse.
+ */
+
+import { countSyllables, tokenizeWords } from "./phonetics";
+
+// Neighbours on each side a line is compared with when there is no target
+const NEIGHBOURS = 2;
+
+/**
+ * @param {string} line
+ * @returns {number} Estimated syllables in the line
+ */
+export function countLineSyllables(line) {
+  return tokenizeWords(line).reduce(
+    (total, token) => total + countSyllables(token.word),
+    0,
+  );
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Counts of the nearest lines on each side, without crossing a blank line
+function neighbourCounts(counts, index) {
+  const found = [];
+
+  for (const step of [-1, 1]) {
+    for (
+      let other = index + step, taken = 0;
+      other >= 0 && other < counts.length && taken < NEIGHBOURS;
+      other += step, taken++
+    ) {
+      if (counts[other] === 0) break;
+      found.push(counts[other]);
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Measure a list of lines.
+ *
+ * @param {string[]} lines - Lyric lines in order (blank lines split verses)
+ * @param {Object} [options]
+ * @param {number} [options.target=0] - Syllables per bar; 0 compares each
+ *   line with its neighbours instead
+ * @returns {Array<{ syllables: number, expected: number|null,
+ *   flag: "long"|"short"|null } | null>} One entry per line, null for blanks
+ */
+export function analyzeMeter(lines, { target = 0 } = {}) {
+  const counts = lines.map((line) => countLineSyllables(line || ""));
+
+  return counts.map((syllables, index) => {
+    if (syllables === 0) return null;
+
+    // The line itself is part of the sample, so one odd neighbour can't make
+    // a normal line look out of place
+    const neighbours = target > 0 ? [] : neighbourCounts(counts, index);
+    const expected =
+      target > 0
+        ? target
+        : neighbours.length
+          ? median([syllables, ...neighbours])
+          : null;
+    if (expected === null) return { syllables, expected, flag: null };
+
+    // A couple of syllables either way is just phrasing
+    const tolerance = Math.max(2, Math.round(expected * 0.25));
+    let flag = null;
+    if (syllables - expected > tolerance) flag = "long";
+    if (expected - syllables > tolerance) flag = "short";
+
+    return { syllables, expected, flag };
+  });
+}
@@ -0,0 +1,964 @@
+/**
+ * phonetics.js
+ *
+ * A small, offline pronunciation guesser for English lyrics. It turns a word
+ * into ARPAbet-style phonemes (AE, EY, K, NG...) with its syllables marked,
+ * which is all the rhyme engine and the syllable meter need.
+ *
+ * Spelling rules cover the regular cases; the EXCEPTIONS table covers the
+ * short, common words English spells however it likes. It will be wrong on
+ * some words — rhymes in rap are loose anyway, so "close enough" is the bar.
+ */
+
+const VOWEL_LETTERS = "aeiouy";
+
+// Hand-written pronunciations. An apostrophe marks the stressed vowel when it
+// isn't the only (or the first) one.
+const EXCEPTIONS = {
+  a: "AH",
+  able: "EY B AH L",
+  again: "AH G 'EH N",
+  against: "AH G 'EH N S T",
+  ahead: "AH H 'EH D",
+  any: "EH N IY",
+  are: "AR",
+  away: "AH W 'EY",
+  aware: "AH W 'AIR",
+  bear: "B AIR",
+  begin: "B IH G 'IH N",
+  been: "B IH N",
+  blood: "B L AH D",
+  body: "B AA D IY",
+  both: "B OW TH",
+  bread: "B R EH D",
+  breath: "B R EH TH",
+  bury: "B EH R IY",
+  busy: "B IH Z IY",
+  business: "B IH Z N AH S",
+  buy: "B AY",
+  captain: "K AE P T AH N",
+  certain: "S ER T AH N",
+  come: "K AH M",
+  copy: "K AA P IY",
+  could: "K UH D",
+  create: "K R IY 'EY T",
+  creation: "K R IY 'EY SH AH N",
+  curtain: "K ER T AH N",
+  dead: "D EH D",
+  death: "D EH TH",
+  do: "D UW",
+  does: "D AH Z",
+  done: "D AH N",
+  double: "D AH B AH L",
+  dough: "D OW",
+  every: "EH V R IY",
+  eye: "AY",
+  eyes: "AY Z",
+  flood: "F L AH D",
+  four: "F OR",
+  fountain: "F AW N T AH N",
+  friend: "F R EH N D",
+  from: "F R AH M",
+  giant: "JH AY AH N T",
+  give: "G IH V",
+  gone: "G AO N",
+  great: "G R EY T",
+  guy: "G AY",
+  have: "HH AE V",
+  head: "HH EH D",
+  heart: "HH AR T",
+  heavy: "HH EH V IY",
+  honey: "HH AH N IY",
+  i: "AY",
+  instead: "IH N S T 'EH D",
+  is: "IH Z",
+  live: "L IH V",
+  love: "L AH V",
+  many: "M EH N IY",
+  money: "M AH N IY",
+  month: "M AH N TH",
+  mountain: "M AW N T AH N",
+  mother: "M AH DH ER",
+  brother: "B R AH DH ER",
+  nothing: "N AH TH IH NG",
+  other: "AH DH ER",
+  something: "S AH M TH IH NG",
+  son: "S AH N",
+  front: "F R AH N T",
+  country: "K AH N T R IY",
+  couple: "K AH P AH L",
+  cousin: "K AH Z AH N",
+  touch: "T AH CH",
+  trouble: "T R AH B AH L",
+  wonder: "W AH N D ER",
+  above: "AH B 'AH V",
+  move: "M UW V",
+  none: "N AH N",
+  ocean: "OW SH AH N",
+  of: "AH V",
+  once: "W AH N S",
+  one: "W AH N",
+  only: "OW N L IY",
+  own: "OW N",
+  pear: "P AIR",
+  people: "P IY P AH L",
+  put: "P UH T",
+  pull: "P UH L",
+  push: "P UH SH",
+  react: "R IY 'AE K T",
+  reaction: "R IY 'AE K SH AH N",
+  read: "R IY D",
+  ready: "R EH D IY",
+  ruin: "R UW IH N",
+  said: "S EH D",
+  science: "S AY AH N S",
+  says: "S EH Z",
+  should: "SH UH D",
+  some: "S AH M",
+  soul: "S OW L",
+  spread: "S P R EH D",
+  steak: "S T EY K",
+  study: "S T AH D IY",
+  sure: "SH UH R",
+  swear: "S W AIR",
+  sweat: "S W EH T",
+  the: "DH AH",
+  there: "DH AIR",
+  they: "DH EY",
+  threat: "TH R EH T",
+  through: "TH R UW",
+  tough: "T AH F",
+  rough: "R AH F",
+  enough: "IH N 'AH F",
+  laugh: "L AE F",
+  though: "DH OW",
+  thread: "TH R EH D",
+  to: "T UW",
+  two: "T UW",
+  tongue: "T AH NG",
+  very: "V EH R IY",
+  wear: "W AIR",
+  were: "W ER",
+  what: "W AH T",
+  where: "W AIR",
+  who: "HH UW",
+  whole: "HH OW L",
+  won: "W AH N",
+  word: "W ER D",
+  words: "W ER D Z",
+  work: "W ER K",
+  world: "W ER L D",
+  worse: "W ER S",
+  worth: "W ER TH",
+  would: "W UH D",
+  you: "Y UW",
+  your: "Y OR",
+  yeah: "Y EH",
+  young: "Y AH NG",
+};
+
+// The bundled dictionary (dictionary/pronunciations.js), once something has
+// loaded it. Same notation as EXCEPTIONS; until then the guesser covers it.
+const dictionary = new Map();
+
+function lookupSpelling(word) {
+  return EXCEPTIONS[word] || dictionary.get(word);
+}
+
+// "every", "any" and "some" run into these as one word ("everybody",
+// "anything", "someone"); each half is read on its own
+const COMPOUND_HEADS = ["every", "any", "some"];
+const COMPOUND_TAILS = new Set([
+  "body",
+  "day",
+  "how",
+  "more",
+  "one",
+  "place",
+  "thing",
+  "time",
+  "times",
+  "way",
+  "what",
+  "where",
+]);
+
+// Words where "ow" sounds like "now", not "know"
+const OW_AS_AW = new Set([
+  "allow",
+  "bow",
+  "brow",
+  "brown",
+  "chow",
+  "clown",
+  "cow",
+  "crowd",
+  "crown",
+  "down",
+  "drown",
+  "frown",
+  "gown",
+  "growl",
+  "how",
+  "howl",
+  "now",
+  "owl",
+  "plow",
+  "pow",
+  "power",
+  "prowl",
+  "shower",
+  "somehow",
+  "tower",
+  "town",
+  "vow",
+  "wow",
+  "flower",
+]);
+
+// Words where "oo" is short ("book"), not long ("moon")
+const SHORT_OO = new Set([
+  "book",
+  "brook",
+  "cook",
+  "crook",
+  "foot",
+  "good",
+  "hood",
+  "hook",
+  "look",
+  "nook",
+  "shook",
+  "stood",
+  "took",
+  "wood",
+  "wool",
+]);
+
+// Unstressed endings: when a word ends in one of these, stress (and so the
+// rhyme) sits on the syllable before it — "MON-ey", "NA-tion", "FLOW-in'".
+const WEAK_ENDINGS = [
+  "tion",
+  "sion",
+  "ing",
+  "in",
+  "est",
+  "ness",
+  "less",
+  "ful",
+  "ly",
+  "y",
+  "ey",
+  "ie",
+  "er",
+  "or",
+  "ar",
+  "ed",
+  "es",
+  "en",
+  "on",
+  "an",
+  "le",
+  "el",
+  "al",
+  "a",
+  "o",
+  "ow",
+  "us",
+  "ish",
+  "ic",
+  "it",
+  "et",
+];
+
+// Suffixes read separately from their stem ("lonely" = "lone" + "ly")
+const SUFFIXES = [
+  ["ness", ["N", "AH", "S"]],
+  ["less", ["L", "AH", "S"]],
+  ["ment", ["M", "AH", "N", "T"]],
+  ["ful", ["F", "AH", "L"]],
+  ["ly", ["L", "IY"]],
+];
+
+// Stems that keep their short vowel before -ing ("coming" is in EXCEPTIONS
+// via "come"; these are the common ones that would be misread)
+const SHORT_STEMS = new Set(["get", "put", "let", "set", "sit", "hit", "cut"]);
+
+// What may sit between a vowel and a silent e for the e to lengthen it
+const MAGIC_E_GAP = /^([^aeiouy]|st|ng|th|ch)$/;
+
+// Two-syllable words whose first syllable is a light prefix
+const UNSTRESSED_PREFIX = /^(a|be|de|re)[^aeiouy][aeiouy]/;
+
+// A single a/o/u followed by one consonant and another vowel
+const OPEN_SYLLABLE = /^[aou][^aeiouyrwx][aeiouy]/;
+
+// Consonant spellings, longest first. "" means silent.
+const CONSONANT_PATTERNS = [
+  ["tch", ["CH"]],
+  ["dge", ["JH"]],
+  ["sch", ["S", "K"]],
+  ["ch", ["CH"]],
+  ["sh", ["SH"]],
+  ["th", ["TH"]],
+  ["ph", ["F"]],
+  ["wh", ["W"]],
+  ["rh", ["R"]],
+  ["ck", ["K"]],
+  ["qu", ["K", "W"]],
+  ["ng", ["NG"]],
+  ["nk", ["NG", "K"]],
+  ["gh", []],
+  ["x", ["K", "S"]],
+];
+
+const SIMPLE_CONSONANTS = {
+  b: "B",
+  c: "K",
+  d: "D",
+  f: "F",
+  g: "G",
+  h: "HH",
+  j: "JH",
+  k: "K",
+  l: "L",
+  m: "M",
+  n: "N",
+  p: "P",
+  q: "K",
+  r: "R",
+  s: "S",
+  t: "T",
+  v: "V",
+  w: "W",
+  y: "Y",
+  z: "Z",
+};
+
+export const VOWEL_PHONEMES = new Set([
+  "AE",
+  "EY",
+  "IY",
+  "EH",
+  "IH",
+  "AY",
+  "OW",
+  "AA",
+  "AO",
+  "UW",
+  "UH",
+  "AH",
+  "AW",
+  "OY",
+  "ER",
+  "AR",
+  "OR",
+  "AIR",
+  "EER",
+]);
+
+export function isVowelPhoneme(phoneme) {
+  return VOWEL_PHONEMES.has(phoneme);
+}
+
+function isVowelLetter(word, index) {
+  const letter = word[index];
+  if (!letter) return false;
+  if (letter !== "y") return VOWEL_LETTERS.includes(letter);
+
+  // "y" is a consonant before a vowel ("you", "beyond") and a vowel otherwise
+  const next = word[index + 1];
+  return !next || !"aeiou".includes(next);
+}
+
+/**
+ * Normalise a token for lookup: lowercase letters and apostrophes only, with
+ * dropped-g endings ("flowin'") restored so they rhyme like the full word.
+ *
+ * @param {string} word
+ * @returns {string}
+ */
+export function normalizeWord(word) {
+  return String(word || "")
+    .toLowerCase()
+    .replace(/[’‘]/g, "'")
+    .replace(/[^a-z']/g, "")
+    .replace(/in'$/, "ing")
+    .replace(/'/g, "");
+}
+
+/**
+ * Index of a final silent "e", or -1. Keeps the "e" in short words ("be",
+ * "the" is an exception), "-le" endings and "-ee"/"-ye"/"-oe"-style pairs.
+ */
+function findSilentE(word) {
+  const last = word.length - 1;
+  if (last < 2 || word[last] !== "e") return -1;
+
+  const before = word[last - 1];
+  if (VOWEL_LETTERS.includes(before)) return -1;
+  if (before === "l" && !VOWEL_LETTERS.includes(word[last - 2])) return -1;
+
+  // Needs another vowel earlier to be silent ("me" keeps its e)
+  for (let i = 0; i < last - 1; i++) {
+    if (isVowelLetter(word, i)) return last;
+  }
+  return -1;
+}
+
+/**
+ * Pick the vowel phoneme for the vowel spelling at `start`.
+ *
+ * @param {string} word - The word body (silent final e already removed)
+ * @param {number} start - Index of the first vowel letter
+ * @param {Object} context
+ * @param {boolean} context.magicE - A silent e follows ("make", "hope")
+ * @param {number} context.vowelCount - Vowel groups in the word
+ * @param {string} context.word - The whole normalised word, for word lists
+ * @returns {{ phonemes: string[], length: number }}
+ */
+function readVowel(word, start, context) {
+  const rest = word.slice(start);
+  const atEnd = (length) => start + length >= word.length;
+  const closedByR = (length) =>
+    word[start + length] === "r" && !isVowelLetter(word, start + length + 1);
+
+  // R-coloured vowels first: they rhyme as a unit ("car", "more", "bird")
+  if (context.magicE && /^[aeiouy]r$/.test(rest)) {
+    const R_WITH_E = {
+      a: ["AIR"],
+      e: ["EER"],
+      i: ["AY", "ER"],
+      y: ["AY", "ER"],
+      o: ["OR"],
+      u: ["UH", "R"],
+    };
+    return { phonemes: R_WITH_E[rest[0]], length: 2 };
+  }
+  if (rest.startsWith("air")) return { phonemes: ["AIR"], length: 3 };
+  if (/^ear(n|th|l|ch|d)/.test(rest)) return { phonemes: ["ER"], length: 3 };
+  if (/^(ee|ea|ie)r/.test(rest)) return { phonemes: ["EER"], length: 3 };
+  if (/^(oa|oo|ou)r/.test(rest)) return { phonemes: ["OR"], length: 3 };
+  if (rest.startsWith("ar") && closedByR(1)) {
+    return { phonemes: [word[start - 1] === "w" ? "OR" : "AR"], length: 2 };
+  }
+  if (rest.startsWith("or") && closedByR(1)) {
+    return { phonemes: [word[start - 1] === "w" ? "ER" : "OR"], length: 2 };
+  }
+  if (/^[eiuy]r/.test(rest) && closedByR(1)) {
+    return { phonemes: ["ER"], length: 2 };
+  }
+
+  // Vowel + "gh" spellings
+  if (rest.startsWith("eigh")) return { phonemes: ["EY"], length: 4 };
+  if (rest.startsWith("igh")) return { phonemes: ["AY"], length: 3 };
+  if (rest.startsWith("augh")) return { phonemes: ["AO"], length: 4 };
+  if (rest.startsWith("ough")) {
+    return { phonemes: [rest[4] === "t" ? "AO" : "OW"], length: 4 };
+  }
+
+  // "beauty", "beautiful"
+  if (rest.startsWith("eau")) return { phonemes: ["Y", "UW"], length: 3 };
+
+  // Two-letter vowel spellings
+  switch (rest.slice(0, 2)) {
+    case "ai":
+    case "ay":
+    case "ei":
+      return { phonemes: ["EY"], length: 2 };
+    case "au":
+    case "aw":
+      return { phonemes: ["AO"], length: 2 };
+    case "ee":
+    case "ea":
+      return { phonemes: ["IY"], length: 2 };
+    case "ey":
+      return {
+        phonemes: [atEnd(2) && context.vowelCount > 1 ? "IY" : "EY"],
+        length: 2,
+      };
+    case "eu":
+    case "ew":
+    case "ue":
+    case "ui":
+      return { phonemes: ["UW"], length: 2 };
+    case "ie":
+      return {
+        phonemes: [atEnd(2) && context.vowelCount === 1 ? "AY" : "IY"],
+        length: 2,
+      };
+    case "oa":
+    case "oe":
+      return { phonemes: ["OW"], length: 2 };
+    case "oi":
+    case "oy":
+      return { phonemes: ["OY"], length: 2 };
+    case "oo":
+      return {
+        phonemes: [SHORT_OO.has(context.word) ? "UH" : "UW"],
+        length: 2,
+      };
+    case "ou":
+      return { phonemes: ["AW"], length: 2 };
+    case "ow":
+      return {
+        phonemes: [OW_AS_AW.has(context.word) ? "AW" : "OW"],
+        length: 2,
+      };
+    default:
+      break;
+  }
+
+  // Single vowel letters: long before a silent e ("make") or at the end of
+  // a one-syllable word ("go", "me"), short when closed ("cat", "hot").
+  const open = atEnd(1);
+  const long = context.magicE || (open && context.vowelCount === 1);
+
+  switch (rest[0]) {
+    case "a":
+      if (/^a(ll|lk|lt)/.test(rest)) return { phonemes: ["AO"], length: 1 };
+      if (open && !long) return { phonemes: ["AH"], length: 1 };
+      return { phonemes: [long ? "EY" : "AE"], length: 1 };
+    case "e":
+      return { phonemes: [long ? "IY" : "EH"], length: 1 };
+    case "i":
+      if (/^i(nd|ld)$/.test(rest)) return { phonemes: ["AY"], length: 1 };
+      return { phonemes: [long ? "AY" : "IH"], length: 1 };
+    case "o":
+      if (/^o(ld|lt|ll)/.test(rest)) return { phonemes: ["OW"], length: 1 };
+      if (/^o(ng|ff|ss|st|ft|th)/.test(rest)) {
+        return { phonemes: ["AO"], length: 1 };
+      }
+      return { phonemes: [long || open ? "OW" : "AA"], length: 1 };
+    case "u":
+      return { phonemes: [long ? "UW" : "AH"], length: 1 };
+    case "y":
+      if (open) {
+        return {
+          phonemes: [context.vowelCount === 1 ? "AY" : "IY"],
+          length: 1,
+        };
+      }
+      return { phonemes: [long ? "AY" : "IH"], length: 1 };
+    default:
+      return { phonemes: ["AH"], length: 1 };
+  }
+}
+
+function readConsonant(word, index) {
+  const rest = word.slice(index);
+
+  // Silent letters
+  if (index === 0 && /^(kn|wr|gn)/.test(rest)) {
+    return { phonemes: [SIMPLE_CONSONANTS[rest[1]]], length: 2 };
+  }
+  if (rest === "mb") return { phonemes: ["M"], length: 2 };
+
+  for (const [spelling, phonemes] of CONSONANT_PATTERNS) {
+    if (rest.startsWith(spelling)) {
+      return { phonemes, length: spelling.length };
+    }
+  }
+
+  const letter = rest[0];
+  const next = rest[1] || "";
+
+  // Doubled letters are one sound ("butter", "kiss")
+  const length = next === letter ? 2 : 1;
+
+  if (letter === "c" && /[eiy]/.test(next)) {
+    return { phonemes: ["S"], length: 1 };
+  }
+  if (letter === "g" && /[eiy]/.test(next) && index > 0) {
+    return { phonemes: ["JH"], length: 1 };
+  }
+  if (letter === "s" && next === "" && index > 0) {
+    // Plural/verb -s after a voiced sound is a "z"; it rhymes either way
+    return { phonemes: ["Z"], length: 1 };
+  }
+
+  return {
+    phonemes: SIMPLE_CONSONANTS[letter] ? [SIMPLE_CONSONANTS[letter]] : [],
+    length,
+  };
+}
+
+/**
+ * Whether the vowel at `index` is a syllable of its own though the next
+ * letter is a vowel too: "li-on", "qui-et", "po-em", "i-de-a", "ac-tu-al",
+ * "vid-e-o", "be-ing". Spellings where the pair is one sound ("special",
+ * "million", "patient", "guard", "dungeon") are left alone.
+ */
+function isHiatus(word, index) {
+  const before = word.slice(0, index);
+  const rest = word.slice(index);
+  // The u of "qu" is part of the consonant ("quiet")
+  const afterConsonant =
+    index > 0 && (!isVowelLetter(word, index - 1) || before.endsWith("qu"));
+  if (!afterConsonant) return false;
+
+  // A vowel before a final -ing that no suffix split off
+  if (/^[aeouy]ing$/.test(rest)) return true;
+
+  if (/^i[aou]/.test(rest)) return !/([ctsgx]|ll|n)$/.test(before);
+  if (/^ie(nt|nc|t$)/.test(rest)) return !/[ct]$/.test(before);
+  if (/^oe[mt]/.test(rest)) return true;
+  if (/^ua/.test(rest)) {
+    return !/[qg]$/.test(before) && !/^ua[dv]/.test(rest);
+  }
+  if (rest === "ea") return countVowelGroups(before) > 0;
+  if (/^eo/.test(rest)) return !before.endsWith("g") && !rest.startsWith("eop");
+  return false;
+}
+
+// The first vowel of a hiatus pair: long, since nothing closes it
+const HIATUS_VOWELS = { a: "EY", e: "IY", o: "OW", u: "UW", y: "AY" };
+
+function countVowelGroups(word) {
+  let count = 0;
+  for (let i = 0; i < word.length; i++) {
+    if (isVowelLetter(word, i) && !isVowelLetter(word, i - 1)) count++;
+  }
+  return count;
+}
+
+function fromException(word, spelled) {
+  const phonemes = [];
+  let stressed = -1;
+
+  spelled.split(" ").forEach((token) => {
+    const isStressed = token.startsWith("'");
+    const phoneme = isStressed ? token.slice(1) : token;
+    if (isStressed) {
+      stressed = phonemes.filter(isVowelPhoneme).length;
+    }
+    phonemes.push(phoneme);
+  });
+
+  // Spread the vowels over the spelling's vowel groups for highlighting
+  const groupStarts = [];
+  for (let i = 0; i < word.length; i++) {
+    if (isVowelLetter(word, i) && !isVowelLetter(word, i - 1)) {
+      groupStarts.push(i);
+    }
+  }
+
+  const vowelCount = phonemes.filter(isVowelPhoneme).length;
+  const silentE = findSilentE(word);
+  const usable = groupStarts.filter((index) => index !== silentE);
+  const vowelChars = Array.from(
+    { length: vowelCount },
+    (_, i) => usable[i] ?? usable[usable.length - 1] ?? 0,
+  );
+
+  return {
+    word,
+    phonemes,
+    vowelChars,
+    stressed: stressed === -1 ? 0 : stressed,
+  };
+}
+
+function guessStress(word, vowelCount) {
+  if (vowelCount <= 1) return 0;
+
+  const weak = WEAK_ENDINGS.some(
+    (ending) => word.endsWith(ending) && word.length > ending.length + 1,
+  );
+
+  // Weak ending: stress the syllable before it. Otherwise two-syllable words
+  // usually stress the first ("about", "before" and friends excepted);
+  // longer ones lean on the penultimate.
+  if (weak || vowelCount > 2) return vowelCount - 2;
+  return UNSTRESSED_PREFIX.test(word) ? 1 : 0;
+}
+
+/**
+ * Read a word straight from its spelling (or the exceptions table).
+ * @param {string} word - Normalised word
+ */
+function pronounceSpelling(word) {
+  const spelled = lookupSpelling(word);
+  if (spelled) return fromException(word, spelled);
+
+  const silentE = findSilentE(word);
+  const body = silentE === -1 ? word : word.slice(0, silentE);
+  const hiatuses = [...body].filter((_, i) => isHiatus(body, i)).length;
+  const vowelCount = Math.max(1, countVowelGroups(body) + hiatuses);
+  const phonemes = [];
+  const vowelChars = [];
+  let index = 0;
+
+  while (index < body.length) {
+    // "-tion", "-ssion", "-cian": one unstressed "shun" syllable
+    const shun = index > 0 && body.slice(index).match(/^(ss|t|s|c)i[oa]n/);
+    if (shun) {
+      vowelChars.push(index + shun[1].length);
+      phonemes.push("SH", "AH", "N");
+      index += shun[0].length;
+      continue;
+    }
+
+    if (!isVowelLetter(body, index)) {
+      const consonant = readConsonant(body, index);
+      phonemes.push(...consonant.phonemes);
+      index += consonant.length;
+      continue;
+    }
+
+    if (isHiatus(body, index)) {
+      const letter = body[index];
+      vowelChars.push(index);
+      phonemes.push(
+        letter === "i"
+          ? countVowelGroups(body.slice(0, index)) === 0
+            ? "AY"
+            : "IY"
+          : HIATUS_VOWELS[letter],
+      );
+      index += 1;
+      continue;
+    }
+
+    const vowel = readVowel(body, index, {
+      // A silent e lengthens the vowel before it; so does an open syllable
+      // for a, o and u ("lady", "open", "music" — but "city", "never")
+      magicE:
+        (silentE !== -1 && MAGIC_E_GAP.test(body.slice(index + 1))) ||
+        (OPEN_SYLLABLE.test(body.slice(index)) &&
+          !isVowelLetter(body, index - 1)),
+      vowelCount,
+      word,
+    });
+
+    vowel.phonemes.forEach((phoneme) => {
+      if (isVowelPhoneme(phoneme)) vowelChars.push(index);
+    });
+    phonemes.push(...vowel.phonemes);
+    index += vowel.length;
+  }
+
+  // "-le" after a consonant is its own syllable ("little", "double")
+  if (silentE === -1 && /[^aeiouy]le$/.test(word)) {
+    phonemes.splice(phonemes.length - 2, 2, "AH", "L");
+  }
+
+  // So is the m of "-thm" and "-sm" ("rhythm", "prism", "racism")
+  const syllabicM = word.match(/[aeiouy](th|s)m(s?)$/);
+  if (syllabicM) {
+    phonemes.splice(phonemes.length - 1 - syllabicM[2].length, 0, "AH");
+    vowelChars.push(word.length - 1 - syllabicM[2].length);
+  }
+
+  if (vowelChars.length === 0) {
+    // No vowel letters ("hmm", "brr"): one neutral syllable
+    phonemes.push("AH");
+    vowelChars.push(0);
+  }
+
+  return {
+    word,
+    phonemes,
+    vowelChars,
+    stressed: guessStress(word, vowelChars.length),
+  };
+}
+
+/**
+ * Split off an inflection or suffix so the stem is read on its own
+ * ("makes" = "make" + Z, "hoping" = "hope" + IH NG). The suffix is never
+ * stressed, so the stem's stress carries over.
+ *
+ * @param {string} word - Normalised word
+ * @returns {{ stem: string, suffix: string[] } | null}
+ */
+function splitSuffix(word) {
+  const hasVowel = (stem) => countVowelGroups(stem) > 0;
+
+  for (const [ending, suffix] of SUFFIXES) {
+    if (!word.endsWith(ending)) continue;
+    const stem = word.slice(0, -ending.length);
+    if (stem.length >= 2 && hasVowel(stem)) {
+      return { stem: restoreSilentE(stem), suffix };
+    }
+  }
+
+  if (word.endsWith("ing") && word.length > 4) {
+    const stem = word.slice(0, -3);
+    if (hasVowel(stem)) {
+      return { stem: restoreSilentE(stem), suffix: ["IH", "NG"] };
+    }
+  }
+
+  // "created", "faded": the -ed is a syllable after a t or d
+  if (/[td]ed$/.test(word) && lookupSpelling(word.slice(0, -1))) {
+    return { stem: word.slice(0, -1), suffix: ["IH", "D"] };
+  }
+
+  if (/[^aeiou]ed$/.test(word) && !/[td]ed$/.test(word)) {
+    const withE = word.slice(0, -1);
+    const stem = /[aeiouy]e$/.test(withE) ? word.slice(0, -2) : withE;
+    if (hasVowel(stem.replace(/e$/, ""))) {
+      return { stem, suffix: [/(p|k|f|s|x|sh|ch)e?$/.test(stem) ? "T" : "D"] };
+    }
+  }
+
+  if (word.endsWith("es") && word.length > 3) {
+    // "boxes", "kisses", "wishes": the -es is a syllable of its own
+    if (/(x|z|sh|ch|[^aeiou]s)es$/.test(word)) {
+      return { stem: word.slice(0, -2), suffix: ["IH", "Z"] };
+    }
+    // "places", "pages", "roses": so is this one, but the e belongs to the stem
+    if (/(c|g|[aeiou]s)es$/.test(word)) {
+      return { stem: word.slice(0, -1), suffix: ["IH", "Z"] };
+    }
+    // "times", "goes", "lies": just a z sound
+    return { stem: word.slice(0, -1), suffix: ["Z"] };
+  }
+
+  return null;
+}
+
+// "mak" + "ing" reads as "make" + "ing": one-syllable stems that end in a
+// single vowel and consonant usually lost a silent e.
+function restoreSilentE(stem) {
+  // Known words first ("creat" + "ing" is "create")
+  if (!lookupSpelling(stem) && lookupSpelling(`${stem}e`)) return `${stem}e`;
+  if (
+    countVowelGroups(stem) === 1 &&
+    /[^aeiouy][aeiou][^aeiouwxy]$/.test(stem) &&
+    !lookupSpelling(stem) &&
+    !SHORT_STEMS.has(stem)
+  ) {
+    return `${stem}e`;
+  }
+  return stem;
+}
+
+/**
+ * Split "everybody" into "every" + "body" and the like (COMPOUND_HEADS)
+ *
+ * @param {string} word - Normalised word
+ * @returns {{ head: string, tail: string } | null}
+ */
+function splitCompound(word) {
+  const head = COMPOUND_HEADS.find((prefix) => word.startsWith(prefix));
+  const tail = head && word.slice(head.length);
+  return tail && COMPOUND_TAILS.has(tail) ? { head, tail } : null;
+}
+
+const cache = new Map();
+
+/**
+ * Guess how a word is pronounced.
+ *
+ * @param {string} rawWord - A single word (punctuation is ignored)
+ * @returns {{ word: string, phonemes: string[], vowelChars: number[],
+ *   stressed: number } | null} `vowelChars[i]` is where the i-th vowel
+ *   sound starts in the normalised word; `stressed` indexes that list.
+ *   null for tokens with no letters.
+ */
+export function pronounce(rawWord) {
+  const word = normalizeWord(rawWord);
+  if (!word) return null;
+  if (cache.has(word)) return cache.get(word);
+
+  let result;
+  const compound = lookupSpelling(word) ? null : splitCompound(word);
+  const split = lookupSpelling(word) || compound ? null : splitSuffix(word);
+
+  if (compound) {
+    const head = pronounce(compound.head);
+    const tail = pronounce(compound.tail);
+    result = {
+      word,
+      phonemes: [...head.phonemes, ...tail.phonemes],
+      vowelChars: [
+        ...head.vowelChars,
+        ...tail.vowelChars.map((index) => index + compound.head.length),
+      ],
+      stressed: head.stressed,
+    };
+  } else if (split) {
+    const stem = pronounceSpelling(split.stem);
+    const suffixVowels = split.suffix.filter(isVowelPhoneme).length;
+    // Suffix vowels sit at the start of the ending in the spelling
+    const suffixChar = Math.min(split.stem.length, word.length - 1);
+
+    result = {
+      word,
+      phonemes: [...stem.phonemes, ...split.suffix],
+      vowelChars: [
+        ...stem.vowelChars.map((index) => Math.min(index, word.length - 1)),
+        ...Array.from({ length: suffixVowels }, () => suffixChar),
+      ],
+      stressed: stem.stressed,
+    };
+  } else {
+    result = pronounceSpelling(word);
+  }
+
+  cache.set(word, result);
+  return result;
+}
+
+/**
+ * Teach the guesser some pronunciations. Later entries win, and earlier
+ * guesses are forgotten so they get the new spellings.
+ *
+ * @param {Iterable<[string, string]>} entries - [word, phonemes] pairs, in
+ *   the EXCEPTIONS notation
+ */
+export function addPronunciations(entries) {
+  for (const [word, spelled] of entries) {
+    const normalized = normalizeWord(word);
+    if (normalized && spelled) dictionary.set(normalized, spelled);
+  }
+  cache.clear();
+}
+
+/**
+ * Every word with a written-down pronunciation: the exceptions table and
+ * whatever the dictionary has loaded. These are the candidates a rhyme
+ * lookup can offer.
+ *
+ * @returns {string[]}
+ */
+export function getKnownWords() {
+  return [...new Set([...Object.keys(EXCEPTIONS), ...dictionary.keys()])];
+}
+
+/**
+ * @param {string} word
+ * @returns {number} Estimated syllable count (0 for non-words)
+ */
+export function countSyllables(word) {
+  const pronunciation = pronounce(word);
+  return pronunciation
+    ? pronunciation.phonemes.filter(isVowelPhoneme).length
+    : 0;
+}
+
+/**
+ * Split text into word tokens with their positions, so callers can map
+ * analysis back onto the original string. Apostrophes stay inside words
+ * ("don't", "flowin'").
+ *
+ * @param {string} text
+ * @returns {Array<{ word: string, start: number, end: number }>}
+ */
+export function tokenizeWords(text) {
+  const tokens = [];
+  const pattern = /[A-Za-z]+(?:['’][A-Za-z]+)*['’]?/g;
+  let match;
+
+  while ((match = pattern.exec(text || "")) !== null) {
+    tokens.push({
+      word: match[0],
+      start: match.index,
+      end: match.index + match[0].length,
+    });
+  }
+
+  return tokens;
+}
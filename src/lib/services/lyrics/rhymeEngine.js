@@ -0,0 +1,396 @@
+/**
+ * rhymeEngine.js
+ *
+ * Finds what rhymes with what in a set of lyric lines, offline, from the
+ * pronunciations phonetics.js guesses:
+ * - scheme letters from the line endings (AABB, ABAB, ABCB...)
+ * - multis: line endings that keep rhyming for two or more syllables
+ * - internal rhymes: rhyming words anywhere in nearby lines
+ *
+ * Rhymes are matched loosely, the way they're heard in rap rather than the
+ * way a dictionary lists them: same vowels from the stressed syllable on, and
+ * the same kind of closing consonant ("time"/"mind", "night"/"like").
+ *
+ * Plain functions over plain strings; callers decide how to render the
+ * character ranges they get back.
+ */
+
+import { pronounce, tokenizeWords, isVowelPhoneme } from "./phonetics";
+
+// How many lines apart two words may be and still count as rhyming
+const DEFAULT_WINDOW = 4;
+
+// Vowels most accents say the same way
+const VOWEL_MERGES = {
+  AO: "AA",
+};
+
+// Unstressed, these all blur into the same "uh" ("mountain"/"counting")
+const WEAK_VOWELS = new Set(["AH", "IH", "EH"]);
+
+// Closing consonants that rhyme with each other: "cat"/"bad", "time"/"mind"
+const CONSONANT_FAMILIES = {
+  P: "stop",
+  B: "stop",
+  T: "stop",
+  D: "stop",
+  K: "stop",
+  G: "stop",
+  M: "nasal",
+  N: "nasal",
+  NG: "nasal",
+  F: "fricative",
+  V: "fricative",
+  TH: "fricative",
+  DH: "fricative",
+  S: "fricative",
+  Z: "fricative",
+  SH: "fricative",
+  ZH: "fricative",
+  CH: "fricative",
+  JH: "fricative",
+};
+
+// Filler words that would light up every line if they counted as rhymes
+const STOPWORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "are",
+  "as",
+  "at",
+  "be",
+  "but",
+  "by",
+  "do",
+  "for",
+  "he",
+  "i",
+  "im",
+  "in",
+  "is",
+  "it",
+  "its",
+  "me",
+  "my",
+  "no",
+  "of",
+  "on",
+  "or",
+  "she",
+  "so",
+  "the",
+  "to",
+  "up",
+  "we",
+  "you",
+]);
+
+function mergeVowel(phoneme, stressed = true) {
+  if (!stressed && WEAK_VOWELS.has(phoneme)) return "AH";
+  return VOWEL_MERGES[phoneme] || phoneme;
+}
+
+/**
+ * The part of a word that has to match for a rhyme: its phonemes from the
+ * stressed vowel to the end ("remember" → EH M B ER).
+ *
+ * @param {string} word
+ * @returns {string[]|null} null for tokens with no letters
+ */
+export function getRhymeTail(word) {
+  const pronunciation = pronounce(word);
+  if (!pronunciation) return null;
+
+  let vowelIndex = -1;
+  const start = pronunciation.phonemes.findIndex(
+    (phoneme) =>
+      isVowelPhoneme(phoneme) && ++vowelIndex === pronunciation.stressed,
+  );
+
+  return pronunciation.phonemes.slice(Math.max(0, start));
+}
+
+/**
+ * A key that is equal for words that rhyme, slant rhymes included.
+ *
+ * @param {string} word
+ * @returns {string|null}
+ */
+export function getRhymeClass(word) {
+  const tail = getRhymeTail(word);
+  if (!tail) return null;
+
+  const vowels = tail
+    .filter(isVowelPhoneme)
+    .map((vowel, index) => mergeVowel(vowel, index === 0));
+  const lastVowel = tail.findLastIndex(isVowelPhoneme);
+  let coda = tail.slice(lastVowel + 1);
+
+  // A plural or verb "-s" doesn't stop "bar" rhyming with "stars"
+  if (/[^su]s$/.test(word.toLowerCase()) && word.length > 3) {
+    coda = coda.filter(
+      (phoneme, index) =>
+        index !== coda.length - 1 || (phoneme !== "S" && phoneme !== "Z"),
+    );
+  }
+
+  const closing = coda.length > 0 ? CONSONANT_FAMILIES[coda[0]] || coda[0] : "";
+  return `${vowels.join(" ")}|${closing}`;
+}
+
+/**
+ * Scheme letter for the n-th distinct ending: A..Z, then AA, AB...
+ */
+function schemeLetter(n) {
+  const letter = String.fromCharCode(65 + (n % 26));
+  return n < 26 ? letter : schemeLetter(Math.floor(n / 26) - 1) + letter;
+}
+
+/**
+ * Offset in the original token of the n-th letter of its normalised form.
+ * Normalising drops apostrophes and may add a "g" ("flowin'"), so the two
+ * don't line up one to one.
+ */
+function originalOffset(token, normalisedIndex) {
+  let letters = 0;
+  for (let i = 0; i < token.word.length; i++) {
+    if (/[A-Za-z]/.test(token.word[i])) {
+      if (letters === normalisedIndex) return token.start + i;
+      letters++;
+    }
+  }
+  return token.end;
+}
+
+function parseLine(text) {
+  return tokenizeWords(text)
+    .map((token) => {
+      const pronunciation = pronounce(token.word);
+      if (!pronunciation) return null;
+
+      const vowels = pronunciation.phonemes
+        .filter(isVowelPhoneme)
+        .map((vowel, index) =>
+          mergeVowel(vowel, index === pronunciation.stressed),
+        );
+
+      return {
+        ...token,
+        key: pronunciation.word,
+        rhymeClass: getRhymeClass(token.word),
+        syllables: vowels.map((vowel, index) => ({
+          vowel,
+          filler: STOPWORDS.has(pronunciation.word),
+          start: originalOffset(token, pronunciation.vowelChars[index]),
+        })),
+        stressStart: originalOffset(
+          token,
+          pronunciation.vowelChars[pronunciation.stressed],
+        ),
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * How many syllables two lines share at the end, counted backwards until the
+ * vowels stop matching. Filler words end the run: "the" matching "the" is
+ * not what makes a multi.
+ */
+function countSharedSyllables(tokensA, tokensB) {
+  const syllablesA = tokensA.flatMap((token) => token.syllables);
+  const syllablesB = tokensB.flatMap((token) => token.syllables);
+  let shared = 0;
+
+  while (shared < syllablesA.length && shared < syllablesB.length) {
+    const a = syllablesA[syllablesA.length - 1 - shared];
+    const b = syllablesB[syllablesB.length - 1 - shared];
+    if (a.filler || b.filler || a.vowel !== b.vowel) break;
+    shared++;
+  }
+
+  return shared;
+}
+
+/**
+ * Character ranges covering the last `count` syllables of a line, one range
+ * per word they fall in.
+ */
+function trailingRanges(tokens, count) {
+  const ranges = [];
+  let remaining = count;
+
+  for (let i = tokens.length - 1; i >= 0 && remaining > 0; i--) {
+    const token = tokens[i];
+    const taken = Math.min(remaining, token.syllables.length);
+    const from = token.syllables[token.syllables.length - taken];
+    ranges.unshift({ start: from.start, end: token.end });
+    remaining -= taken;
+  }
+
+  return ranges;
+}
+
+/**
+ * Analyse the rhymes in a list of lines.
+ *
+ * @param {string[]} lines - Lyric lines in order (blank lines allowed)
+ * @param {Object} [options]
+ * @param {number} [options.window=4] - How many lines apart rhymes may be
+ * @returns {{ lines: Array<{ letter: string|null, multi: number,
+ *   highlights: Array<{ start: number, end: number, group: number }> }>,
+ *   scheme: string }} One entry per input line. `multi` is the number of
+ *   syllables a multi rhymes on (0 if the ending isn't one); highlight
+ *   offsets index into that line, and equal `group`s rhyme with each other.
+ */
+export function analyzeRhymes(lines, { window = DEFAULT_WINDOW } = {}) {
+  const parsed = lines.map((text) => parseLine(text || ""));
+  const endings = parsed.map((tokens) => tokens[tokens.length - 1] || null);
+
+  // Scheme letters, in order of first appearance
+  const letters = new Map();
+  const lineLetters = endings.map((ending) => {
+    if (!ending) return null;
+    if (!letters.has(ending.rhymeClass)) {
+      letters.set(ending.rhymeClass, schemeLetter(letters.size));
+    }
+    return letters.get(ending.rhymeClass);
+  });
+
+  const groups = new Map();
+  const groupFor = (rhymeClass) => {
+    if (!groups.has(rhymeClass)) groups.set(rhymeClass, groups.size);
+    return groups.get(rhymeClass);
+  };
+  const isNear = (a, b) => a !== b && Math.abs(a - b) <= window;
+
+  // End rhymes, stretched back over every syllable a multi shares
+  const multis = parsed.map(() => 0);
+  const endRanges = parsed.map(() => []);
+
+  endings.forEach((ending, lineIndex) => {
+    if (!ending) return;
+
+    let partnered = false;
+    let shared = 0;
+    endings.forEach((other, otherIndex) => {
+      if (!other || other.rhymeClass !== ending.rhymeClass) return;
+      if (!isNear(lineIndex, otherIndex)) return;
+
+      partnered = true;
+      shared = Math.max(
+        shared,
+        countSharedSyllables(parsed[lineIndex], parsed[otherIndex]),
+      );
+    });
+
+    if (!partnered) return;
+
+    const tailSyllables = ending.syllables.filter(
+      (syllable) => syllable.start >= ending.stressStart,
+    ).length;
+
+    multis[lineIndex] = shared >= 2 ? shared : 0;
+    endRanges[lineIndex] =
+      shared > tailSyllables
+        ? trailingRanges(parsed[lineIndex], shared)
+        : [{ start: ending.stressStart, end: ending.end }];
+  });
+
+  // Internal rhymes: any other word rhyming with a different word nearby
+  const occurrences = new Map();
+  parsed.forEach((tokens, lineIndex) => {
+    tokens.forEach((token) => {
+      if (STOPWORDS.has(token.key)) return;
+      if (!occurrences.has(token.rhymeClass)) {
+        occurrences.set(token.rhymeClass, []);
+      }
+      occurrences.get(token.rhymeClass).push({ lineIndex, key: token.key });
+    });
+  });
+
+  const resultLines = parsed.map((tokens, lineIndex) => {
+    const highlights = endRanges[lineIndex].map((range) => ({
+      ...range,
+      group: groupFor(endings[lineIndex].rhymeClass),
+    }));
+    const covered = (token) =>
+      highlights.some(
+        (range) => range.start < token.end && range.end > token.start,
+      );
+
+    tokens.forEach((token) => {
+      if (STOPWORDS.has(token.key) || covered(token)) return;
+
+      const rhymes = (occurrences.get(token.rhymeClass) || []).some(
+        (other) =>
+          other.key !== token.key &&
+          (other.lineIndex === lineIndex || isNear(lineIndex, other.lineIndex)),
+      );
+      if (rhymes) {
+        highlights.push({
+          start: token.stressStart,
+          end: token.end,
+          group: groupFor(token.rhymeClass),
+        });
+      }
+    });
+
+    highlights.sort((a, b) => a.start - b.start);
+
+    return {
+      letter: lineLetters[lineIndex],
+      multi: multis[lineIndex],
+      highlights,
+    };
+  });
+
+  return {
+    lines: resultLines,
+    scheme: lineLetters.map((letter) => letter || " ").join(""),
+  };
+}
+
+/**
+ * How well one word rhymes with another, for looking rhymes up.
+ *
+ * @param {string} word
+ * @param {string} candidate
+ * @returns {{ kind: "perfect"|"slant", syllables: number }|null} "perfect"
+ *   when everything from the stressed vowel on sounds the same, "slant" when
+ *   it only rhymes the loose way analyzeRhymes hears it. `syllables` counts
+ *   the vowels they share from the end, stressed or not ("reality" and
+ *   "vanity" share three). null when they don't rhyme, or sound identical.
+ */
+export function describeRhyme(word, candidate) {
+  const a = pronounce(word);
+  const b = pronounce(candidate);
+  if (!a || !b || a.word === b.word) return null;
+  if (a.phonemes.join(" ") === b.phonemes.join(" ")) return null;
+
+  const rhymeClass = getRhymeClass(word);
+  if (!rhymeClass || rhymeClass !== getRhymeClass(candidate)) return null;
+
+  const vowelsOf = (pronunciation) =>
+    pronunciation.phonemes
+      .filter(isVowelPhoneme)
+      .map((vowel, index) =>
+        mergeVowel(vowel, index === pronunciation.stressed),
+      );
+  const vowelsA = vowelsOf(a);
+  const vowelsB = vowelsOf(b);
+  let syllables = 0;
+  while (
+    syllables < vowelsA.length &&
+    syllables < vowelsB.length &&
+    vowelsA[vowelsA.length - 1 - syllables] ===
+      vowelsB[vowelsB.length - 1 - syllables]
+  ) {
+    syllables++;
+  }
+
+  const perfect =
+    getRhymeTail(word).join(" ") === getRhymeTail(candidate).join(" ");
+  return { kind: perfect ? "perfect" : "slant", syllables };
+}
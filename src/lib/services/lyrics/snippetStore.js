@@ -1,29 +1,59 @@
 import { writable } from "svelte/store";
 import { browser } from "$app/environment";
+import { STORES, dbGet, dbPut } from "../infrastructure/database";
+import { createLogger } from "../infrastructure/loggerService";
+
+const logger = createLogger("SnippetStore");
+
+// Record in the database's meta store. What the old "lyrics-snippets"
+// localStorage key held was imported into a lyrics project by the v3
+// migration, so this list starts fresh.
+const SNIPPETS_KEY = "snippets";
 
 // Generate a short random ID for snippets
 function generateId() {
   return Math.random().toString(36).substring(2, 10);
 }
 
-// Load initial state from localStorage if available
-const loadFromStorage = () => {
-  if (browser) {
-    const storedSnippets = localStorage.getItem("lyrics-snippets");
-    return storedSnippets ? JSON.parse(storedSnippets) : [];
-  }
-  return [];
+// Save the list to IndexedDB, in the background
+const saveToStorage = (snippets) => {
+  if (!browser) return;
+  dbPut(STORES.META, { key: SNIPPETS_KEY, snippets }).catch((error) => {
+    logger.warn("Could not save snippets", { error: error.message });
+  });
 };
 
 // Create the writable store
 const createSnippetStore = () => {
-  const { subscribe, set, update } = writable(loadFromStorage());
+  const { subscribe, set, update } = writable([]);
+
+  // Fill in the saved list once the database answers
+  let loaded = !browser;
+  const loading = browser
+    ? dbGet(STORES.META, SNIPPETS_KEY)
+        .then((record) => record && set(record.snippets))
+        .catch((error) => {
+          logger.warn("Could not load snippets", { error: error.message });
+        })
+        .finally(() => {
+          loaded = true;
+        })
+    : Promise.resolve();
+
+  // Changes made before then wait for it, in order, so the saved list
+  // doesn't overwrite them (and the next save doesn't lose it)
+  const afterLoad =
+    (change) =>
+    (...args) => {
+      if (loaded) change(...args);
+      else loading.then(() => change(...args));
+    };
 
   return {
     subscribe,
 
     // Add a new snippet to the collection
-    addSnippet: (text) => {
+    addSnippet: afterLoad((text) => {
       update((snippets) => {
         const newSnippet = {
           id: generateId(),
@@ -34,20 +64,14 @@ const createSnippetStore = () => {
 
         const updatedSnippets = [...snippets, newSnippet];
 
-        // Save to localStorage
-        if (browser) {
-          localStorage.setItem(
-            "lyrics-snippets",
-            JSON.stringify(updatedSnippets),
-          );
-        }
+        saveToStorage(updatedSnippets);
 
         return updatedSnippets;
       });
-    },
+    }),
 
     // Remove a snippet by ID
-    removeSnippet: (id) => {
+    removeSnippet: afterLoad((id) => {
       update((snippets) => {
         const filteredSnippets = snippets.filter(
           (snippet) => snippet.id !== id,
@@ -59,20 +83,14 @@ const createSnippetStore = () => {
           order: index,
         }));
 
-        // Save to localStorage
-        if (browser) {
-          localStorage.setItem(
-            "lyrics-snippets",
-            JSON.stringify(reorderedSnippets),
-          );
-        }
+        saveToStorage(reorderedSnippets);
 
         return reorderedSnippets;
       });
-    },
+    }),
 
     // Reorder a snippet by changing its order value
-    reorderSnippet: (id, newOrder) => {
+    reorderSnippet: afterLoad((id, newOrder) => {
       update((snippets) => {
         // Get the snippet to move
         const snippetToMove = snippets.find((snippet) => snippet.id === id);
@@ -114,20 +132,14 @@ const createSnippetStore = () => {
           (a, b) => a.order - b.order,
         );
 
-        // Save to localStorage
-        if (browser) {
-          localStorage.setItem(
-            "lyrics-snippets",
-            JSON.stringify(sortedSnippets),
-          );
-        }
+        saveToStorage(sortedSnippets);
 
         return sortedSnippets;
       });
-    },
+    }),
 
     // Move a snippet up in the order
-    moveUp: (id) => {
+    moveUp: afterLoad((id) => {
       update((snippets) => {
         const snippet = snippets.find((s) => s.id === id);
         if (!snippet || snippet.order === 0) return snippets;
@@ -143,20 +155,14 @@ const createSnippetStore = () => {
           })
           .sort((a, b) => a.order - b.order);
 
-        // Save to localStorage
-        if (browser) {
-          localStorage.setItem(
-            "lyrics-snippets",
-            JSON.stringify(updatedSnippets),
-          );
-        }
+        saveToStorage(updatedSnippets);
 
         return updatedSnippets;
       });
-    },
+    }),
 
     // Move a snippet down in the order
-    moveDown: (id) => {
+    moveDown: afterLoad((id) => {
       update((snippets) => {
         const snippet = snippets.find((s) => s.id === id);
         if (!snippet || snippet.order === snippets.length - 1) return snippets;
@@ -172,25 +178,17 @@ const createSnippetStore = () => {
           })
           .sort((a, b) => a.order - b.order);
 
-        // Save to localStorage
-        if (browser) {
-          localStorage.setItem(
-            "lyrics-snippets",
-            JSON.stringify(updatedSnippets),
-          );
-        }
+        saveToStorage(updatedSnippets);
 
         return updatedSnippets;
       });
-    },
+    }),
 
     // Clear all snippets
-    clearSnippets: () => {
+    clearSnippets: afterLoad(() => {
       set([]);
-      if (browser) {
-        localStorage.removeItem("lyrics-snippets");
-      }
-    },
+      saveToStorage([]);
+    }),
 
     // Get all snippets as plain text
     getPlainText: () => {
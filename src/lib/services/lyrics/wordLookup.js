@@ -0,0 +1,195 @@
+/**
+ * Rhyme and synonym lookup for the word being written.
+ *
+ * Works offline from the bundled dictionary (dictionary/): pronunciations
+ * for the rhymes, handed to phonetics.js so highlighting and the meter read
+ * those words right too, and a small thesaurus. Both are loaded the first
+ * time a lookup needs them rather than with the app.
+ */
+
+import { writable } from "svelte/store";
+import {
+  addPronunciations,
+  getKnownWords,
+  normalizeWord,
+  pronounce,
+  tokenizeWords,
+} from "./phonetics";
+import { describeRhyme } from "./rhymeEngine";
+
+// Most results shown in each list
+const MAX_RESULTS = 40;
+
+/** True once the bundled dictionary is in; analysis can redo its guesses */
+export const dictionaryLoaded = writable(false);
+
+let loading = null;
+const synonyms = new Map();
+
+function parsePronunciations(text) {
+  return text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const space = line.indexOf(" ");
+      return [line.slice(0, space), line.slice(space + 1)];
+    });
+}
+
+function addSynonymGroups(text) {
+  text
+    .split("\n")
+    .map((line) =>
+      line
+        .split(",")
+        .map((word) => word.trim().toLowerCase())
+        .filter(Boolean),
+    )
+    .filter((group) => group.length > 1)
+    .forEach((group) => {
+      group.forEach((word) => {
+        if (!synonyms.has(word)) synonyms.set(word, []);
+        // The group a word heads is about its main sense; list that first
+        if (word === group[0]) synonyms.get(word).unshift(group);
+        else synonyms.get(word).push(group);
+      });
+    });
+}
+
+/**
+ * Load the bundled dictionary. Safe to call repeatedly; a failed load is
+ * tried again next time.
+ *
+ * @returns {Promise<void>}
+ */
+export function loadDictionary() {
+  loading ||= Promise.all([
+    import("./dictionary/pronunciations"),
+    import("./dictionary/thesaurus"),
+  ])
+    .then(([pronunciations, thesaurus]) => {
+      addPronunciations(parsePronunciations(pronunciations.default));
+      addSynonymGroups(thesaurus.default);
+      dictionaryLoaded.set(true);
+    })
+    .catch((error) => {
+      loading = null;
+      throw error;
+    });
+
+  return loading;
+}
+
+function findSynonyms(word) {
+  const groups = synonyms.get(word) || synonyms.get(word.replace(/s$/, ""));
+  if (!groups) return [];
+
+  const found = new Set(groups.flat());
+  found.delete(word);
+  found.delete(word.replace(/s$/, ""));
+  return [...found].slice(0, MAX_RESULTS);
+}
+
+// "dream" for "dreams" isn't a rhyme worth offering
+function isSameWord(word, candidate) {
+  return word.replace(/s$/, "") === candidate.replace(/s$/, "");
+}
+
+/**
+ * Rhymes and synonyms for a word.
+ *
+ * @param {string} rawWord
+ * @returns {Promise<{ word: string, perfect: string[], slant: string[],
+ *   multi: string[], synonyms: string[] }>} `multi` holds the rhymes (of
+ *   either kind) that share two or more syllables, longest first. Empty
+ *   lists for tokens with no letters.
+ */
+export async function lookupWord(rawWord) {
+  await loadDictionary();
+
+  const word = normalizeWord(rawWord);
+  const result = { word, perfect: [], slant: [], multi: [], synonyms: [] };
+  if (!word || !pronounce(word)) return result;
+
+  const multis = [];
+  getKnownWords().forEach((candidate) => {
+    const rhyme =
+      !isSameWord(word, candidate) && describeRhyme(word, candidate);
+    if (!rhyme) return;
+
+    result[rhyme.kind].push(candidate);
+    if (rhyme.syllables >= 2) {
+      multis.push({ candidate, syllables: rhyme.syllables });
+    }
+  });
+
+  result.perfect = result.perfect.slice(0, MAX_RESULTS);
+  result.slant = result.slant.slice(0, MAX_RESULTS);
+  result.multi = multis
+    .sort((a, b) => b.syllables - a.syllables)
+    .slice(0, MAX_RESULTS)
+    .map(({ candidate }) => candidate);
+  result.synonyms = findSynonyms(word);
+
+  return result;
+}
+
+/**
+ * The word to look up while editing: the last word of the selection, else
+ * the word the caret is in or next to, else the last word before it on the
+ * same line.
+ *
+ * @param {string} text
+ * @param {number} start - Selection start
+ * @param {number} [end=start] - Selection end
+ * @returns {string} Empty when there's no word to go on
+ */
+export function findWordAt(text, start, end = start) {
+  const value = text || "";
+  if (end > start) {
+    const selected = tokenizeWords(value.slice(start, end));
+    return selected.length ? selected[selected.length - 1].word : "";
+  }
+
+  const lineStart = value.lastIndexOf("\n", start - 1) + 1;
+  const tokens = tokenizeWords(value).filter(
+    (token) => token.end >= lineStart && token.start <= start,
+  );
+  const touching = tokens.find((token) => token.end >= start);
+  return (touching || tokens[tokens.length - 1])?.word || "";
+}
+
+/**
+ * Put a looked-up word into the text being edited. A selection is replaced;
+ * otherwise the word goes in after the one the caret is in, spaced from its
+ * neighbours.
+ *
+ * @param {string} text
+ * @param {number} start - Selection start
+ * @param {number} end - Selection end
+ * @param {string} word
+ * @returns {{ text: string, caret: number }} The new text and where the
+ *   caret belongs, just after the inserted word
+ */
+export function insertWord(text, start, end, word) {
+  const value = text || "";
+  let from = start;
+  let to = end;
+
+  if (from === to) {
+    const inside = tokenizeWords(value).find(
+      (token) => token.start < from && from < token.end,
+    );
+    if (inside) from = to = inside.end;
+  }
+
+  const before = from > 0 && !/\s/.test(value[from - 1]) ? " " : "";
+  const after = to < value.length && !/\s/.test(value[to]) ? " " : "";
+  const inserted = `${before}${word}${after}`;
+
+  return {
+    text: value.slice(0, from) + inserted + value.slice(to),
+    caret: from + before.length + word.length,
+  };
+}
@@ -0,0 +1,5 @@
+export {
+  offlineQueueService,
+  pendingTakes,
+  PendingTakeStatus,
+} from "./offlineQueueService";
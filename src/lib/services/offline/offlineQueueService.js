@@ -0,0 +1,333 @@
+/**
+ * offlineQueueService.js
+ *
+ * Holds on to takes that couldn't be transcribed — no signal, a timeout, an
+ * overloaded API — so a verse recorded on the train isn't lost. Queued takes
+ * live in IndexedDB (audio included) and are transcribed automatically once
+ * the connection comes back. Finished transcripts wait in the queue until the
+ * user opens, collects or discards them.
+ */
+
+import { browser } from "$app/environment";
+import { writable } from "svelte/store";
+import { geminiService as defaultGeminiService } from "$lib/services/geminiService";
+import {
+  STORES,
+  dbDelete,
+  dbGet,
+  dbGetAll,
+  dbPut,
+} from "../infrastructure/database";
+import { createId } from "../infrastructure/createId";
+import { ensureDurableStorage } from "../infrastructure/durableStorage";
+import { errorHandler } from "../infrastructure/errorHandler";
+import { eventBridge } from "../infrastructure/eventBridge";
+import { createLogger } from "../infrastructure/loggerService";
+
+const logger = createLogger("OfflineQueue");
+
+// Failures worth waiting out. Anything else (bad payload, too large) will
+// fail the same way next time, so those takes are marked failed instead.
+const RETRYABLE_ERROR_CODES = new Set([
+  "ERR_API_TIMEOUT",
+  "ERR_API_GENERATION",
+  "ERR_API_RATE_LIMIT",
+  "ERR_API_SERVER",
+  "ERR_NETWORK",
+]);
+
+const RETRY_BASE_DELAY = 30_000;
+const RETRY_MAX_DELAY = 10 * 60_000;
+
+export const PendingTakeStatus = {
+  PENDING: "pending",
+  TRANSCRIBING: "transcribing",
+  TRANSCRIBED: "transcribed",
+  FAILED: "failed",
+};
+
+// Queue contents for the UI (audio blobs stay in IndexedDB)
+export const pendingTakes = writable([]);
+
+// Queue record minus its audio, for stores and return values
+function toSummary(take) {
+  const summary = { ...take };
+  delete summary.blob;
+  return summary;
+}
+
+function getErrorCode(error) {
+  return error?.context?.originalCode || error?.code;
+}
+
+export class OfflineQueueService {
+  constructor(dependencies = {}) {
+    this.geminiService = dependencies.geminiService || defaultGeminiService;
+    this.initialized = false;
+    this.draining = null;
+    this.retryTimer = null;
+    this.retryAttempt = 0;
+    this.handleOnline = () => this.processQueue();
+  }
+
+  /**
+   * Load the persisted queue and start listening for connectivity.
+   * Safe to call repeatedly.
+   */
+  init() {
+    if (!browser || this.initialized) return;
+    this.initialized = true;
+
+    window.addEventListener("online", this.handleOnline);
+
+    this.refresh()
+      .then(() => this.processQueue())
+      .catch((error) => {
+        logger.warn("Could not load the offline queue", {
+          error: error.message,
+        });
+      });
+  }
+
+  isOnline() {
+    return !browser || navigator.onLine !== false;
+  }
+
+  /**
+   * Decide whether a failed transcription should be queued for later.
+   * @param {Error} error - Error thrown by transcriptionService.transcribeAudio
+   * @returns {boolean}
+   */
+  shouldQueue(error) {
+    return !this.isOnline() || RETRYABLE_ERROR_CODES.has(getErrorCode(error));
+  }
+
+  /**
+   * Store a take for deferred transcription.
+   *
+   * @param {Blob} audioBlob - The recorded audio
+   * @param {Object} [options]
+   * @param {string} [options.promptStyle] - Style to transcribe with later
+   * @param {string} [options.reason] - Why it was queued, for display
+   * @param {string} [options.takeId] - Stored take this audio belongs to
+   * @returns {Promise<Object>} The queued take (without its audio)
+   */
+  async enqueue(audioBlob, { promptStyle, reason = "", takeId = null } = {}) {
+    const take = {
+      id: createId(),
+      blob: audioBlob,
+      mimeType: audioBlob.type,
+      size: audioBlob.size,
+      promptStyle: promptStyle || this.geminiService.getPromptStyle(),
+      createdAt: new Date().toISOString(),
+      status: PendingTakeStatus.PENDING,
+      attempts: 0,
+      reason,
+      takeId,
+      lastError: null,
+      text: null,
+      segments: null,
+    };
+
+    await dbPut(STORES.PENDING_TAKES, take);
+    ensureDurableStorage();
+    logger.info("Take queued for later transcription", {
+      id: take.id,
+      size: take.size,
+      reason,
+    });
+
+    await this.refresh();
+    this.scheduleRetry();
+
+    return toSummary(take);
+  }
+
+  /**
+   * Re-read the queue from IndexedDB into the pendingTakes store.
+   */
+  async refresh() {
+    const takes = await dbGetAll(STORES.PENDING_TAKES);
+    takes.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    pendingTakes.set(takes.map(toSummary));
+    return takes;
+  }
+
+  /**
+   * Transcribe every pending take, one at a time. Concurrent calls share the
+   * same run.
+   * @returns {Promise<void>}
+   */
+  processQueue() {
+    if (!browser || !this.isOnline()) return Promise.resolve();
+    if (this.draining) return this.draining;
+
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    this.draining = this.drain()
+      .catch((error) => {
+        errorHandler.handleError(error, { notify: false });
+      })
+      .finally(() => {
+        this.draining = null;
+      });
+
+    return this.draining;
+  }
+
+  async drain() {
+    const takes = await this.refresh();
+    // A take left "transcribing" was interrupted by a reload; retry it too.
+    const queued = takes.filter(
+      (take) =>
+        take.status === PendingTakeStatus.PENDING ||
+        take.status === PendingTakeStatus.TRANSCRIBING,
+    );
+    let completed = 0;
+
+    for (const take of queued) {
+      if (!this.isOnline()) break;
+
+      const status = await this.transcribeTake(take);
+      if (status === PendingTakeStatus.PENDING) {
+        // Still down: stop hammering the API and back off instead.
+        this.scheduleRetry();
+        return;
+      }
+      if (status === PendingTakeStatus.TRANSCRIBED) completed++;
+    }
+
+    this.retryAttempt = 0;
+
+    if (completed > 0) {
+      eventBridge.dispatchAppEvent("show-notification", {
+        type: "success",
+        message:
+          completed === 1
+            ? "A queued take is transcribed and waiting for you."
+            : `${completed} queued takes are transcribed and waiting for you.`,
+      });
+    }
+  }
+
+  /**
+   * @param {Object} take - Full queue record including its blob
+   * @returns {Promise<string>} The take's new PendingTakeStatus
+   */
+  async transcribeTake(take) {
+    await this.updateTake(take.id, {
+      status: PendingTakeStatus.TRANSCRIBING,
+      attempts: take.attempts + 1,
+    });
+
+    try {
+      const { text, segments } =
+        await this.geminiService.transcribeAudioWithTimings(take.blob, {
+          promptStyle: take.promptStyle,
+          timestamps: true,
+          // Failures show on the take in the queue, not as toasts
+          notify: false,
+        });
+
+      if (!text?.trim()) {
+        await this.updateTake(take.id, {
+          status: PendingTakeStatus.FAILED,
+          lastError: "Nothing was heard in this take.",
+        });
+        return PendingTakeStatus.FAILED;
+      }
+
+      await this.updateTake(take.id, {
+        status: PendingTakeStatus.TRANSCRIBED,
+        text,
+        segments,
+        lastError: null,
+      });
+      eventBridge.dispatchAppEvent("queued-take-transcribed", {
+        id: take.id,
+        textLength: text.length,
+      });
+      return PendingTakeStatus.TRANSCRIBED;
+    } catch (error) {
+      const retryable = this.shouldQueue(error);
+      logger.warn("Queued take failed to transcribe", {
+        id: take.id,
+        code: getErrorCode(error),
+        retryable,
+      });
+
+      const status = retryable
+        ? PendingTakeStatus.PENDING
+        : PendingTakeStatus.FAILED;
+      await this.updateTake(take.id, { status, lastError: error.message });
+      return status;
+    }
+  }
+
+  scheduleRetry() {
+    if (!browser || this.retryTimer) return;
+
+    const delay = Math.min(
+      RETRY_BASE_DELAY * 2 ** this.retryAttempt,
+      RETRY_MAX_DELAY,
+    );
+    this.retryAttempt++;
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.processQueue();
+    }, delay);
+  }
+
+  async updateTake(id, changes) {
+    const take = await dbGet(STORES.PENDING_TAKES, id);
+    if (!take) return null;
+
+    const updated = { ...take, ...changes };
+    await dbPut(STORES.PENDING_TAKES, updated);
+    await this.refresh();
+    return updated;
+  }
+
+  /**
+   * Put a failed take back in line and try again now.
+   * @param {string} id
+   */
+  async retry(id) {
+    await this.updateTake(id, {
+      status: PendingTakeStatus.PENDING,
+      lastError: null,
+    });
+    this.retryAttempt = 0;
+    return this.processQueue();
+  }
+
+  /**
+   * Fetch a take including its audio, e.g. to reopen it in the transcript.
+   * @param {string} id
+   * @returns {Promise<Object|undefined>}
+   */
+  getTake(id) {
+    return dbGet(STORES.PENDING_TAKES, id);
+  }
+
+  /**
+   * Remove a take from the queue (after it has been used or discarded).
+   * @param {string} id
+   */
+  async remove(id) {
+    await dbDelete(STORES.PENDING_TAKES, id);
+    await this.refresh();
+  }
+
+  cleanup() {
+    if (!browser) return;
+    window.removeEventListener("online", this.handleOnline);
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.initialized = false;
+  }
+}
+
+export const offlineQueueService = new OfflineQueueService();
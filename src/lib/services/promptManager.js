@@ -1,20 +1,70 @@
 import { writable, get } from "svelte/store";
 import { browser } from "$app/environment";
 import { promptTemplates, applyTemplate } from "./promptTemplates";
+import { createId } from "./infrastructure/createId";
+import {
+  CUSTOM_STYLE_PREFIX,
+  MAX_CUSTOM_STYLES,
+  isCustomStyleId,
+  validateCustomStyle,
+} from "./customPromptStyles";
 
 // Create a store for the current prompt style
 const STORAGE_KEY = "riffrap-prompt-style";
+const CUSTOM_STYLES_KEY = "riffrap-custom-styles";
 const DEFAULT_STYLE = "standard";
 
+// Styles the user wrote: [{ id, name, instructions }]
+const createCustomStylesStore = () => {
+  const store = writable([]);
+
+  if (browser) {
+    try {
+      const stored = JSON.parse(localStorage.getItem(CUSTOM_STYLES_KEY));
+      if (Array.isArray(stored)) {
+        store.set(
+          stored.filter(
+            (style) =>
+              isCustomStyleId(style?.id) && !validateCustomStyle(style).error,
+          ),
+        );
+      }
+    } catch (error) {
+      console.error("Could not read custom styles:", error);
+    }
+  }
+
+  return {
+    subscribe: store.subscribe,
+    set: (styles) => {
+      store.set(styles);
+      if (browser) {
+        localStorage.setItem(CUSTOM_STYLES_KEY, JSON.stringify(styles));
+      }
+    },
+  };
+};
+
+const customStylesStore = createCustomStylesStore();
+
+function findCustomStyle(styleId) {
+  if (!isCustomStyleId(styleId)) return null;
+  return get(customStylesStore).find((style) => style.id === styleId) || null;
+}
+
+function styleExists(style) {
+  return Boolean(promptTemplates[style] || findCustomStyle(style));
+}
+
 const createPromptStyleStore = () => {
   const store = writable(DEFAULT_STYLE);
 
   if (browser) {
     const storedStyle = localStorage.getItem(STORAGE_KEY);
 
-    if (storedStyle && promptTemplates[storedStyle]) {
+    if (storedStyle && styleExists(storedStyle)) {
       store.set(storedStyle);
-    } else if (storedStyle && !promptTemplates[storedStyle]) {
+    } else if (storedStyle && !styleExists(storedStyle)) {
       localStorage.setItem(STORAGE_KEY, DEFAULT_STYLE);
       store.set(DEFAULT_STYLE);
     }
@@ -24,7 +74,7 @@ const createPromptStyleStore = () => {
   return {
     ...store,
     setStyle: (style) => {
-      if (!promptTemplates[style]) {
+      if (!styleExists(style)) {
         console.error(`Prompt style '${style}' not found`);
         return false;
       }
@@ -39,7 +89,10 @@ const createPromptStyleStore = () => {
       return true;
     },
     getAvailableStyles: () => {
-      return Object.keys(promptTemplates);
+      return [
+        ...Object.keys(promptTemplates),
+        ...get(customStylesStore).map((style) => style.id),
+      ];
     },
   };
 };
@@ -58,12 +111,69 @@ export const promptManager = {
   // Get available prompt styles
   getAvailableStyles: () => promptStyleStore.getAvailableStyles(),
 
-  // Get a prompt for a specific operation using the current style
+  // Styles the user wrote, as a readable store of [{ id, name, instructions }]
+  customStyles: { subscribe: customStylesStore.subscribe },
+
+  /**
+   * Look up a custom style
+   * @param {string} styleId
+   * @returns {{ id: string, name: string, instructions: Array<string> }|null}
+   */
+  getCustomStyle: findCustomStyle,
+
+  /**
+   * Create a custom style, or update one when style.id is given
+   * @param {{ id?: string, name: string, instructions: Array<string> }} style
+   * @returns {{ id: string, name: string, instructions: Array<string> }}
+   * @throws {Error} With a message fit to show the user
+   */
+  saveCustomStyle: (style) => {
+    const result = validateCustomStyle(style);
+    if (result.error) {
+      throw new Error(result.error);
+    }
+
+    const styles = get(customStylesStore);
+    const existing = styles.find(({ id }) => id === style.id);
+    if (!existing && styles.length >= MAX_CUSTOM_STYLES) {
+      throw new Error(`You can keep up to ${MAX_CUSTOM_STYLES} custom styles`);
+    }
+
+    const saved = {
+      ...result.style,
+      id: existing?.id || `${CUSTOM_STYLE_PREFIX}${createId()}`,
+    };
+    customStylesStore.set(
+      existing
+        ? styles.map((current) => (current.id === saved.id ? saved : current))
+        : [...styles, saved],
+    );
+    return saved;
+  },
+
+  /**
+   * Delete a custom style; if it was selected, the default takes over
+   * @param {string} styleId
+   */
+  deleteCustomStyle: (styleId) => {
+    customStylesStore.set(
+      get(customStylesStore).filter((style) => style.id !== styleId),
+    );
+
+    if (get(promptStyleStore) === styleId) {
+      promptStyleStore.setStyle(DEFAULT_STYLE);
+    }
+  },
+
+  // Get a prompt for a specific operation using the current style (built-in
+  // styles only; custom styles are framed by the server)
   getPrompt: (operation, variables = {}) => {
     let currentStyle = get(promptStyleStore);
 
-    // Check if current style exists, if not, reset to default
-    if (!promptTemplates[currentStyle]) {
+    // A custom style has no local template; otherwise, reset to default
+    if (findCustomStyle(currentStyle)) {
+      currentStyle = DEFAULT_STYLE;
+    } else if (!promptTemplates[currentStyle]) {
       console.error(
         `Prompt style '${currentStyle}' not found, falling back to standard`,
       );
@@ -5,4 +5,5 @@ export {
   showPwaInstallPrompt,
   isPwaInstalled,
   shouldShowPrompt,
+  updateAvailable,
 } from "./pwaService";
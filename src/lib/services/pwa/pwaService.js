@@ -1,4 +1,4 @@
-import { browser } from "$app/environment";
+import { browser, dev } from "$app/environment";
 import { writable, derived } from "svelte/store";
 import { StorageUtils } from "../infrastructure/storageUtils";
 import { STORAGE_KEYS } from "../../constants";
@@ -11,6 +11,7 @@ export const deferredInstallPrompt = writable(null);
 export const transcriptionCount = writable(0);
 export const showPwaInstallPrompt = writable(false);
 export const isPwaInstalled = writable(false);
+export const updateAvailable = writable(false);
 
 // Derived store to determine if prompt should be shown
 export const shouldShowPrompt = derived(
@@ -46,6 +47,8 @@ export const shouldShowPrompt = derived(
 export class PwaService {
   constructor() {
     this.debug = false;
+    this.registration = null;
+    this.reloadOnControllerChange = false;
 
     if (browser) {
       // Check if we're in development mode
@@ -59,6 +62,15 @@ export class PwaService {
       this.initializeFromStorage();
       this.setupEventListeners();
 
+      // Register after load so precaching never competes with first paint
+      if (document.readyState === "complete") {
+        this.registerServiceWorker();
+      } else {
+        window.addEventListener("load", () => this.registerServiceWorker(), {
+          once: true,
+        });
+      }
+
       // In development, don't auto-check for PWA status
       if (!isDevelopment) {
         // Defer PWA check slightly to ensure document is fully loaded
@@ -112,6 +124,75 @@ export class PwaService {
     });
   }
 
+  async registerServiceWorker() {
+    // Dev builds skip the worker so stale caches never hide code changes
+    if (!browser || dev || !("serviceWorker" in navigator)) return null;
+
+    try {
+      const registration =
+        await navigator.serviceWorker.register("/service-worker.js");
+      this.registration = registration;
+
+      // A previous visit may have left an update waiting
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        updateAvailable.set(true);
+      }
+
+      registration.addEventListener("updatefound", () => {
+        const worker = registration.installing;
+        worker?.addEventListener("statechange", () => {
+          // No controller means this is the first install, not an update
+          if (
+            worker.state === "installed" &&
+            navigator.serviceWorker.controller
+          ) {
+            this.log("New version installed and waiting");
+            updateAvailable.set(true);
+          }
+        });
+      });
+
+      navigator.serviceWorker.addEventListener("controllerchange", () => {
+        if (this.reloadOnControllerChange) {
+          window.location.reload();
+        }
+      });
+
+      // Long-lived installed sessions should still notice new deploys
+      document.addEventListener("visibilitychange", () => {
+        if (document.visibilityState === "visible") {
+          registration.update().catch(() => {});
+        }
+      });
+
+      this.log("Service worker registered");
+      return registration;
+    } catch (error) {
+      console.error("Error registering service worker:", error);
+      return null;
+    }
+  }
+
+  applyUpdate() {
+    if (!browser) return;
+
+    const waiting = this.registration?.waiting;
+    updateAvailable.set(false);
+
+    if (!waiting) {
+      window.location.reload();
+      return;
+    }
+
+    // Reload once the new worker has taken control
+    this.reloadOnControllerChange = true;
+    waiting.postMessage({ type: "SKIP_WAITING" });
+  }
+
+  dismissUpdate() {
+    updateAvailable.set(false);
+  }
+
   getTranscriptionCount() {
     return StorageUtils.getNumberItem(STORAGE_KEYS.TRANSCRIPTION_COUNT, 0);
   }
@@ -288,11 +369,8 @@ export class PwaService {
       const manifestLinks = document.querySelectorAll('link[rel="manifest"]');
       if (manifestLinks.length > 0) confidenceScore += 0.5;
 
-      // Service Worker check (strong indicator)
-      if ("serviceWorker" in navigator) {
-        const registrations = await navigator.serviceWorker.getRegistrations();
-        if (registrations.length > 0) confidenceScore += 1.5;
-      }
+      // A service worker registration no longer signals an install: every
+      // visitor gets one now that the app works offline.
 
       // Check for installation event registration
       if (StorageUtils.getBooleanItem(STORAGE_KEYS.PWA_PROMPT_SHOWN, false)) {
@@ -0,0 +1 @@
+export { hostSync, isPeerSyncSupported, joinSync } from "./peerSync";
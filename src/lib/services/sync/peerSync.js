@@ -0,0 +1,396 @@
+/**
+ * peerSync.js
+ *
+ * A direct connection between two of the artist's devices, for syncing
+ * lyrics without them ever touching the server. One device shows a pairing
+ * code, the other types it in; /api/sync passes the WebRTC session
+ * descriptions between them and nothing else, and from then on they talk
+ * over a data channel on the local network.
+ *
+ * ICE candidates are gathered in full before each description is sent, so
+ * pairing is two messages through the server rather than a trickle. There
+ * are no STUN or TURN servers: devices on the same network reach each other
+ * directly, and ones that can't simply fail to connect.
+ *
+ * Usage:
+ * ```
+ * const connection = await hostSync({ onCode: (code) => show(code), signal });
+ * // on the other device
+ * const connection = await joinSync(code, { signal });
+ *
+ * await connection.send({ ... });
+ * const message = await connection.receive();
+ * connection.close();
+ * ```
+ */
+
+import { browser } from "$app/environment";
+import { ApiError } from "../infrastructure/errorHandler";
+import { createLogger } from "../infrastructure/loggerService";
+
+const logger = createLogger("PeerSync");
+
+const SIGNALLING_URL = "/api/sync";
+
+// How often the device showing the code checks for the other one
+const POLL_INTERVAL_MS = 1500;
+
+// Candidate gathering normally finishes in well under a second on a LAN
+const ICE_GATHERING_TIMEOUT_MS = 4000;
+
+// From answer to open channel
+const CONNECT_TIMEOUT_MS = 15000;
+
+// Data channels cap message size (Chromium at 256 KB); stay well under it
+const CHUNK_SIZE = 16000;
+
+// Sending stops while this much is queued on the channel and picks up again
+// once it drains below the low mark; a browser closes a channel whose send
+// buffer overflows
+const SEND_BUFFER_HIGH = 1024 * 1024;
+const SEND_BUFFER_LOW = 256 * 1024;
+
+/**
+ * @param {string} message - Shown to the user as is
+ * @param {string} code - ERR_SYNC_CODE, ERR_SYNC_CONNECT or ERR_SYNC_SIGNAL
+ * @param {number} [statusCode] - HTTP status from the signalling endpoint
+ * @returns {ApiError}
+ */
+function syncError(message, code, statusCode) {
+  return new ApiError(message, {
+    code,
+    statusCode,
+    endpoint: SIGNALLING_URL,
+    isOperational: true,
+  });
+}
+
+function abortError() {
+  return new DOMException("Pairing cancelled", "AbortError");
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(abortError());
+      },
+      { once: true },
+    );
+  });
+}
+
+/**
+ * @param {string} url
+ * @param {RequestInit} init
+ * @returns {Promise<Object>} The parsed JSON body
+ */
+async function request(url, init) {
+  let response;
+  try {
+    response = await fetch(url, init);
+  } catch (error) {
+    if (error.name === "AbortError") throw error;
+    throw syncError(
+      "Couldn't reach RiffRap to pair. Check you're online.",
+      "ERR_SYNC_SIGNAL",
+    );
+  }
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw syncError(
+      body.error || "Pairing failed. Try again.",
+      response.status === 404 ? "ERR_SYNC_CODE" : "ERR_SYNC_SIGNAL",
+      response.status,
+    );
+  }
+  return body;
+}
+
+function postJson(body, signal) {
+  return request(SIGNALLING_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal,
+  });
+}
+
+/**
+ * Resolve once every ICE candidate is in the local description
+ *
+ * @param {RTCPeerConnection} peer
+ * @returns {Promise<void>}
+ */
+function gatheringComplete(peer) {
+  if (peer.iceGatheringState === "complete") return Promise.resolve();
+
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      peer.removeEventListener("icegatheringstatechange", check);
+      resolve();
+    };
+    const check = () => peer.iceGatheringState === "complete" && done();
+    // Whatever was gathered by then is usually enough on a LAN
+    const timer = setTimeout(done, ICE_GATHERING_TIMEOUT_MS);
+    peer.addEventListener("icegatheringstatechange", check);
+  });
+}
+
+/**
+ * @param {RTCPeerConnection} peer
+ * @param {RTCSessionDescriptionInit} description - Our offer or answer
+ * @returns {Promise<string>} The SDP with every candidate in it
+ */
+async function describe(peer, description) {
+  await peer.setLocalDescription(description);
+  await gatheringComplete(peer);
+  return peer.localDescription.sdp;
+}
+
+/**
+ * Resolve with the channel once it opens
+ *
+ * @param {RTCPeerConnection} peer
+ * @param {Promise<RTCDataChannel>} channelReady
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<RTCDataChannel>}
+ */
+function channelOpen(peer, channelReady, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () =>
+        reject(
+          syncError(
+            "The devices couldn't connect. Make sure both are on the same network.",
+            "ERR_SYNC_CONNECT",
+          ),
+        ),
+      CONNECT_TIMEOUT_MS,
+    );
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(abortError());
+      },
+      { once: true },
+    );
+
+    channelReady.then((channel) => {
+      const opened = () => {
+        clearTimeout(timer);
+        resolve(channel);
+      };
+      if (channel.readyState === "open") opened();
+      else channel.addEventListener("open", opened, { once: true });
+    });
+
+    peer.addEventListener("connectionstatechange", () => {
+      if (peer.connectionState === "failed") {
+        clearTimeout(timer);
+        reject(
+          syncError(
+            "The devices couldn't connect. Make sure both are on the same network.",
+            "ERR_SYNC_CONNECT",
+          ),
+        );
+      }
+    });
+  });
+}
+
+/**
+ * Wrap an open data channel: whole JSON messages in and out, split into
+ * chunks under the channel's size limit
+ *
+ * @param {RTCPeerConnection} peer
+ * @param {RTCDataChannel} channel
+ * @returns {{ send: Function, receive: Function, close: Function }}
+ */
+function createConnection(peer, channel) {
+  const received = [];
+  const waiting = [];
+  let parts = [];
+  let closed = false;
+
+  channel.bufferedAmountLowThreshold = SEND_BUFFER_LOW;
+
+  // Resolve once the send buffer has room again
+  const drained = () =>
+    new Promise((resolve, reject) => {
+      const done = () => {
+        channel.removeEventListener("bufferedamountlow", done);
+        channel.removeEventListener("close", done);
+        if (closed) {
+          reject(
+            syncError("The other device disconnected.", "ERR_SYNC_CONNECT"),
+          );
+        } else {
+          resolve();
+        }
+      };
+      channel.addEventListener("bufferedamountlow", done);
+      channel.addEventListener("close", done);
+    });
+
+  const settleWaiting = () => {
+    while (waiting.length > 0 && (received.length > 0 || closed)) {
+      const { resolve, reject } = waiting.shift();
+      if (received.length > 0) resolve(received.shift());
+      else
+        reject(syncError("The other device disconnected.", "ERR_SYNC_CONNECT"));
+    }
+  };
+
+  channel.addEventListener("message", (event) => {
+    try {
+      const { part, of, data } = JSON.parse(event.data);
+      parts[part] = data;
+      if (parts.filter((item) => item !== undefined).length === of) {
+        received.push(JSON.parse(parts.join("")));
+        parts = [];
+        settleWaiting();
+      }
+    } catch (error) {
+      logger.warn("Dropped a malformed sync message", { error: error.message });
+    }
+  });
+
+  channel.addEventListener("close", () => {
+    closed = true;
+    settleWaiting();
+  });
+
+  return {
+    /**
+     * @param {Object} message - Anything JSON-serializable
+     * @returns {Promise<void>} Resolves once every chunk is queued
+     */
+    async send(message) {
+      const text = JSON.stringify(message);
+      const of = Math.max(1, Math.ceil(text.length / CHUNK_SIZE));
+      for (let part = 0; part < of; part++) {
+        if (channel.bufferedAmount > SEND_BUFFER_HIGH) await drained();
+        if (closed) {
+          throw syncError("The other device disconnected.", "ERR_SYNC_CONNECT");
+        }
+        channel.send(
+          JSON.stringify({
+            part,
+            of,
+            data: text.slice(part * CHUNK_SIZE, (part + 1) * CHUNK_SIZE),
+          }),
+        );
+      }
+    },
+
+    /**
+     * @returns {Promise<Object>} The next whole message
+     */
+    receive() {
+      return new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        settleWaiting();
+      });
+    },
+
+    close() {
+      channel.close();
+      peer.close();
+    },
+  };
+}
+
+/**
+ * Whether this browser can sync directly with another device
+ *
+ * @returns {boolean}
+ */
+export function isPeerSyncSupported() {
+  return browser && typeof RTCPeerConnection !== "undefined";
+}
+
+/**
+ * Open a pairing and wait for another device to join it
+ *
+ * @param {Object} options
+ * @param {(code: string, expiresAt: number) => void} options.onCode - Called
+ *   with the pairing code to show, as soon as there is one
+ * @param {AbortSignal} [options.signal] - Cancels pairing
+ * @returns {Promise<Object>} The connection, see createConnection
+ */
+export async function hostSync({ onCode, signal }) {
+  const peer = new RTCPeerConnection({ iceServers: [] });
+
+  try {
+    const channel = peer.createDataChannel("riffrap-sync");
+    const offer = await describe(peer, await peer.createOffer());
+    const { code, hostToken, expiresAt } = await postJson({ offer }, signal);
+    onCode(code, expiresAt);
+    logger.info("Pairing opened");
+
+    let answer = null;
+    while (!answer) {
+      if (Date.now() > expiresAt) {
+        throw syncError(
+          "Nobody joined in time. Start pairing again.",
+          "ERR_SYNC_CODE",
+        );
+      }
+      await wait(POLL_INTERVAL_MS, signal);
+      ({ answer } = await request(`${SIGNALLING_URL}?code=${code}&role=host`, {
+        headers: { "X-Pairing-Token": hostToken },
+        signal,
+      }));
+    }
+
+    await peer.setRemoteDescription({ type: "answer", sdp: answer });
+    const open = await channelOpen(peer, Promise.resolve(channel), signal);
+    logger.info("Paired device connected");
+    return createConnection(peer, open);
+  } catch (error) {
+    peer.close();
+    throw error;
+  }
+}
+
+/**
+ * Join the pairing another device is showing the code for
+ *
+ * @param {string} code - The six-digit pairing code
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels pairing
+ * @returns {Promise<Object>} The connection, see createConnection
+ */
+export async function joinSync(code, { signal } = {}) {
+  const peer = new RTCPeerConnection({ iceServers: [] });
+  const channelReady = new Promise((resolve) => {
+    peer.addEventListener("datachannel", (event) => resolve(event.channel), {
+      once: true,
+    });
+  });
+
+  try {
+    const { offer } = await request(
+      `${SIGNALLING_URL}?code=${encodeURIComponent(code)}&role=guest`,
+      { signal },
+    );
+    await peer.setRemoteDescription({ type: "offer", sdp: offer });
+    const answer = await describe(peer, await peer.createAnswer());
+    await postJson({ code, answer }, signal);
+
+    const open = await channelOpen(peer, channelReady, signal);
+    logger.info("Joined paired device");
+    return createConnection(peer, open);
+  } catch (error) {
+    peer.close();
+    throw error;
+  }
+}
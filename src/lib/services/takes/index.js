@@ -0,0 +1,2 @@
+export { takeService } from "./takeService";
+export { takePlayer, takePlayback } from "./takePlayer";
@@ -0,0 +1,163 @@
+/**
+ * takePlayer.js
+ *
+ * One shared audio element for playing stored takes, so starting a take on
+ * one snippet stops whatever else was playing. Playback position is exposed
+ * as a store for anything that wants to follow along.
+ */
+
+import { writable, get } from "svelte/store";
+import { takeService } from "./takeService";
+import { createLogger } from "../infrastructure/loggerService";
+
+const logger = createLogger("TakePlayer");
+
+const initialPlayback = {
+  takeId: null,
+  playing: false,
+  loading: false,
+  currentTime: 0,
+  duration: 0,
+};
+
+export const takePlayback = writable({ ...initialPlayback });
+
+class TakePlayer {
+  constructor() {
+    this.audio = null;
+    this.objectUrl = null;
+    // { takeId, promise } while a take's audio is being read
+    this.pending = null;
+  }
+
+  /**
+   * Play a stored take, optionally from a position.
+   *
+   * @param {string} takeId
+   * @param {Object} [options]
+   * @param {number} [options.startAt] - Start position in seconds
+   * @returns {Promise<boolean>} false if the take's audio is gone
+   */
+  async play(takeId, { startAt } = {}) {
+    if (!takeId) return false;
+
+    if (get(takePlayback).takeId !== takeId || !this.audio) {
+      if (!(await this.loadTake(takeId))) return false;
+    }
+
+    if (typeof startAt === "number") {
+      this.audio.currentTime = startAt;
+    }
+
+    try {
+      await this.audio.play();
+      return true;
+    } catch (error) {
+      logger.warn("Playback failed", { takeId, error: error.message });
+      takePlayback.update((state) => ({ ...state, playing: false }));
+      return false;
+    }
+  }
+
+  /**
+   * Read a take's audio into a fresh audio element. Calls for the same take
+   * while it loads share one load, so only one element is ever made.
+   *
+   * @param {string} takeId
+   * @returns {Promise<boolean>} false if the audio is gone, or if the take
+   *   was stopped or another started before it loaded
+   */
+  loadTake(takeId) {
+    if (this.pending?.takeId === takeId) return this.pending.promise;
+
+    this.stop();
+    takePlayback.set({ ...initialPlayback, takeId, loading: true });
+
+    const pending = { takeId };
+    pending.promise = (async () => {
+      try {
+        const take = await takeService.getTake(takeId);
+        if (this.pending !== pending) return false;
+
+        if (!take?.blob) {
+          logger.warn("Take audio not found", { takeId });
+          takePlayback.set({ ...initialPlayback });
+          return false;
+        }
+
+        this.load(take.blob);
+        return true;
+      } finally {
+        if (this.pending === pending) this.pending = null;
+      }
+    })();
+    this.pending = pending;
+
+    return pending.promise;
+  }
+
+  load(blob) {
+    this.objectUrl = URL.createObjectURL(blob);
+    this.audio = new Audio(this.objectUrl);
+
+    const sync = () =>
+      takePlayback.update((state) => ({
+        ...state,
+        loading: false,
+        playing: !this.audio.paused && !this.audio.ended,
+        currentTime: this.audio.currentTime,
+        duration: Number.isFinite(this.audio.duration)
+          ? this.audio.duration
+          : state.duration,
+      }));
+
+    ["play", "pause", "ended", "timeupdate", "loadedmetadata"].forEach(
+      (eventName) => this.audio.addEventListener(eventName, sync),
+    );
+  }
+
+  pause() {
+    this.audio?.pause();
+  }
+
+  /**
+   * Play if paused (or a different take), pause if playing.
+   * @param {string} takeId
+   */
+  toggle(takeId) {
+    const state = get(takePlayback);
+    if (state.takeId === takeId && state.playing) {
+      this.pause();
+      return Promise.resolve(true);
+    }
+    return this.play(takeId);
+  }
+
+  /**
+   * Jump within the take and keep playing.
+   * @param {string} takeId
+   * @param {number} time - Position in seconds
+   */
+  seek(takeId, time) {
+    return this.play(takeId, { startAt: Math.max(0, time) });
+  }
+
+  stop() {
+    this.pending = null;
+
+    if (this.audio) {
+      this.audio.pause();
+      this.audio.removeAttribute("src");
+      this.audio = null;
+    }
+
+    if (this.objectUrl) {
+      URL.revokeObjectURL(this.objectUrl);
+      this.objectUrl = null;
+    }
+
+    takePlayback.set({ ...initialPlayback });
+  }
+}
+
+export const takePlayer = new TakePlayer();
@@ -0,0 +1,117 @@
+/**
+ * takeService.js
+ *
+ * Persists the original audio of every take in IndexedDB so snippets can
+ * point back at the recording they came from (snippet.takeId). Hearing the
+ * flow is half of remembering how a bar was meant to land.
+ *
+ * Takes nobody references are pruned after a grace period, which leaves time
+ * for undo to bring a deleted snippet (and its audio link) back.
+ */
+
+import {
+  STORES,
+  dbDelete,
+  dbGet,
+  dbGetAll,
+  dbPut,
+} from "../infrastructure/database";
+import { createId } from "../infrastructure/createId";
+import { ensureDurableStorage } from "../infrastructure/durableStorage";
+import { createLogger } from "../infrastructure/loggerService";
+
+const logger = createLogger("TakeService");
+
+// Unreferenced takes are kept this long before pruning
+const UNREFERENCED_TAKE_TTL = 3 * 24 * 60 * 60 * 1000;
+
+export class TakeService {
+  /**
+   * Store a take's audio.
+   *
+   * @param {Blob} audioBlob - The recorded (or uploaded) audio
+   * @param {Object} [metadata] - Extra fields to keep with the take
+   * @returns {Promise<string>} The new take id
+   */
+  async saveTake(audioBlob, metadata = {}) {
+    const take = {
+      ...metadata,
+      id: createId(),
+      blob: audioBlob,
+      mimeType: audioBlob.type,
+      size: audioBlob.size,
+      createdAt: new Date().toISOString(),
+    };
+
+    await dbPut(STORES.TAKES, take);
+    ensureDurableStorage();
+    logger.debug("Take saved", { id: take.id, size: take.size });
+
+    return take.id;
+  }
+
+  /**
+   * @param {string} takeId
+   * @returns {Promise<Object|undefined>} The take record, including its blob
+   */
+  getTake(takeId) {
+    if (!takeId) return Promise.resolve(undefined);
+    return dbGet(STORES.TAKES, takeId);
+  }
+
+  /**
+   * Merge extra fields into a stored take (e.g. timing data).
+   *
+   * @param {string} takeId
+   * @param {Object} changes
+   * @returns {Promise<Object|null>} The updated take, or null if missing
+   */
+  async updateTake(takeId, changes) {
+    const take = await this.getTake(takeId);
+    if (!take) return null;
+
+    const updated = { ...take, ...changes, id: take.id };
+    await dbPut(STORES.TAKES, updated);
+    return updated;
+  }
+
+  /**
+   * @param {string} takeId
+   */
+  deleteTake(takeId) {
+    return dbDelete(STORES.TAKES, takeId);
+  }
+
+  /**
+   * Delete takes that no snippet or queued take references any more and
+   * that are older than the grace period.
+   *
+   * @param {Iterable<string>} referencedIds - Take ids still in use
+   * @returns {Promise<number>} How many takes were removed
+   */
+  async pruneTakes(referencedIds) {
+    const keep = new Set(referencedIds);
+
+    // Takes waiting in the offline queue are always in use
+    const queued = await dbGetAll(STORES.PENDING_TAKES);
+    queued.forEach((take) => take.takeId && keep.add(take.takeId));
+
+    const cutoff = Date.now() - UNREFERENCED_TAKE_TTL;
+    const takes = await dbGetAll(STORES.TAKES);
+    const stale = takes.filter(
+      (take) => !keep.has(take.id) && Date.parse(take.createdAt) < cutoff,
+    );
+
+    for (const take of stale) {
+      await this.deleteTake(take.id);
+    }
+
+    if (stale.length > 0) {
+      logger.info(`Pruned ${stale.length} unreferenced takes`);
+    }
+
+    return stale.length;
+  }
+}
+
+export const takeService = new TakeService();
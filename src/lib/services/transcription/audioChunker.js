@@ -0,0 +1,286 @@
+/**
+ * Long takes, split into pieces the transcription route can handle.
+ *
+ * One request carries the whole take as base64 JSON, so a ten-minute
+ * freestyle runs into MAX_UPLOAD_BYTES and the route's 45s timeout. Takes
+ * of more than about two minutes are decoded with Web Audio, resampled to
+ * 16kHz mono (plenty for speech, and small) and cut into WAV chunks of
+ * CHUNK_SECONDS that overlap by CHUNK_OVERLAP_SECONDS, so no line is lost at
+ * a cut.
+ *
+ * Putting the transcripts back together drops what the overlap heard twice:
+ * with line timings, each line is kept by whichever chunk heard it nearer the
+ * middle of the overlap; without them, the repeated words at the start of the
+ * next chunk's transcript are found and cut.
+ */
+
+/** Length of each chunk, not counting the overlap with the next */
+export const CHUNK_SECONDS = 120;
+
+/** How much consecutive chunks share, in seconds */
+export const CHUNK_OVERLAP_SECONDS = 4;
+
+// Speech needs no more than this, and it keeps a two-minute chunk under 4MB
+const CHUNK_SAMPLE_RATE = 16000;
+
+// A last chunk shorter than this is folded into the one before it
+const MIN_TAIL_SECONDS = 15;
+
+// How far into the next transcript to look for words the overlap repeated
+const MAX_OVERLAP_WORDS = 30;
+
+/** Largest chunk splitAudioIntoChunks makes, in bytes (the tail can run long) */
+export const MAX_CHUNK_BYTES =
+  44 +
+  (CHUNK_SECONDS + CHUNK_OVERLAP_SECONDS + MIN_TAIL_SECONDS) *
+    CHUNK_SAMPLE_RATE *
+    2;
+
+function getOfflineContext() {
+  return globalThis.OfflineAudioContext || globalThis.webkitOfflineAudioContext;
+}
+
+/**
+ * Whether this browser can split takes at all (it needs Web Audio)
+ *
+ * @returns {boolean}
+ */
+export function canSplitAudio() {
+  return Boolean(getOfflineContext());
+}
+
+/**
+ * Decode audio at the chunk sample rate
+ *
+ * @param {Blob} audioBlob
+ * @returns {Promise<AudioBuffer|null>} null where Web Audio isn't available
+ */
+async function decodeAudio(audioBlob) {
+  const OfflineContext = getOfflineContext();
+  if (!OfflineContext) return null;
+
+  const context = new OfflineContext(1, 1, CHUNK_SAMPLE_RATE);
+  const data = await audioBlob.arrayBuffer();
+
+  // Older Safari only has the callback form
+  return new Promise((resolve, reject) => {
+    const result = context.decodeAudioData(data, resolve, reject);
+    result?.then?.(resolve, reject);
+  });
+}
+
+function mixToMono(audioBuffer) {
+  if (audioBuffer.numberOfChannels === 1) return audioBuffer.getChannelData(0);
+
+  const mono = new Float32Array(audioBuffer.length);
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel);
+    for (let i = 0; i < data.length; i++) {
+      mono[i] += data[i] / audioBuffer.numberOfChannels;
+    }
+  }
+  return mono;
+}
+
+/**
+ * 16-bit PCM WAV, the one format every provider accepts
+ *
+ * @param {Float32Array} samples - Mono samples in [-1, 1]
+ * @param {number} sampleRate
+ * @returns {Blob}
+ */
+function encodeWav(samples, sampleRate) {
+  const buffer = new ArrayBuffer(44 + samples.length * 2);
+  const view = new DataView(buffer);
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  };
+
+  writeString(0, "RIFF");
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeString(8, "WAVE");
+  writeString(12, "fmt ");
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // byte rate
+  view.setUint16(32, 2, true); // block align
+  view.setUint16(34, 16, true); // bits per sample
+  writeString(36, "data");
+  view.setUint32(40, samples.length * 2, true);
+
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(
+      44 + i * 2,
+      sample < 0 ? sample * 0x8000 : sample * 0x7fff,
+      true,
+    );
+  }
+
+  return new Blob([buffer], { type: "audio/wav" });
+}
+
+/**
+ * Where each chunk starts and ends, in seconds
+ *
+ * @param {number} duration - Length of the take
+ * @returns {Array<{ start: number, end: number }>}
+ */
+export function planChunks(duration) {
+  const ranges = [];
+
+  for (let start = 0; start < duration; start += CHUNK_SECONDS) {
+    const remaining = duration - start;
+    if (remaining <= CHUNK_SECONDS + CHUNK_OVERLAP_SECONDS + MIN_TAIL_SECONDS) {
+      ranges.push({ start, end: duration });
+      break;
+    }
+    ranges.push({ start, end: start + CHUNK_SECONDS + CHUNK_OVERLAP_SECONDS });
+  }
+
+  return ranges;
+}
+
+/**
+ * Split a long take into overlapping chunks
+ *
+ * @param {Blob} audioBlob - The whole take
+ * @returns {Promise<{ duration: number, chunks: Array<{ blob: Blob, start: number, end: number }>|null }|null>}
+ *   The take's length and its chunks; chunks is null when the take is short
+ *   enough to send whole. Null altogether when the take can't be decoded
+ *   here, in which case it's sent whole and the server decides.
+ */
+export async function splitAudioIntoChunks(audioBlob) {
+  let audioBuffer;
+  try {
+    audioBuffer = await decodeAudio(audioBlob);
+  } catch (error) {
+    console.warn("Could not decode take for chunking:", error);
+    return null;
+  }
+
+  if (!audioBuffer) return null;
+
+  const { duration } = audioBuffer;
+  const ranges = planChunks(duration);
+  if (ranges.length < 2) return { duration, chunks: null };
+
+  const samples = mixToMono(audioBuffer);
+  const rate = audioBuffer.sampleRate;
+
+  return {
+    duration,
+    chunks: ranges.map(({ start, end }) => ({
+      start,
+      end,
+      blob: encodeWav(
+        samples.subarray(Math.floor(start * rate), Math.ceil(end * rate)),
+        rate,
+      ),
+    })),
+  };
+}
+
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, "");
+}
+
+/**
+ * Join two transcripts whose audio overlapped, leaving out the words the
+ * second one repeats from the end of the first
+ *
+ * @param {string} previous - Transcript so far
+ * @param {string} next - Transcript of the following chunk
+ * @returns {string}
+ */
+export function joinOverlappingText(previous, next) {
+  if (!previous.trim()) return next.trim();
+  if (!next.trim()) return previous.trim();
+
+  const previousWords = (previous.match(/\S+/g) || []).map(normalizeWord);
+  const nextTokens = [...next.matchAll(/\S+/g)];
+  const nextWords = nextTokens.map((match) => normalizeWord(match[0]));
+  const longest = Math.min(
+    MAX_OVERLAP_WORDS,
+    previousWords.length,
+    nextWords.length,
+  );
+
+  // The longest run the two agree on; a word or two may be heard differently
+  for (let size = longest; size >= 2; size--) {
+    const tail = previousWords.slice(-size);
+    const matches = tail.filter((word, i) => word === nextWords[i]).length;
+    if (matches / size < 0.8) continue;
+
+    const lastRepeated = nextTokens[size - 1];
+    const rest = next.slice(lastRepeated.index + lastRepeated[0].length);
+    if (!rest.trim()) return previous.trim();
+
+    // Carry on the same line unless the repeat ended one
+    const separator = /^[^\S\n]*\n/.test(rest) ? "\n" : " ";
+    return `${previous.trim()}${separator}${rest.trim()}`;
+  }
+
+  return `${previous.trim()}\n${next.trim()}`;
+}
+
+function shiftSegment(segment, offset) {
+  return {
+    ...segment,
+    start: segment.start + offset,
+    end: segment.end + offset,
+    words: (segment.words || []).map((word) => ({
+      ...word,
+      start: word.start + offset,
+      end: word.end + offset,
+    })),
+  };
+}
+
+/**
+ * Put chunk transcripts back together into one
+ *
+ * @param {Array<{ start: number, end: number }>} chunks - The chunks, in order
+ * @param {Array<{ text: string, segments: Array<Object>|null }>} results -
+ *   Each chunk's transcript, times relative to the chunk
+ * @returns {{ text: string, segments: Array<Object>|null }} Times relative to
+ *   the whole take
+ */
+export function mergeChunkResults(chunks, results) {
+  // Timings for every chunk: cut each overlap in the middle
+  if (results.every((result) => result.segments?.length)) {
+    const segments = results.flatMap((result, index) => {
+      const { start } = chunks[index];
+      const from = index > 0 ? start + CHUNK_OVERLAP_SECONDS / 2 : -Infinity;
+      const until =
+        index < chunks.length - 1
+          ? chunks[index + 1].start + CHUNK_OVERLAP_SECONDS / 2
+          : Infinity;
+
+      return result.segments
+        .map((segment) => shiftSegment(segment, start))
+        .filter((segment) => segment.start >= from && segment.start < until);
+    });
+
+    // One line per segment, as the route builds it
+    const text = segments
+      .map((segment) => segment.text)
+      .join("\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+
+    return { text, segments };
+  }
+
+  return {
+    text: results.reduce(
+      (joined, result) => joinOverlappingText(joined, result.text || ""),
+      "",
+    ),
+    segments: null,
+  };
+}
@@ -0,0 +1,190 @@
+/**
+ * Audio files from disk (voice memos, bounced demos) for transcription.
+ *
+ * The API route only accepts a handful of audio types and a capped size. This
+ * module holds that list so the server and the upload picker agree on it, and
+ * checks a file on the client first, so a file that can't be sent is turned
+ * down straight away instead of after a slow upload. Long files are split
+ * into small chunks before sending (see audioChunker.js), so the size limit
+ * only applies to files that go up whole.
+ */
+
+import { TranscriptionError } from "$lib/services/infrastructure/errorHandler";
+import { canSplitAudio, MAX_CHUNK_BYTES, planChunks } from "./audioChunker";
+import { fetchRouteInfo } from "./routeInfo";
+
+/** Audio types the transcription route accepts */
+export const ALLOWED_AUDIO_MIME_TYPES = new Set([
+  "audio/aac",
+  "audio/mp4",
+  "audio/mpeg",
+  "audio/ogg",
+  "audio/wav",
+  "audio/webm",
+  "audio/x-wav",
+]);
+
+/** The server's limit when it hasn't said otherwise (MAX_UPLOAD_BYTES) */
+export const DEFAULT_MAX_UPLOAD_BYTES = 15 * 1024 * 1024;
+
+/** For the file picker's accept attribute */
+export const AUDIO_UPLOAD_ACCEPT =
+  ".wav,.mp3,.m4a,.mp4,.ogg,.oga,.opus,.webm,.aac,audio/*";
+
+// Browsers and phones name the same formats differently; this maps what they
+// report to the names the route accepts
+const MIME_TYPE_ALIASES = {
+  "audio/x-m4a": "audio/mp4",
+  "audio/m4a": "audio/mp4",
+  "audio/x-mp4": "audio/mp4",
+  "video/mp4": "audio/mp4",
+  "audio/mp3": "audio/mpeg",
+  "audio/x-mp3": "audio/mpeg",
+  "audio/mpeg3": "audio/mpeg",
+  "audio/wave": "audio/wav",
+  "audio/vnd.wave": "audio/wav",
+  "audio/x-aac": "audio/aac",
+  "audio/aacp": "audio/aac",
+  "audio/opus": "audio/ogg",
+  "application/ogg": "audio/ogg",
+  "video/webm": "audio/webm",
+};
+
+// For files that arrive with no type at all (common on Windows and Android)
+const EXTENSION_MIME_TYPES = {
+  wav: "audio/wav",
+  mp3: "audio/mpeg",
+  m4a: "audio/mp4",
+  mp4: "audio/mp4",
+  ogg: "audio/ogg",
+  oga: "audio/ogg",
+  opus: "audio/ogg",
+  webm: "audio/webm",
+  aac: "audio/aac",
+};
+
+/**
+ * @param {string} mimeType - A MIME type, possibly with parameters
+ * @returns {string} The bare, lower-case type ("audio/webm;codecs=opus" -> "audio/webm")
+ */
+export function normalizeMimeType(mimeType) {
+  return (mimeType || "").split(";")[0].trim().toLowerCase();
+}
+
+/**
+ * Work out which accepted audio type a file is
+ *
+ * @param {File} file - A file from the picker or a drop
+ * @returns {string|null} An accepted MIME type, or null if it isn't one
+ */
+export function getAudioFileMimeType(file) {
+  const reported = normalizeMimeType(file.type);
+  const mimeType = MIME_TYPE_ALIASES[reported] || reported;
+  if (ALLOWED_AUDIO_MIME_TYPES.has(mimeType)) return mimeType;
+
+  // Trust the extension only when the browser couldn't tell
+  if (reported && reported !== "application/octet-stream") return null;
+  const extension = (file.name.split(".").pop() || "").toLowerCase();
+  return EXTENSION_MIME_TYPES[extension] || null;
+}
+
+/**
+ * Ask the server how large an upload may be (see routeInfo.js); if the
+ * server can't be reached the default is used and the server still has the
+ * final say.
+ *
+ * @returns {Promise<number>} Largest accepted file, in bytes
+ */
+export async function fetchMaxUploadBytes() {
+  const { maxUploadBytes } = await fetchRouteInfo();
+  return Number.isFinite(maxUploadBytes) && maxUploadBytes > 0
+    ? maxUploadBytes
+    : DEFAULT_MAX_UPLOAD_BYTES;
+}
+
+/**
+ * How long a file plays for, from its metadata alone (nothing is decoded)
+ *
+ * @param {Blob} file
+ * @returns {Promise<number|null>} Seconds, or null if the browser can't tell
+ */
+function readAudioDuration(file) {
+  if (typeof Audio === "undefined") return Promise.resolve(null);
+
+  return new Promise((resolve) => {
+    const audio = new Audio();
+    const url = URL.createObjectURL(file);
+    const finish = (duration) => {
+      URL.revokeObjectURL(url);
+      audio.removeAttribute("src");
+      // Recorder output often reports Infinity until played through
+      resolve(Number.isFinite(duration) ? duration : null);
+    };
+
+    audio.preload = "metadata";
+    audio.onloadedmetadata = () => finish(audio.duration);
+    audio.onerror = () => finish(null);
+    audio.src = url;
+  });
+}
+
+/**
+ * Whether a file will be split into chunks that each fit under the limit,
+ * rather than sent whole
+ *
+ * @param {File} file
+ * @param {number} maxUploadBytes
+ * @returns {Promise<boolean>}
+ */
+async function isSentInChunks(file, maxUploadBytes) {
+  if (!canSplitAudio() || MAX_CHUNK_BYTES > maxUploadBytes) return false;
+
+  const duration = await readAudioDuration(file);
+  return duration !== null && planChunks(duration).length > 1;
+}
+
+/**
+ * Check an audio file and get it ready to send
+ *
+ * @param {File} file - A file from the picker or a drop
+ * @returns {Promise<Blob>} The file's audio, typed the way the server expects
+ * @throws {TranscriptionError} When the file isn't accepted audio, or is too
+ *   large to send whole and too short (or unreadable here) to split
+ */
+export async function prepareAudioUpload(file) {
+  const mimeType = getAudioFileMimeType(file);
+  if (!mimeType) {
+    throw new TranscriptionError(
+      `${file.name} isn't an audio file we can read. Try WAV, MP3, M4A, OGG, WebM or AAC.`,
+      {
+        code: "ERR_TRANSCRIPTION_UNSUPPORTED_FILE",
+        context: { fileType: file.type, fileName: file.name },
+      },
+    );
+  }
+
+  if (file.size === 0) {
+    throw new TranscriptionError(`${file.name} is empty.`, {
+      code: "ERR_TRANSCRIPTION_INVALID_AUDIO",
+      context: { fileName: file.name },
+    });
+  }
+
+  const maxUploadBytes = await fetchMaxUploadBytes();
+  if (
+    file.size > maxUploadBytes &&
+    !(await isSentInChunks(file, maxUploadBytes))
+  ) {
+    const mb = (maxUploadBytes / 1024 / 1024).toFixed(0);
+    throw new TranscriptionError(
+      `${file.name} is too large. Files up to ${mb}MB can be transcribed.`,
+      {
+        code: "ERR_TRANSCRIPTION_FILE_TOO_LARGE",
+        context: { fileSize: file.size, maxUploadBytes },
+      },
+    );
+  }
+
+  // Same bytes, relabelled; slicing doesn't copy the file
+  return file.type === mimeType ? file : file.slice(0, file.size, mimeType);
+}
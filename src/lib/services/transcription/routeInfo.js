@@ -0,0 +1,38 @@
+/**
+ * What the transcription route says about itself (GET /api/gemini): the
+ * largest upload it takes, and whether the provider behind it can follow
+ * prompt styles. Whisper-based providers can't, so the style pickers grey
+ * those styles out instead of quietly returning the same transcript.
+ *
+ * Asked once per page load. If the route can't be reached, callers fall back
+ * to their defaults and the route still has the final say.
+ */
+
+let routeInfoPromise = null;
+
+/**
+ * @returns {Promise<{ maxUploadBytes?: number, supportsStyles?: boolean }>}
+ *   Empty when the route couldn't be asked
+ */
+export function fetchRouteInfo() {
+  if (!routeInfoPromise) {
+    routeInfoPromise = fetch("/api/gemini")
+      .then((response) => (response.ok ? response.json() : {}))
+      .catch(() => {
+        routeInfoPromise = null;
+        return {};
+      });
+  }
+
+  return routeInfoPromise;
+}
+
+/**
+ * Whether prompt styles other than the standard one change the transcript
+ *
+ * @returns {Promise<boolean>} true unless the route says otherwise
+ */
+export async function fetchStylesSupported() {
+  const { supportsStyles } = await fetchRouteInfo();
+  return supportsStyles !== false;
+}
@@ -16,6 +16,9 @@ import { eventBridge } from "$lib/services/infrastructure/eventBridge";
 
 const logger = createLogger("TranscriptionService");
 
+// The bar stops here until the transcript is actually back
+const PROGRESS_CEILING = 95;
+
 export const TranscriptionEvents = {
   TRANSCRIPTION_STARTED: "transcription:started",
   TRANSCRIPTION_PROGRESS: "transcription:progress",
@@ -33,6 +36,7 @@ export class TranscriptionService {
     this.transcriptionSequence = 0;
     this.progressTimer = null;
     this.progressFrame = null;
+    this.abortController = null;
   }
 
   /**
@@ -44,6 +48,8 @@ export class TranscriptionService {
   async transcribeAudio(audioBlob) {
     const startTime = Date.now();
     const sequence = ++this.transcriptionSequence;
+    const abortController = new AbortController();
+    this.abortController = abortController;
 
     try {
       // Validate input
@@ -68,9 +74,40 @@ export class TranscriptionService {
       this.lastTranscriptionTimestamp = startTime;
       this.startProgressAnimation(sequence);
 
-      // Process the audio through Gemini API
-      const transcriptText =
-        await this.geminiService.transcribeAudio(audioBlob);
+      // Process the audio through Gemini API, asking for line timings so the
+      // transcript can follow along with the stored take. The text streams
+      // in as it's heard, and the bar follows how much of the take that
+      // covers.
+      const { text: transcriptText, segments } =
+        await this.geminiService.transcribeAudioWithTimings(audioBlob, {
+          timestamps: true,
+          signal: abortController.signal,
+          onPartial: (text) => {
+            if (sequence === this.transcriptionSequence) {
+              transcriptionActions.setPartialText(text);
+            }
+          },
+          onProgress: ({ done, next }) => {
+            if (sequence === this.transcriptionSequence) {
+              this.startProgressAnimation(
+                sequence,
+                done * PROGRESS_CEILING,
+                next * PROGRESS_CEILING,
+              );
+            }
+          },
+        });
+
+      // Cancelled just as the answer came back
+      if (abortController.signal.aborted) {
+        throw new TranscriptionError("Transcription cancelled", {
+          code: "ERR_TRANSCRIPTION_CANCELLED",
+        });
+      }
+
+      if (sequence === this.transcriptionSequence) {
+        transcriptionActions.setSegments(segments);
+      }
 
       // Complete progress animation with smooth transition
       this.completeProgressAnimation(sequence);
@@ -106,6 +143,20 @@ export class TranscriptionService {
     } catch (error) {
       this.cancelProgressAnimation();
 
+      // Cancelling isn't a failure: cancelTranscription already reset the
+      // state, so there's nothing to report
+      if (
+        abortController.signal.aborted ||
+        error.code === "ERR_TRANSCRIPTION_CANCELLED"
+      ) {
+        logger.info("Transcription cancelled");
+        throw error.code === "ERR_TRANSCRIPTION_CANCELLED"
+          ? error
+          : new TranscriptionError("Transcription cancelled", {
+              code: "ERR_TRANSCRIPTION_CANCELLED",
+            });
+      }
+
       // Create a TranscriptionError if it's not already one
       const transcriptionError =
         error instanceof TranscriptionError
@@ -117,6 +168,7 @@ export class TranscriptionService {
                 context: {
                   originalError: error.message,
                   originalErrorType: error.constructor.name,
+                  originalCode: error.code,
                   audioSize: audioBlob?.size,
                   audioType: audioBlob?.type,
                 },
@@ -140,9 +192,31 @@ export class TranscriptionService {
       });
 
       throw transcriptionError;
+    } finally {
+      if (this.abortController === abortController) {
+        this.abortController = null;
+      }
     }
   }
 
+  /**
+   * Stop the transcription in progress. transcribeAudio then rejects with
+   * ERR_TRANSCRIPTION_CANCELLED, which callers should treat as a choice, not
+   * a failure.
+   *
+   * @returns {boolean} Whether there was anything to cancel
+   */
+  cancelTranscription() {
+    if (!this.abortController) return false;
+
+    logger.info("Cancelling transcription");
+    this.abortController.abort();
+    this.abortController = null;
+    this.cancelProgressAnimation();
+    transcriptionActions.cancelTranscription();
+    return true;
+  }
+
   cancelProgressAnimation() {
     if (this.progressTimer) {
       clearTimeout(this.progressTimer);
@@ -155,9 +229,21 @@ export class TranscriptionService {
     }
   }
 
-  startProgressAnimation(sequence) {
+  /**
+   * Move the bar while a request is out. The bar sits at what's been
+   * transcribed so far and, where more is on its way without word of how
+   * much (no timings yet, or a chunk still out), eases towards the end of
+   * the current step without ever reaching it.
+   *
+   * @param {number} sequence - The transcription this is for
+   * @param {number} [from] - Where the current step starts (0-95)
+   * @param {number} [to] - Where it ends (0-95)
+   */
+  startProgressAnimation(sequence, from = 0, to = PROGRESS_CEILING) {
     this.cancelProgressAnimation();
-    let progress = 0;
+    const ceiling = Math.min(to, PROGRESS_CEILING);
+    // Never move backwards, even if a step is shorter than the animation
+    let progress = Math.max(from, get(transcriptionState).progress || 0);
     const ANIMATION_INTERVAL = 50;
 
     const animate = () => {
@@ -167,10 +253,10 @@ export class TranscriptionService {
       )
         return;
 
-      progress = Math.min(95, progress + 1);
+      progress = Math.min(ceiling, progress + (ceiling - progress) * 0.02);
       transcriptionActions.updateProgress(progress);
 
-      if (progress < 95) {
+      if (ceiling - progress > 0.1) {
         this.progressTimer = setTimeout(animate, ANIMATION_INTERVAL);
       }
     };
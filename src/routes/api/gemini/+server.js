@@ -1,36 +1,29 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
-import { env } from "$env/dynamic/private";
 import { dev } from "$app/environment";
 import { json } from "@sveltejs/kit";
-import {
-  getGeminiModel,
-  getMaxUploadBytes,
-  guardRequest,
-} from "$lib/server/apiGuard";
+import { getMaxUploadBytes, guardRequest } from "$lib/server/apiGuard";
+import { getTranscriptionProvider } from "$lib/server/transcriptionProviders";
 import { applyTemplate, promptTemplates } from "$lib/services/promptTemplates";
+import {
+  buildCustomStylePrompt,
+  validateCustomStyle,
+} from "$lib/services/customPromptStyles";
+import {
+  formatGlossaryForPrompt,
+  formatGlossaryForWhisper,
+  validateGlossary,
+} from "$lib/services/lyrics/glossary";
+import {
+  SUGGESTION_COUNT,
+  describeLineShape,
+  parseSuggestions,
+  validateSuggestionRequest,
+} from "$lib/services/lyrics/lineSuggestions";
+import {
+  ALLOWED_AUDIO_MIME_TYPES,
+  normalizeMimeType,
+} from "$lib/services/transcription/audioUpload";
 
 const API_TIMEOUT_MS = 45_000;
-const ALLOWED_AUDIO_MIME_TYPES = new Set([
-  "audio/aac",
-  "audio/mp4",
-  "audio/mpeg",
-  "audio/ogg",
-  "audio/wav",
-  "audio/webm",
-  "audio/x-wav",
-]);
-
-let genAI = null;
-let model = null;
-
-function getModel() {
-  if (!model) {
-    genAI = new GoogleGenerativeAI(env.GEMINI_API_KEY);
-    model = genAI.getGenerativeModel({ model: getGeminiModel() });
-  }
-
-  return model;
-}
 
 function noStoreJson(body, init = {}) {
   return json(body, {
@@ -42,10 +35,6 @@ function noStoreJson(body, init = {}) {
   });
 }
 
-function normalizeMimeType(mimeType) {
-  return mimeType.split(";")[0].trim().toLowerCase();
-}
-
 function isValidBase64(value) {
   return /^[A-Za-z0-9+/]+={0,2}$/.test(value) && value.length % 4 === 0;
 }
@@ -67,7 +56,7 @@ function withTimeout(promise) {
   let timeoutId;
   const timeoutPromise = new Promise((_, reject) => {
     timeoutId = setTimeout(() => {
-      const error = new Error("Gemini request timed out");
+      const error = new Error("Transcription request timed out");
       error.status = 504;
       reject(error);
     }, API_TIMEOUT_MS);
@@ -95,6 +84,129 @@ async function withRetry(fn, { tries = 3, baseMs = 600 } = {}) {
   throw lastErr;
 }
 
+function getErrorResponse(
+  error,
+  fallback = "Transcription failed. Please try again.",
+) {
+  const message = error?.message?.toLowerCase?.() || "";
+  let friendlyMessage = fallback;
+
+  if (message.includes("quota")) {
+    friendlyMessage = "API quota exceeded. Please try again later.";
+  } else if (message.includes("api key")) {
+    friendlyMessage =
+      "Server configuration error: transcription API key not set.";
+  } else if (message.includes("origin")) {
+    friendlyMessage = "This request is coming from an unexpected origin.";
+  }
+
+  return { error: friendlyMessage, status: error?.status || 500 };
+}
+
+function rejectOnAbort(signal) {
+  return new Promise((_, reject) => {
+    signal.addEventListener("abort", () => reject(signal.reason), {
+      once: true,
+    });
+  });
+}
+
+/**
+ * Transcribe as server-sent events: "partial" events with the transcript so
+ * far ({ text, heard }), then one "done" ({ text, segments? }) or "error"
+ * ({ error, status }). Partials are cumulative, so a retry just starts the
+ * text over. The timeout counts from the last partial rather than the start,
+ * since a long take legitimately streams for longer than API_TIMEOUT_MS.
+ * Providers that can't stream send only "done".
+ */
+function streamTranscription(provider, options, requestSignal) {
+  const encoder = new TextEncoder();
+  const abortController = new AbortController();
+  const abort = () => abortController.abort();
+  let closed = false;
+  let idleTimer;
+
+  const stream = new ReadableStream({
+    async start(output) {
+      const send = (event, data) => {
+        if (closed) return;
+        output.enqueue(
+          encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`),
+        );
+      };
+
+      const resetIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+          const error = new Error("Transcription request timed out");
+          error.status = 504;
+          abortController.abort(error);
+        }, API_TIMEOUT_MS);
+      };
+
+      requestSignal?.addEventListener("abort", abort, { once: true });
+      resetIdleTimer();
+
+      const transcribe = provider.transcribeStream
+        ? () =>
+            provider.transcribeStream(
+              { ...options, signal: abortController.signal },
+              (partial) => {
+                resetIdleTimer();
+                send("partial", partial);
+              },
+            )
+        : () => provider.transcribe(options);
+
+      try {
+        const { text, segments } = await Promise.race([
+          withRetry(transcribe),
+          rejectOnAbort(abortController.signal),
+        ]);
+        send("done", segments ? { text, segments } : { text });
+      } catch (error) {
+        // A timeout is reported; a client that went away needs nothing
+        const reason = abortController.signal.reason;
+        if (!abortController.signal.aborted || reason?.status) {
+          console.error("Error in streaming transcription:", reason || error);
+          send("error", getErrorResponse(reason || error));
+        }
+      } finally {
+        clearTimeout(idleTimer);
+        requestSignal?.removeEventListener("abort", abort);
+        if (!closed) {
+          closed = true;
+          output.close();
+        }
+      }
+    },
+
+    cancel() {
+      closed = true;
+      abort();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-store",
+      // Keep proxies from holding partials back
+      "X-Accel-Buffering": "no",
+    },
+  });
+}
+
+// What the client may send, so uploads can be checked before they're sent,
+// and whether prompt styles do anything with this provider
+export function GET() {
+  return noStoreJson({
+    maxUploadBytes: getMaxUploadBytes(),
+    mimeTypes: [...ALLOWED_AUDIO_MIME_TYPES],
+    supportsStyles: getTranscriptionProvider().supportsStyles !== false,
+  });
+}
+
 export async function POST(event) {
   try {
     const guardResponse = guardRequest(event);
@@ -103,11 +215,10 @@ export async function POST(event) {
     }
 
     const { request } = event;
-    if (!env.GEMINI_API_KEY) {
-      return noStoreJson(
-        { error: "GEMINI_API_KEY is not set" },
-        { status: 500 },
-      );
+    const provider = getTranscriptionProvider();
+    const configError = provider.getConfigError();
+    if (configError) {
+      return noStoreJson({ error: configError }, { status: 500 });
     }
 
     if (!request.headers.get("content-type")?.includes("application/json")) {
@@ -131,16 +242,17 @@ export async function POST(event) {
     const {
       operation = "transcribeAudio",
       promptStyle = "standard",
+      customStyle,
+      glossary = [],
       variables = {},
       audioData,
       mimeType,
+      timestamps = false,
+      stream = false,
     } = await request.json();
     if (operation === "generateAnimation") {
       if (!dev) {
-        return noStoreJson(
-          { error: "Unsupported Gemini operation" },
-          { status: 404 },
-        );
+        return noStoreJson({ error: "Unsupported operation" }, { status: 404 });
       }
 
       const description = variables?.description;
@@ -155,21 +267,64 @@ export async function POST(event) {
         );
       }
 
+      if (!provider.generateText) {
+        return noStoreJson(
+          { error: "Text generation is not supported by this provider" },
+          { status: 501 },
+        );
+      }
+
       const prompt = getPrompt("generateAnimation", "standard", {
         description,
       });
-      const result = await withTimeout(
-        withRetry(() => getModel().generateContent(prompt)),
+      const text = await withTimeout(
+        withRetry(() => provider.generateText(prompt)),
       );
-      const response = await result.response;
-      return noStoreJson({ text: response.text() });
+      return noStoreJson({ text });
+    }
+
+    if (operation === "suggestLines") {
+      // The picked lines and the shape go up as data and are written into
+      // the style's prompt here, like the glossary
+      const { request: suggestion, error } =
+        validateSuggestionRequest(variables);
+      if (error) {
+        return noStoreJson({ error }, { status: 400 });
+      }
+
+      if (!provider.generateText) {
+        return noStoreJson(
+          { error: "Text generation is not supported by this provider" },
+          { status: 501 },
+        );
+      }
+
+      const prompt = getPrompt("suggestLines", promptStyle, {
+        lines: suggestion.lines.join("\n"),
+        shape: describeLineShape(suggestion),
+        count: String(SUGGESTION_COUNT),
+      });
+      try {
+        const text = await withTimeout(
+          withRetry(() => provider.generateText(prompt)),
+        );
+
+        // One candidate per line, so clients read it like any other text
+        return noStoreJson({
+          text: parseSuggestions(text, suggestion.lines).join("\n"),
+        });
+      } catch (error) {
+        console.error("Error suggesting lines:", error);
+        const { error: friendlyMessage, status } = getErrorResponse(
+          error,
+          "Couldn't come up with lines. Please try again.",
+        );
+        return noStoreJson({ error: friendlyMessage }, { status });
+      }
     }
 
     if (operation !== "transcribeAudio") {
-      return noStoreJson(
-        { error: "Unsupported Gemini operation" },
-        { status: 400 },
-      );
+      return noStoreJson({ error: "Unsupported operation" }, { status: 400 });
     }
 
     if (
@@ -202,7 +357,29 @@ export async function POST(event) {
       );
     }
 
-    const prompt = getPrompt(operation, promptStyle, variables);
+    // The glossary is sent as entries and written into the prompt here, so
+    // the {{glossary}} variable only ever holds what this route wrote
+    const glossaryCheck = validateGlossary(glossary);
+    if (glossaryCheck.error) {
+      return noStoreJson({ error: glossaryCheck.error }, { status: 400 });
+    }
+    const glossaryText = formatGlossaryForPrompt(glossaryCheck.entries);
+
+    // A custom style's instructions are checked again here and only ever
+    // used inside the fixed frame
+    let prompt;
+    if (customStyle !== undefined) {
+      const { style, error } = validateCustomStyle(customStyle);
+      if (error) {
+        return noStoreJson({ error }, { status: 400 });
+      }
+      prompt = buildCustomStylePrompt(style) + glossaryText;
+    } else {
+      prompt = getPrompt(operation, promptStyle, {
+        ...variables,
+        glossary: glossaryText,
+      });
+    }
     if (!prompt) {
       return noStoreJson(
         { error: "Invalid transcription style" },
@@ -210,38 +387,27 @@ export async function POST(event) {
       );
     }
 
-    const result = await withTimeout(
-      withRetry(() =>
-        getModel().generateContent([
-          prompt,
-          {
-            inlineData: {
-              data: audioData,
-              mimeType: normalizedMimeType,
-            },
-          },
-        ]),
-      ),
-    );
+    const options = {
+      prompt,
+      vocabulary: formatGlossaryForWhisper(glossaryCheck.entries),
+      audioData,
+      mimeType: normalizedMimeType,
+      timestamps: timestamps === true,
+    };
 
-    const response = await result.response;
-    return noStoreJson({ text: response.text() });
-  } catch (error) {
-    console.error("Error in Gemini API route:", error);
-    const message = error?.message?.toLowerCase?.() || "";
-    let friendlyMessage = "Transcription failed. Please try again.";
-
-    if (message.includes("quota")) {
-      friendlyMessage = "API quota exceeded. Please try again later.";
-    } else if (message.includes("api key")) {
-      friendlyMessage = "Server configuration error: Gemini API key not set.";
-    } else if (message.includes("origin")) {
-      friendlyMessage = "This request is coming from an unexpected origin.";
+    if (stream === true) {
+      return streamTranscription(provider, options, request.signal);
     }
 
-    return noStoreJson(
-      { error: friendlyMessage },
-      { status: error?.status || 500 },
+    const { text, segments } = await withTimeout(
+      withRetry(() => provider.transcribe(options)),
     );
+
+    // Timed lines are optional: clients that didn't ask only ever see text
+    return noStoreJson(segments ? { text, segments } : { text });
+  } catch (error) {
+    console.error("Error in transcription API route:", error);
+    const { error: friendlyMessage, status } = getErrorResponse(error);
+    return noStoreJson({ error: friendlyMessage }, { status });
   }
 }
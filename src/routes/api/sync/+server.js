@@ -0,0 +1,128 @@
+import { json } from "@sveltejs/kit";
+import {
+  getClientKey,
+  guardOrigin,
+  guardRateLimit,
+} from "$lib/server/apiGuard";
+import {
+  collectAnswer,
+  isSessionDescription,
+  leaveAnswer,
+  openPairing,
+  takeOffer,
+} from "$lib/server/syncSignalling";
+
+// Pairing codes for device-to-device sync. Only WebRTC session descriptions
+// pass through here; see $lib/server/syncSignalling.js.
+
+// Opening a pairing, fetching an offer by code and answering one. A pairing
+// takes one or two of these, so the limit is mostly there to make guessing
+// someone else's code hopeless.
+const PAIRING_LIMIT = {
+  scope: "sync-pairing",
+  limit: 10,
+  windowMs: 60_000,
+  message: "Too many pairing attempts. Please wait a minute.",
+};
+
+// The device showing the code polls for the answer every second or two
+const POLL_LIMIT = {
+  scope: "sync-poll",
+  limit: 120,
+  windowMs: 60_000,
+  message: "Too many pairing checks. Please wait a minute.",
+};
+
+function noStoreJson(body, init = {}) {
+  return json(body, {
+    ...init,
+    headers: {
+      "Cache-Control": "no-store",
+      ...init.headers,
+    },
+  });
+}
+
+function isPairingCode(code) {
+  return typeof code === "string" && /^\d{6}$/.test(code);
+}
+
+const UNKNOWN_CODE = {
+  error: "That code isn't open any more. Start pairing again.",
+};
+
+// ?code=123456&role=guest fetches the offer, role=host polls for the answer
+// (with the pairing's host token in X-Pairing-Token)
+export function GET(event) {
+  const code = event.url.searchParams.get("code");
+  const role = event.url.searchParams.get("role");
+
+  const guardResponse =
+    guardOrigin(event) ||
+    guardRateLimit(event, role === "host" ? POLL_LIMIT : PAIRING_LIMIT);
+  if (guardResponse) {
+    return guardResponse;
+  }
+
+  if (!isPairingCode(code)) {
+    return noStoreJson({ error: "Invalid pairing code" }, { status: 400 });
+  }
+
+  if (role === "guest") {
+    const offer = takeOffer(code);
+    return offer
+      ? noStoreJson({ offer })
+      : noStoreJson(UNKNOWN_CODE, { status: 404 });
+  }
+
+  if (role === "host") {
+    const result = collectAnswer(
+      code,
+      event.request.headers.get("x-pairing-token"),
+    );
+    return result
+      ? noStoreJson(result)
+      : noStoreJson(UNKNOWN_CODE, { status: 404 });
+  }
+
+  return noStoreJson({ error: "Invalid role" }, { status: 400 });
+}
+
+// { offer } opens a pairing and returns { code, hostToken, expiresAt };
+// { code, answer } answers it
+export async function POST(event) {
+  const guardResponse =
+    guardOrigin(event) || guardRateLimit(event, PAIRING_LIMIT);
+  if (guardResponse) {
+    return guardResponse;
+  }
+
+  let body;
+  try {
+    body = await event.request.json();
+  } catch {
+    return noStoreJson({ error: "Invalid request body" }, { status: 400 });
+  }
+
+  if (body?.offer !== undefined) {
+    if (!isSessionDescription(body.offer)) {
+      return noStoreJson({ error: "Invalid offer" }, { status: 400 });
+    }
+
+    const pairing = openPairing(body.offer, getClientKey(event));
+    return pairing
+      ? noStoreJson(pairing)
+      : noStoreJson(
+          { error: "Too many pairings open. Try again in a few minutes." },
+          { status: 429 },
+        );
+  }
+
+  if (!isPairingCode(body?.code) || !isSessionDescription(body?.answer)) {
+    return noStoreJson({ error: "Invalid answer" }, { status: 400 });
+  }
+
+  return leaveAnswer(body.code, body.answer)
+    ? noStoreJson({ ok: true })
+    : noStoreJson(UNKNOWN_CODE, { status: 404 });
+}
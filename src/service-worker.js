@@ -0,0 +1,158 @@
+/// <reference types="@sveltejs/kit" />
+/// <reference no-default-lib="true"/>
+/// <reference lib="esnext" />
+/// <reference lib="webworker" />
+
+/**
+ * RiffRap service worker
+ *
+ * Makes the installed app usable without signal:
+ * - precaches the build output, sounds, SVGs, icons and the app shell
+ * - serves precached assets cache-first (their URLs are versioned by the build)
+ * - tries the network first for pages, falling back to the cached shell, and
+ *   only shows offline.html when even that is missing
+ * - keeps one cache per deploy and deletes the rest on activation
+ *
+ * A new version waits until the page asks it to take over (see
+ * pwaService.applyUpdate), so a deploy never swaps code under someone who is
+ * mid-take.
+ */
+
+import { build, files, version } from "$service-worker";
+
+const sw = /** @type {ServiceWorkerGlobalScope} */ (
+  /** @type {unknown} */ (self)
+);
+
+const CACHE_PREFIX = "riffrap-";
+const CACHE = `${CACHE_PREFIX}${version}`;
+const APP_SHELL_URL = "/";
+const OFFLINE_URL = "/offline.html";
+
+// Static files worth keeping offline. Splash screens and social images are
+// large and useless without a network, so they stay out.
+const PRECACHED_FILE_PATTERNS = [
+  /^\/sounds\//,
+  /^\/icons\/.+\.png$/,
+  /^\/favicons\//,
+  /\.svg$/,
+  /^\/(favicon\.(ico|png)|apple-touch-icon\.png)$/,
+  /^\/(manifest\.json|offline\.html)$/,
+];
+
+const PRECACHED_ASSETS = [
+  ...build,
+  ...files.filter((file) =>
+    PRECACHED_FILE_PATTERNS.some((pattern) => pattern.test(file)),
+  ),
+];
+const PRECACHED_SET = new Set(PRECACHED_ASSETS);
+
+sw.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(CACHE);
+      await cache.addAll(PRECACHED_ASSETS);
+
+      // The shell is server-rendered, so fetch it separately: a hiccup here
+      // shouldn't fail the whole install when offline.html can stand in.
+      try {
+        await cache.add(APP_SHELL_URL);
+      } catch (error) {
+        console.warn("[ServiceWorker] Could not cache app shell:", error);
+      }
+    })(),
+  );
+});
+
+sw.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const keys = await caches.keys();
+      await Promise.all(
+        keys
+          .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE)
+          .map((key) => caches.delete(key)),
+      );
+      await sw.clients.claim();
+    })(),
+  );
+});
+
+sw.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") {
+    sw.skipWaiting();
+  }
+});
+
+/**
+ * Network first for page loads; cached shell, then offline.html, otherwise.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function handleNavigation(request) {
+  try {
+    return await fetch(request);
+  } catch {
+    const cache = await caches.open(CACHE);
+    return (
+      (await cache.match(request, { ignoreSearch: true })) ||
+      (await cache.match(APP_SHELL_URL)) ||
+      (await cache.match(OFFLINE_URL)) ||
+      Response.error()
+    );
+  }
+}
+
+/**
+ * Precached files never change for a given version, so the cache wins.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function handlePrecached(request) {
+  const cache = await caches.open(CACHE);
+  return (await cache.match(request)) || fetch(request);
+}
+
+/**
+ * Everything else same-origin: network, remembering good responses so a
+ * repeat visit offline still has them.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function handleRuntime(request) {
+  const cache = await caches.open(CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.status === 200 && response.type === "basic") {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+sw.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  // Leave cross-origin requests (fonts, analytics) and the API alone; queued
+  // takes handle offline transcription, not the cache.
+  if (url.origin !== sw.location.origin || url.pathname.startsWith("/api/")) {
+    return;
+  }
+
+  if (request.mode === "navigate") {
+    event.respondWith(handleNavigation(request));
+  } else if (PRECACHED_SET.has(url.pathname)) {
+    event.respondWith(handlePrecached(request));
+  } else {
+    event.respondWith(handleRuntime(request));
+  }
+});
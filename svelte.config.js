@@ -1,9 +1,16 @@
-import adapter from "@sveltejs/adapter-netlify";
+import adapter from "@sveltejs/adapter-node";
 
 /** @type {import("@sveltejs/kit").Config} */
 const config = {
   kit: {
+    // One long-running server: device sync keeps its pairing codes in memory
+    // (see src/lib/server/syncSignalling.js), which serverless functions
+    // don't share between requests
     adapter: adapter(),
+    // pwaService registers the worker itself so it can offer updates
+    serviceWorker: {
+      register: false,
+    },
   },
 };
 